@@ -1,6 +1,12 @@
 // middleware/auth.js
 import jwt from "jsonwebtoken";
 import { prisma } from "../config/prisma.js";
+import { isSessionActive } from "../utils/tokens.js";
+import {
+  normalizeRole,
+  resolvePermissions,
+  hasPermission,
+} from "../utils/permissions.js";
 const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
 
 export const norm = (s) =>
@@ -9,9 +15,8 @@ export const norm = (s) =>
     .toUpperCase()
     .replace(/[^A-Z0-9]+/g, "_");
 
-    export function isSuperAdmin(user) {
-  const role = norm(user?.role || user?.rawRole || "");
-  return role === "SUPERADMIN" || role === "SUPER_ADMIN";
+export function isSuperAdmin(user) {
+  return normalizeRole(user?.role || user?.rawRole) === "SUPERADMIN";
 }
 
 const getToken = (req) => {
@@ -32,7 +37,19 @@ const resolveCollegeIdFromPermissions = (perm) => {
   return perm?.collegeId || perm?.collegeID || perm?.college?.id || null;
 };
 
-export async function protect(req, res, next) {
+export function protect(req, res, next) {
+  return authenticate(req, res, next, { allowPartial: false });
+}
+
+// For the 2FA endpoints: also accepts a session whose password was checked
+// but whose second factor was not (req.twoFactorPending)
+export function protectPartial(req, res, next) {
+  return authenticate(req, res, next, { allowPartial: true });
+}
+
+async function authenticate(req, res, next, { allowPartial }) {
+  // Already signed in further up the chain (server.js guards all of /api)
+  if (req.user && (allowPartial || !req.twoFactorPending)) return next();
   try {
     const token = getToken(req);
     if (!token) return res.status(401).json({ error: "Unauthorized" });
@@ -71,6 +88,7 @@ export async function protect(req, res, next) {
         tokenVersion: true,
         collegeId: true,
         departmentId: true,
+        college: { select: { permissions: true } },
       },
     });
 
@@ -84,23 +102,37 @@ export async function protect(req, res, next) {
     ) {
       return res.status(401).json({ error: "SESSION_REVOKED" });
     }
+    const twoFactorPending = decoded.mfa === "pending";
+    if (twoFactorPending && !allowPartial) {
+      return res.status(401).json({ error: "TWO_FACTOR_REQUIRED" });
+    }
+    // Tokens issued per device also end with their session
+    if (
+      decoded.sid &&
+      !(await isSessionActive(prisma, decoded.sid, user.tokenVersion))
+    ) {
+      return res.status(401).json({ error: "SESSION_REVOKED" });
+    }
 
-    const rawRole = user.role || "";
-    const role = norm(rawRole);
+    const { college, ...profile } = user;
+    const rawRole = profile.role || "";
+    const role = normalizeRole(rawRole);
 
-  
     const effectiveCollegeId =
-      user.collegeId || resolveCollegeIdFromPermissions(user.permissions);
+      profile.collegeId || resolveCollegeIdFromPermissions(profile.permissions);
 
     req.user = {
-      ...user,
+      ...profile,
       role, // normalized
       rawRole, // original
-      isAdmin:
-        role === "ADMIN" || role === "SUPER_ADMIN" || role === "SUPERADMIN",
-      permissions: user.permissions || {},
+      isAdmin: role === "ADMIN" || role === "SUPERADMIN",
+      permissions: profile.permissions || {},
       collegeId: effectiveCollegeId || null,
     };
+    // Effective permissions, for requirePermission and hasPermission
+    req.access = resolvePermissions(req.user, college?.permissions);
+    req.sessionId = decoded.sid || null;
+    req.twoFactorPending = twoFactorPending;
 
     next();
   } catch (err) {
@@ -109,39 +141,23 @@ export async function protect(req, res, next) {
   }
 }
 
-export const authorize = (...roles) => {
-  // Normalize input roles once (support both ADMIN and SUPERADMIN variants)
-  const allowed = roles.map((r) => norm(r));
-
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: "Not authorized to access this route",
-      });
-    }
-
-    // permit SUPERADMIN when SUPER_ADMIN was requested (and vice versa)
-    const userRole = req.user.role; // already normalized
-    const userRoleCompat = userRole === "SUPERADMIN" ? "SUPER_ADMIN" : userRole;
-
-    if (!allowed.includes(userRole) && !allowed.includes(userRoleCompat)) {
-      return res.status(403).json({
-        success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route`,
-      });
+/**
+ * Guard for a named permission (utils/permissions.js). `scopeOf(req)` may
+ * name the college acted on, e.g. (req) => ({ collegeId: req.params.id }),
+ * and may be async.
+ */
+export const requirePermission =
+  (permission, scopeOf) => async (req, res, next) => {
+    if (!req.access) return res.status(401).json({ error: "Unauthorized" });
+    try {
+      const scope = scopeOf ? await scopeOf(req) : {};
+      if (hasPermission(req.access, permission, scope || {})) return next();
+      return res.status(403).json({ error: "Forbidden", permission });
+    } catch (err) {
+      console.error("requirePermission error:", err);
+      return res.status(500).json({ error: "Internal error" });
     }
-    next();
   };
-};
-
-export const requireAdminOnly = (req, res, next) => {
-  if (!req.user) return res.status(401).json({ message: "Not authenticated" });
-  // role is already normalized by protect()
-  const r = req.user.role;
-  if (r === "ADMIN" || r === "SUPER_ADMIN" || r === "SUPERADMIN") return next();
-  return res.status(403).json({ message: "Admins only" });
-};
 
 export const register = async (req, res) => {
   try {
@@ -169,78 +185,3 @@ export const register = async (req, res) => {
   }
 };
 
-
-// Add this new middleware
-export async function requireCourseCreation(req, res, next) {
-  if (!req.user) return res.status(401).json({ error: "Unauthorized" });
-  
-  const userId = req.user.id;
-  const normalizedRole = norm(req.user.role || req.user.rawRole);
-  
-  // Allow superadmins
-  if (isSuperAdmin(req.user)) {
-    console.log('✅ Allowed: SuperAdmin');
-    return next();
-  }
-  
-  // For admins and instructors, check college permissions
-  if (normalizedRole === "ADMIN" || normalizedRole === "INSTRUCTOR") {
-    const collegeId = req.user.collegeId;
-    
-    if (!collegeId) {
-      console.log('❌ Denied: No college assigned');
-      return res.status(403).json({ 
-        error: "You must be assigned to a college to create courses"
-      });
-    }
-    
-    try {
-      // Fetch college with permissions
-      const college = await prisma.college.findUnique({
-        where: { id: collegeId },
-        select: {
-          id: true,
-          permissions: true  // ← Using 'permissions' instead of 'adminToggles'
-        }
-      });
-      
-      if (!college) {
-        console.log('❌ Denied: College not found');
-        return res.status(403).json({ error: "College not found" });
-      }
-      
-      // Parse permissions JSON (if it's a string)
-      let permissions = college.permissions;
-      if (typeof permissions === 'string') {
-        try {
-          permissions = JSON.parse(permissions);
-        } catch (e) {
-          console.error('Failed to parse permissions JSON:', e);
-          permissions = null;
-        }
-      }
-
-      const adminToggles = permissions?.adminToggles || {};
-      const userPermissions = adminToggles[userId];
-      
-      
-      if (userPermissions?.canCreateCourses === true) {
-
-        return next();
-      }
-      
-      return res.status(403).json({ 
-        error: "You don't have permission to create courses",
-        hint: "Contact your college administrator to enable 'Create Courses' permission for your account"
-      });
-      
-    } catch (error) {
-      console.error('Error checking college permissions:', error);
-      return res.status(500).json({ error: "Failed to check permissions" });
-    }
-  }
-  
-  return res.status(403).json({ 
-    error: "You don't have permission to create courses"
-  });
-}
@@ -0,0 +1,64 @@
+import multer from 'multer';
+import { uploadFile } from '../utils/cloudinary.js';
+import {
+    MAX_SUBMISSION_FILES,
+    MAX_SUBMISSION_FILE_MB,
+} from '../utils/assignments.js';
+
+// Documents, archives and images accepted outside of the image-only uploads
+export const DOCUMENT_MIME_TYPES = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/zip',
+    'application/x-zip-compressed',
+    'text/plain',
+    'text/csv',
+];
+
+// Memory storage so files go straight to Cloudinary
+export const fileUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_SUBMISSION_FILE_MB * 1024 * 1024,
+        files: MAX_SUBMISSION_FILES,
+    },
+    fileFilter: (req, file, cb) => {
+        if (
+            file.mimetype.startsWith('image/') ||
+            DOCUMENT_MIME_TYPES.includes(file.mimetype)
+        ) {
+            cb(null, true);
+        } else {
+            cb(new Error(`File type ${file.mimetype} is not allowed`), false);
+        }
+    },
+});
+
+// Runs multer and answers 400 on its errors instead of the global 500
+export const acceptFiles = (field) => (req, res, next) =>
+    fileUpload.array(field)(req, res, (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        next();
+    });
+
+// Uploads multer files one by one; returns what is stored on a submission
+export async function uploadFiles(files, folder) {
+    const uploaded = [];
+    for (const file of files) {
+        const result = await uploadFile(file.buffer, folder, file.originalname);
+        uploaded.push({
+            url: result.secure_url,
+            publicId: result.public_id,
+            resourceType: result.resource_type,
+            originalName: file.originalname,
+            mimeType: file.mimetype,
+            size: file.size,
+        });
+    }
+    return uploaded;
+}
@@ -0,0 +1,92 @@
+// middleware/rateLimit.js
+// Throttling for the sign-in and OTP endpoints, in layers: per client IP
+// and per account (the email in the body), so neither one address nor a
+// botnet aimed at one account gets unlimited guesses.
+import rateLimit from "express-rate-limit";
+import { prisma } from "../config/prisma.js";
+import { rateLimitStore, toExpressStore } from "../utils/rateLimitStore.js";
+
+const MINUTE = 60 * 1000;
+
+const store = rateLimitStore(prisma);
+
+const emailOf = (req) =>
+  typeof req.body?.email === "string"
+    ? req.body.email.trim().toLowerCase()
+    : "";
+
+const limiter = (name, { windowMs, max, keyGenerator, message }) =>
+  rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: toExpressStore(store, name),
+    keyGenerator,
+    // Requests without an email only count towards the IP limits
+    skip: (req) => !keyGenerator(req),
+    handler: (req, res) => {
+      const resetTime = req.rateLimit?.resetTime;
+      res.status(429).json({
+        success: false,
+        code: "RATE_LIMITED",
+        message,
+        retryAfterSeconds: resetTime
+          ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000))
+          : null,
+      });
+    },
+  });
+
+const byIp = (req) => req.ip || "unknown";
+
+const authIpLimiter = limiter("auth-ip", {
+  windowMs: 15 * MINUTE,
+  max: 50,
+  keyGenerator: byIp,
+  message: "Too many sign-in attempts from this address. Try again later.",
+});
+
+const loginAccountLimiter = limiter("login-account", {
+  windowMs: 15 * MINUTE,
+  max: 10,
+  keyGenerator: emailOf,
+  message: "Too many sign-in attempts for this account. Try again later.",
+});
+
+const otpIpLimiter = limiter("otp-ip", {
+  windowMs: 15 * MINUTE,
+  max: 20,
+  keyGenerator: byIp,
+  message: "Too many verification attempts from this address.",
+});
+
+const otpAccountLimiter = limiter("otp-account", {
+  windowMs: 15 * MINUTE,
+  max: 10,
+  keyGenerator: emailOf,
+  message: "Too many verification attempts for this account.",
+});
+
+// Each send emails a code, so sending is limited more tightly
+const otpSendLimiter = limiter("otp-send", {
+  windowMs: 60 * MINUTE,
+  max: 5,
+  keyGenerator: emailOf,
+  message: "Too many codes requested. Try again in an hour.",
+});
+
+export const loginLimiters = [authIpLimiter, loginAccountLimiter];
+export const tokenLimiters = [authIpLimiter];
+export const otpSendLimiters = [otpIpLimiter, otpSendLimiter];
+export const otpVerifyLimiters = [otpIpLimiter, otpAccountLimiter];
+
+// Clears an account's counters, e.g. when an admin unlocks it
+export async function resetAccountLimits(email) {
+  const key = String(email || "").trim().toLowerCase();
+  await Promise.all(
+    ["login-account", "otp-account", "otp-send"].map((name) =>
+      store.reset(`${name}:${key}`)
+    )
+  );
+}
@@ -0,0 +1,290 @@
+import express from "express";
+import { prisma } from "../config/prisma.js";
+import { requirePermission } from "../middleware/auth.js";
+import { hasPermission, userScope } from "../utils/permissions.js";
+import { isInstructorEligibleForCourse } from "../utils/instructorEligibility.js";
+import {
+  toAccommodationData,
+  recordAccommodationEvent,
+} from "../utils/accommodations.js";
+const router = express.Router();
+
+const managesCourses = (req) => hasPermission(req.access, "course.manage");
+
+// Accommodations are managed in the student's college
+const manageStudent = requirePermission("accommodation.manage", (req) =>
+  userScope(prisma, req.body?.studentId)
+);
+
+async function accommodationScope(req) {
+  const accommodation = await prisma.accommodation.findUnique({
+    where: { id: String(req.params.id) },
+    select: { student: { select: { collegeId: true } } },
+  });
+  return accommodation ? { collegeId: accommodation.student.collegeId } : {};
+}
+const manageAccommodation = requirePermission(
+  "accommodation.manage",
+  accommodationScope
+);
+
+/**
+ * Course managers handle any student of their college. Everyone else only
+ * grants per-enrollment accommodations, in courses they teach.
+ */
+async function canManage(req, courseId) {
+  if (managesCourses(req)) return true;
+  return (
+    !!courseId && isInstructorEligibleForCourse(prisma, req.user, courseId)
+  );
+}
+
+const accommodationInclude = {
+  student: {
+    select: { id: true, fullName: true, email: true, collegeId: true },
+  },
+  enrollment: {
+    select: { id: true, courseId: true, course: { select: { title: true } } },
+  },
+};
+
+async function loadManagedAccommodation(req, res) {
+  const accommodation = await prisma.accommodation.findUnique({
+    where: { id: String(req.params.id) },
+    include: accommodationInclude,
+  });
+  if (!accommodation) {
+    res.status(404).json({ error: "Accommodation not found" });
+    return null;
+  }
+  if (!(await canManage(req, accommodation.enrollment?.courseId))) {
+    res.status(403).json({ error: "Forbidden" });
+    return null;
+  }
+  return accommodation;
+}
+
+router.get(
+  "/accommodations",
+  requirePermission("accommodation.manage"),
+  async (req, res) => {
+    try {
+      const { studentId, courseId, includeRevoked } = req.query;
+      if (!managesCourses(req)) {
+        if (!courseId) {
+          return res.status(400).json({ error: "courseId is required" });
+        }
+        if (
+          !(await isInstructorEligibleForCourse(
+            prisma,
+            req.user,
+            String(courseId)
+          ))
+        ) {
+          return res.status(403).json({ error: "Forbidden" });
+        }
+      }
+
+      const rows = await prisma.accommodation.findMany({
+        where: {
+          ...(studentId && { studentId: String(studentId) }),
+          ...(courseId && { enrollment: { courseId: String(courseId) } }),
+          ...(includeRevoked === "true" ? {} : { revokedAt: null }),
+          ...(!req.access.global && {
+            student: { collegeId: req.access.collegeId || "" },
+          }),
+        },
+        include: accommodationInclude,
+        orderBy: { createdAt: "desc" },
+      });
+
+      return res.json(rows);
+    } catch (e) {
+      console.error("GET /accommodations error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// Body: { studentId, courseId?, timeMultiplier?, extraAttempts?,
+// extendedDueAt?, reason? }; courseId ties it to that enrollment
+router.post(
+  "/accommodations",
+  manageStudent,
+  async (req, res) => {
+    try {
+      const { studentId, courseId } = req.body || {};
+      if (!studentId) {
+        return res.status(400).json({ error: "studentId is required" });
+      }
+
+      const parsed = toAccommodationData(req.body);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const student = await prisma.user.findUnique({
+        where: { id: String(studentId) },
+        select: { id: true, collegeId: true },
+      });
+      if (!student) return res.status(404).json({ error: "Student not found" });
+
+      let enrollmentId = null;
+      if (courseId) {
+        const enrollment = await prisma.enrollment.findUnique({
+          where: {
+            studentId_courseId: {
+              studentId: student.id,
+              courseId: String(courseId),
+            },
+          },
+          select: { id: true, deletedAt: true },
+        });
+        if (!enrollment || enrollment.deletedAt) {
+          return res
+            .status(400)
+            .json({ error: "Student is not enrolled in this course" });
+        }
+        enrollmentId = enrollment.id;
+      }
+
+      if (!(await canManage(req, courseId ? String(courseId) : null))) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      const accommodation = await prisma.$transaction(async (tx) => {
+        const created = await tx.accommodation.create({
+          data: {
+            ...parsed.data,
+            studentId: student.id,
+            enrollmentId,
+            grantedById: req.user.id,
+          },
+          include: accommodationInclude,
+        });
+        await recordAccommodationEvent(tx, created, {
+          action: "granted",
+          reason: created.reason,
+          actorId: req.user.id,
+        });
+        return created;
+      });
+
+      return res.status(201).json(accommodation);
+    } catch (e) {
+      console.error("POST /accommodations error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.patch(
+  "/accommodations/:id",
+  manageAccommodation,
+  async (req, res) => {
+    try {
+      const accommodation = await loadManagedAccommodation(req, res);
+      if (!accommodation) return;
+      if (accommodation.revokedAt) {
+        return res
+          .status(409)
+          .json({ error: "Revoked accommodations cannot be changed" });
+      }
+
+      const parsed = toAccommodationData(req.body);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      if (!Object.keys(parsed.data).length) {
+        return res.status(400).json({ error: "Nothing to update" });
+      }
+
+      const updated = await prisma.$transaction(async (tx) => {
+        const saved = await tx.accommodation.update({
+          where: { id: accommodation.id },
+          data: parsed.data,
+          include: accommodationInclude,
+        });
+        await recordAccommodationEvent(tx, saved, {
+          action: "updated",
+          reason: parsed.data.reason,
+          actorId: req.user.id,
+        });
+        return saved;
+      });
+
+      return res.json(updated);
+    } catch (e) {
+      console.error("PATCH /accommodations/:id error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.post(
+  "/accommodations/:id/revoke",
+  manageAccommodation,
+  async (req, res) => {
+    try {
+      const accommodation = await loadManagedAccommodation(req, res);
+      if (!accommodation) return;
+      if (accommodation.revokedAt) {
+        return res
+          .status(409)
+          .json({ error: "Accommodation is already revoked" });
+      }
+
+      const reason = String(req.body?.reason || "").trim() || null;
+      const revoked = await prisma.$transaction(async (tx) => {
+        const saved = await tx.accommodation.update({
+          where: { id: accommodation.id },
+          data: { revokedAt: new Date(), revokedById: req.user.id },
+          include: accommodationInclude,
+        });
+        await recordAccommodationEvent(tx, saved, {
+          action: "revoked",
+          reason,
+          actorId: req.user.id,
+        });
+        return saved;
+      });
+
+      return res.json(revoked);
+    } catch (e) {
+      console.error("POST /accommodations/:id/revoke error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.get(
+  "/accommodations/:id/history",
+  manageAccommodation,
+  async (req, res) => {
+    try {
+      const accommodation = await loadManagedAccommodation(req, res);
+      if (!accommodation) return;
+
+      const events = await prisma.accommodationEvent.findMany({
+        where: { accommodationId: accommodation.id },
+        orderBy: { createdAt: "asc" },
+      });
+
+      // Resolve actor names for the audit view
+      const actors = await prisma.user.findMany({
+        where: { id: { in: [...new Set(events.map((e) => e.actorId))] } },
+        select: { id: true, fullName: true, email: true },
+      });
+      const byId = new Map(actors.map((u) => [u.id, u]));
+
+      return res.json({
+        ...accommodation,
+        events: events.map((e) => ({
+          ...e,
+          actor: byId.get(e.actorId) ?? null,
+        })),
+      });
+    } catch (e) {
+      console.error("GET /accommodations/:id/history error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+export default router;
@@ -1,19 +1,13 @@
 import express from "express";
 import { prisma } from "../config/prisma.js";
+import { combineScoresByAssessment } from "../utils/attemptScoring.js";
+import { HELD_INTEGRITY_STATUSES } from "../utils/proctoring.js";
 
 const router = express.Router();
 
-const up = (s) => String(s || "").toUpperCase();
-const isAdmin = (u) => up(u?.role) === "ADMIN";
+// server.js mounts this behind requirePermission("report.view")
 
-// Middleware: only ADMINs allowed
-function requireAdmin(req, res, next) {
-  if (!req.user) return res.status(401).json({ error: "Unauthorized" });
-  if (!isAdmin(req.user)) return res.status(403).json({ error: "Forbidden" });
-  next();
-}
-
-router.get("/overview", requireAdmin, async (req, res) => {
+router.get("/overview", async (req, res) => {
   try {
     const collegeId = req.user.collegeId;
 
@@ -61,7 +55,7 @@ router.get("/overview", requireAdmin, async (req, res) => {
   }
 });
 
-router.get("/instructors", requireAdmin, async (req, res) => {
+router.get("/instructors", async (req, res) => {
   const collegeId = req.user.collegeId;
 
   const rows = await prisma.user.findMany({
@@ -97,7 +91,7 @@ router.get("/instructors", requireAdmin, async (req, res) => {
   res.json({ data: rows });
 });
 
-router.get("/students", requireAdmin, async (req, res) => {
+router.get("/students", async (req, res) => {
   try {
     const collegeId = req.user.collegeId;
 
@@ -146,6 +140,8 @@ router.get("/students", requireAdmin, async (req, res) => {
             score: true,
             submittedAt: true,
             status: true,
+            integrityStatus: true,
+            assessment: { select: { attemptScoring: true } },
           },
         },
       },
@@ -160,6 +156,16 @@ router.get("/students", requireAdmin, async (req, res) => {
           title: e.course?.title || "Untitled Course",
         })),
         finalTests: u.assessmentAttempts?.length || 0,
+        // Counting score per assessment under its attempt scoring policy
+        assessmentScores: combineScoresByAssessment(
+          u.assessmentAttempts
+            .filter(
+              (a) =>
+                a.status === "submitted" &&
+                !HELD_INTEGRITY_STATUSES.includes(a.integrityStatus)
+            )
+            .map((a) => ({ ...a, studentId: u.id }))
+        ).map(({ studentId: _studentId, ...score }) => score),
         interviews: 0,
         certifications: u.certificates?.length || 0,
       };
@@ -172,7 +178,7 @@ router.get("/students", requireAdmin, async (req, res) => {
   }
 });
 
-router.get("/courses", requireAdmin, async (req, res) => {
+router.get("/courses", async (req, res) => {
   try {
     const collegeId = req.user.collegeId;
 
@@ -1,12 +1,246 @@
 import express from "express";
+import multer from "multer";
 import { prisma } from "../config/prisma.js";
-import { protect, authorize } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/auth.js";
+import {
+  hasPermission,
+  courseScope,
+  assignedCourseScope,
+  assessmentCourseId,
+  chapterCourseId,
+  attemptScope,
+  attemptsInScope,
+} from "../utils/permissions.js";
+import { isInstructorEligibleForCourse } from "../utils/instructorEligibility.js";
+import {
+  toQuestionData,
+  resolvePools,
+  replaceAssessmentPools,
+  syncAssessmentQuestions,
+} from "../utils/questionData.js";
+import {
+  buildQuestionPaper,
+  toPaperQuestion,
+  parsePairs,
+} from "../utils/questionPaper.js";
+import {
+  toCertificateRules,
+  certificateRulesFor,
+} from "../utils/certificates.js";
+import { certificateVerifyUrl } from "../utils/certificatePdf.js";
+import { toScoringPolicy } from "../utils/scoringPolicy.js";
+import { viewRoleOf, toAssessmentView } from "../utils/assessmentViews.js";
+import {
+  toReviewPolicy,
+  reviewAvailability,
+} from "../utils/reviewPolicy.js";
+import {
+  toAttemptScoring,
+  combineAttemptScores,
+  combineScoresByAssessment,
+} from "../utils/attemptScoring.js";
+import {
+  WINDOW_FIELDS,
+  toWindowData,
+  toLatePenalty,
+  loadAssessmentWindows,
+  windowFor,
+  availabilityStatus,
+  windowError,
+  latePenaltyFor,
+} from "../utils/assessmentWindows.js";
+import {
+  loadAccommodations,
+  combineAccommodations,
+  accommodationFor,
+  effectiveMaxAttempts,
+  effectiveTimeLimit,
+  extendWindow,
+} from "../utils/accommodations.js";
+import {
+  needsManualGrading,
+  gradePaper,
+  scoreAttempt,
+  issueCertificate,
+  regradeAssessment,
+} from "../utils/grading.js";
+import {
+  readQuestionImport,
+  importReport,
+  isDryRun,
+  buildSpreadsheetTemplate,
+  buildSpreadsheetExport,
+  buildQtiPackage,
+} from "../utils/questionFormats.js";
+import { analyzeItems } from "../utils/itemAnalysis.js";
+import {
+  ASSIGNMENT_ITEM_ID,
+  isAssignment,
+  toAssignmentSettings,
+  assignmentPaper,
+  submissionFilesError,
+} from "../utils/assignments.js";
+import {
+  resolveRubricId,
+  attachRubrics,
+  toRubricGrade,
+  toRubricScoreRows,
+} from "../utils/rubrics.js";
+import {
+  toProctoringSettings,
+  proctoringSettings,
+  recordProctoringEvents,
+  HELD_INTEGRITY_STATUSES,
+} from "../utils/proctoring.js";
+import { SURVEY_TYPE, isSurvey, toSurveySettings } from "../utils/surveys.js";
+import { acceptFiles, uploadFiles } from "../middleware/fileUpload.js";
 const router = express.Router();
 
-const up = (s) => String(s || "").toUpperCase();
-const isAdmin = (req) => ["ADMIN", "SUPERADMIN"].includes(up(req.user?.role));
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 8 * 1024 * 1024 },
+});
+
+// Authoring stays within courses the user's college owns; reading a
+// course's setup and per-college overrides extend to courses assigned to it
+const manageCourseAssessments = requirePermission("assessment.manage", (req) =>
+  courseScope(prisma, req.params.courseId)
+);
+const readCourseAssessments = requirePermission("assessment.manage", (req) =>
+  assignedCourseScope(prisma, req.params.courseId, req.access)
+);
+const manageChapterAssessments = requirePermission(
+  "assessment.manage",
+  async (req) =>
+    courseScope(prisma, await chapterCourseId(prisma, req.params.chapterId))
+);
+const manageAssessment = requirePermission("assessment.manage", async (req) =>
+  courseScope(prisma, await assessmentCourseId(prisma, req.params.id))
+);
+const manageOverrides = requirePermission("assessment.manage", async (req) =>
+  assignedCourseScope(
+    prisma,
+    await assessmentCourseId(prisma, req.params.id),
+    req.access
+  )
+);
+
+// Sees the course's unpublished assessments and is not held to their
+// windows: managers of a course their college owns or is assigned
+async function isAdmin(req, courseId) {
+  if (!hasPermission(req.access, "assessment.manage")) return false;
+  if (req.access.global) return true;
+  const scope = await assignedCourseScope(prisma, courseId ?? null, req.access);
+  return (
+    scope.collegeId !== undefined &&
+    hasPermission(req.access, "assessment.manage", scope)
+  );
+}
+
+// Staff only get the staff view (answer keys, pools) for courses they
+// manage or teach
+async function viewRoleFor(req, courseId) {
+  const role = viewRoleOf(req.user);
+  if (role === "admin") {
+    return (await isAdmin(req, courseId)) ? role : "student";
+  }
+  if (role !== "instructor") return role;
+  return (await canGradeCourse(req, courseId)) ? role : "student";
+}
+
+/**
+ * Parses the settings every create and update handler accepts. Returns
+ * { data } with only the settings the body sends, ready for prisma (null
+ * clears a JSON setting), or { error }. `current` is the assessment being
+ * updated, for checking its date window.
+ */
+async function toAssessmentSettings(body, user, current = {}) {
+  const parsers = {
+    scoringPolicy: () => toScoringPolicy(body.scoringPolicy),
+    reviewPolicy: () => toReviewPolicy(body.reviewPolicy),
+    attemptScoring: () => toAttemptScoring(body.attemptScoring),
+    latePenalty: () => toLatePenalty(body.latePenalty),
+    rubricId: () => resolveRubricId(prisma, body.rubricId, user),
+    proctoring: () => toProctoringSettings(body.proctoring),
+    assignment: () => toAssignmentSettings(body.assignment),
+    survey: () => toSurveySettings(body.survey),
+  };
+
+  const data = {};
+  for (const [field, parse] of Object.entries(parsers)) {
+    if (body[field] === undefined) continue;
+    const parsed = await parse();
+    if (parsed.error) return { error: parsed.error };
+    // A null rubricId unlinks the rubric; JSON settings clear to {}
+    data[field] = field === "rubricId" ? parsed.data : parsed.data ?? {};
+  }
+
+  const dates = toWindowData(body, current);
+  if (dates.error) return { error: dates.error };
+  return { data: { ...data, ...dates.data } };
+}
+
+// What a student actually gets: the assessment's settings after date
+// overrides and their accommodations
+function applyStudentTerms(assessment, window, accommodation) {
+  const terms = {
+    window: extendWindow(window, accommodation),
+    accommodation,
+    maxAttempts: effectiveMaxAttempts(assessment, accommodation),
+    timeLimitSeconds: effectiveTimeLimit(assessment, accommodation),
+  };
+  return {
+    ...terms,
+    // The assessment as this student sees it
+    assessment: {
+      ...assessment,
+      ...terms.window,
+      maxAttempts: terms.maxAttempts,
+      timeLimitSeconds: terms.timeLimitSeconds,
+    },
+  };
+}
+
+// `user` needs id, collegeId and departmentId
+async function studentTerms(assessment, user) {
+  const [window, accommodation] = await Promise.all([
+    windowFor(prisma, assessment, user),
+    accommodationFor(prisma, assessment, user.id),
+  ]);
+  return applyStudentTerms(assessment, window, accommodation);
+}
+
+// Students see each assessment's effective dates and availability status
+async function toAssessmentViews(req, assessments, role) {
+  if (role !== "student") {
+    return assessments.map((a) => toAssessmentView(a, role));
+  }
 
-router.get("/courses/:courseId/final-test", protect, async (req, res) => {
+  const [windows, accommodations] = await Promise.all([
+    loadAssessmentWindows(prisma, assessments, req.user),
+    loadAccommodations(prisma, req.user.id),
+  ]);
+  return assessments.map((a) => {
+    const terms = applyStudentTerms(
+      a,
+      windows.get(a.id),
+      combineAccommodations(accommodations, a)
+    );
+    return {
+      ...toAssessmentView(terms.assessment, role),
+      availability: availabilityStatus(terms.window),
+    };
+  });
+}
+
+const windowSelect = {
+  dueAt: true,
+  availableFrom: true,
+  availableUntil: true,
+  latePenalty: true,
+};
+
+router.get("/courses/:courseId/final-test", async (req, res) => {
   try {
     const { courseId } = req.params;
 
@@ -25,7 +259,8 @@ router.get("/courses/:courseId/final-test", protect, async (req, res) => {
         courseId: String(courseId),
         scope: "course",
         chapterId: null,
-        ...(isAdmin(req) ? {} : { isPublished: true }),
+        type: { not: SURVEY_TYPE },
+        ...((await isAdmin(req, courseId)) ? {} : { isPublished: true }),
       },
       select: {
         id: true,
@@ -36,6 +271,7 @@ router.get("/courses/:courseId/final-test", protect, async (req, res) => {
         timeLimitSeconds: true,
         maxAttempts: true,
         createdAt: true,
+        ...windowSelect,
       },
     });
 
@@ -45,7 +281,12 @@ router.get("/courses/:courseId/final-test", protect, async (req, res) => {
     }
 
     // console.log("✅ Final test found:", finalTest.id);
-    return res.status(200).json(finalTest);
+    const [view] = await toAssessmentViews(
+      req,
+      [finalTest],
+      viewRoleOf(req.user)
+    );
+    return res.status(200).json(view);
   } catch (e) {
     console.error("GET /courses/:courseId/final-test error:", e);
     return res.status(500).json({ error: "Internal error" });
@@ -54,8 +295,7 @@ router.get("/courses/:courseId/final-test", protect, async (req, res) => {
 
 router.post(
   "/chapters/:chapterId/assessments",
-  protect,
-  authorize("ADMIN", "SUPERADMIN"),
+  manageChapterAssessments,
   async (req, res) => {
     try {
       const { chapterId } = req.params;
@@ -67,14 +307,30 @@ router.post(
         isPublished = true,
         order = 1,
         questions = [],
+        pools = [],
+        shuffleQuestions = false,
+        shuffleOptions = false,
       } = req.body;
 
+      const settings = await toAssessmentSettings(req.body, req.user);
+      if (settings.error) {
+        return res.status(400).json({ error: settings.error });
+      }
+
       const chapter = await prisma.chapter.findUnique({
         where: { id: String(chapterId) },
         select: { id: true, courseId: true },
       });
       if (!chapter) return res.status(404).json({ error: "Chapter not found" });
 
+      const poolRows = await resolvePools(
+        prisma,
+        chapter.courseId,
+        pools,
+        req.access
+      );
+      if (poolRows.error) return res.status(400).json({ error: poolRows.error });
+
       const assessment = await prisma.assessment.create({
         data: {
           title: String(title || "Untitled Chapter Quiz"),
@@ -83,40 +339,40 @@ router.post(
           timeLimitSeconds,
           maxAttempts,
           isPublished,
+          shuffleQuestions: !!shuffleQuestions,
+          shuffleOptions: !!shuffleOptions,
+          ...settings.data,
           order,
           chapterId: chapter.id,
           courseId: chapter.courseId,
         },
-        select: { id: true },
+        select: { id: true, courseId: true },
       });
 
       if (Array.isArray(questions) && questions.length) {
         const qData = questions.map((q, i) => ({
+          ...toQuestionData(q, i),
           assessmentId: assessment.id,
-          prompt: String(q.prompt || q.text || ""),
-          type: String(q.type || "single"),
-          options: Array.isArray(q.options)
-            ? q.options.map((opt) => (typeof opt === "string" ? opt : opt.text))
-            : [],
-          correctOptionIndex: Number.isFinite(q.correctOptionIndex)
-            ? q.correctOptionIndex
-            : null,
-          correctOptionIndexes: Array.isArray(q.correctOptionIndexes)
-            ? q.correctOptionIndexes.map(Number)
-            : [],
-          correctText: q.correctText ?? null,
-          pairs: q.pairs ?? null,
-          sampleAnswer: q.sampleAnswer ?? null,
-          points: Number.isFinite(q.points) ? q.points : 1,
-          order: Number.isFinite(q.order) ? q.order : i + 1,
         }));
 
         await prisma.assessmentQuestion.createMany({ data: qData });
       }
 
+      if (poolRows.data.length) {
+        await prisma.assessmentPool.createMany({
+          data: poolRows.data.map((p) => ({ ...p, assessmentId: assessment.id })),
+        });
+      }
+
       const full = await prisma.assessment.findUnique({
         where: { id: assessment.id },
-        include: { questions: { orderBy: [{ order: "asc" }, { id: "asc" }] } },
+        include: {
+          questions: {
+            where: { deletedAt: null },
+            orderBy: [{ order: "asc" }, { id: "asc" }],
+          },
+          pools: { orderBy: { order: "asc" } },
+        },
       });
 
       return res.status(201).json(full);
@@ -127,13 +383,13 @@ router.post(
   }
 );
 
-router.get("/chapters/:chapterId/assessments", protect, async (req, res) => {
+router.get("/chapters/:chapterId/assessments", async (req, res) => {
   try {
     const { chapterId } = req.params;
 
     const chapterExists = await prisma.chapter.findUnique({
       where: { id: String(chapterId) },
-      select: { id: true },
+      select: { id: true, courseId: true },
     });
 
     if (!chapterExists) {
@@ -144,7 +400,9 @@ router.get("/chapters/:chapterId/assessments", protect, async (req, res) => {
       where: {
         chapterId: String(chapterId),
         scope: "chapter",
-        ...(isAdmin(req) ? {} : { isPublished: true }),
+        ...((await isAdmin(req, chapterExists.courseId))
+          ? {}
+          : { isPublished: true }),
       },
       orderBy: {
         order: "asc",
@@ -153,12 +411,16 @@ router.get("/chapters/:chapterId/assessments", protect, async (req, res) => {
         // ✅ Add this to fetch related questions
         questions: {
           // ✅ This matches your AssessmentQuestion table relation
+          where: { deletedAt: null },
           orderBy: [{ order: "asc" }, { id: "asc" }],
         },
       },
     });
 
-    return res.status(200).json(assessments);
+    const role = await viewRoleFor(req, assessments[0]?.courseId);
+    return res
+      .status(200)
+      .json(await toAssessmentViews(req, assessments, role));
   } catch (e) {
     console.error("GET /chapters/:chapterId/assessments error:", e);
     return res.status(500).json({ error: "Internal error" });
@@ -167,8 +429,7 @@ router.get("/chapters/:chapterId/assessments", protect, async (req, res) => {
 
 router.post(
   "/courses/:courseId/final-test",
-  protect,
-  authorize("ADMIN", "SUPERADMIN"),
+  manageCourseAssessments,
   async (req, res) => {
     try {
       const { courseId } = req.params;
@@ -180,8 +441,16 @@ router.post(
         passingMark, // ✅ No default - must be provided
         isPublished = true,
         questions = [],
+        pools = [],
+        shuffleQuestions = false,
+        shuffleOptions = false,
       } = req.body;
 
+      const settings = await toAssessmentSettings(req.body, req.user);
+      if (settings.error) {
+        return res.status(400).json({ error: settings.error });
+      }
+
       const course = await prisma.course.findUnique({
         where: { id: String(courseId) },
         select: { id: true },
@@ -249,6 +518,9 @@ router.post(
         });
       }
 
+      const poolRows = await resolvePools(prisma, course.id, pools, req.access);
+      if (poolRows.error) return res.status(400).json({ error: poolRows.error });
+
       const assessment = await prisma.assessment.create({
         data: {
           title: String(title || "Final Test"),
@@ -258,6 +530,9 @@ router.post(
           maxAttempts: validatedMaxAttempts, // ✅ User-provided value
           passingMark: validatedPassingMark, // ✅ User-provided value
           isPublished,
+          shuffleQuestions: !!shuffleQuestions,
+          shuffleOptions: !!shuffleOptions,
+          ...settings.data,
           order: 999,
           courseId: course.id,
           chapterId: null,
@@ -267,34 +542,27 @@ router.post(
 
       if (Array.isArray(questions) && questions.length) {
         const qData = questions.map((q, i) => ({
+          ...toQuestionData(q, i),
           assessmentId: assessment.id,
-          prompt: String(q.prompt || q.text || ""),
-          type: String(q.type || "single"),
-          options: Array.isArray(q.options)
-            ? q.options.map((opt) => (typeof opt === "string" ? opt : opt.text))
-            : [],
-          correctOptionIndex: Number.isFinite(q.correctOptionIndex)
-            ? q.correctOptionIndex
-            : null,
-          correctOptionIndexes: Array.isArray(q.correctOptionIndexes)
-            ? q.correctOptionIndexes.map(Number)
-            : [],
-          correctText: q.correctText ?? null,
-          pairs: q.pairs ?? null,
-          sampleAnswer: q.sampleAnswer ?? null,
-          points: Number.isFinite(q.points) ? q.points : 1,
-          order: Number.isFinite(q.order) ? q.order : i + 1,
         }));
 
         await prisma.assessmentQuestion.createMany({ data: qData });
       }
 
+      if (poolRows.data.length) {
+        await prisma.assessmentPool.createMany({
+          data: poolRows.data.map((p) => ({ ...p, assessmentId: assessment.id })),
+        });
+      }
+
       const full = await prisma.assessment.findUnique({
         where: { id: assessment.id },
         include: {
           questions: {
+            where: { deletedAt: null },
             orderBy: [{ order: "asc" }, { id: "asc" }],
           },
+          pools: { orderBy: { order: "asc" } },
         },
       });
 
@@ -308,8 +576,7 @@ router.post(
 
 router.get(
   "/courses/:courseId/final-test/:assessmentId",
-  protect,
-  authorize("ADMIN", "SUPERADMIN"),
+  readCourseAssessments,
   async (req, res) => {
     try {
       const { courseId, assessmentId } = req.params;
@@ -333,8 +600,10 @@ router.get(
         },
         include: {
           questions: {
+            where: { deletedAt: null },
             orderBy: [{ order: "asc" }, { id: "asc" }],
           },
+          pools: { orderBy: { order: "asc" } },
         },
       });
 
@@ -357,8 +626,7 @@ router.get(
 
 router.put(
   "/courses/:courseId/final-test/:assessmentId",
-  protect,
-  authorize("ADMIN", "SUPERADMIN"),
+  manageCourseAssessments,
   async (req, res) => {
     try {
       const { courseId, assessmentId } = req.params;
@@ -368,6 +636,9 @@ router.put(
         maxAttempts = 1,
         isPublished = true,
         questions = [],
+        pools,
+        shuffleQuestions,
+        shuffleOptions,
       } = req.body;
 
       // Verify course exists
@@ -396,6 +667,21 @@ router.put(
         });
       }
 
+      const settings = await toAssessmentSettings(
+        req.body,
+        req.user,
+        existingAssessment
+      );
+      if (settings.error) {
+        return res.status(400).json({ error: settings.error });
+      }
+
+      const poolRows =
+        pools !== undefined
+          ? await resolvePools(prisma, course.id, pools, req.access)
+          : null;
+      if (poolRows?.error) return res.status(400).json({ error: poolRows.error });
+
       // Use transaction to update assessment and replace questions
       const updatedAssessment = await prisma.$transaction(async (tx) => {
         // Update the assessment
@@ -406,39 +692,35 @@ router.put(
             timeLimitSeconds,
             maxAttempts,
             isPublished,
+            ...(shuffleQuestions !== undefined && {
+              shuffleQuestions: !!shuffleQuestions,
+            }),
+            ...(shuffleOptions !== undefined && {
+              shuffleOptions: !!shuffleOptions,
+            }),
+            ...settings.data,
           },
         });
 
-        // Delete all existing questions for this assessment
-        await tx.assessmentQuestion.deleteMany({
-          where: { assessmentId: existingAssessment.id },
-        });
+        // Update questions in place so existing attempts can be regraded
+        await syncAssessmentQuestions(
+          tx,
+          existingAssessment.id,
+          Array.isArray(questions) ? questions : []
+        );
 
-        // Create new questions if provided
-        if (Array.isArray(questions) && questions.length) {
-          const qData = questions.map((q, i) => ({
-            assessmentId: existingAssessment.id,
-            prompt: String(q.prompt || q.text || ""),
-            type: String(q.type || "single"),
-            options: Array.isArray(q.options)
-              ? q.options.map((opt) =>
-                  typeof opt === "string" ? opt : opt.text
-                )
-              : [],
-            correctOptionIndex: Number.isFinite(q.correctOptionIndex)
-              ? q.correctOptionIndex
-              : null,
-            correctOptionIndexes: Array.isArray(q.correctOptionIndexes)
-              ? q.correctOptionIndexes.map(Number)
-              : [],
-            correctText: q.correctText ?? null,
-            pairs: q.pairs ?? null,
-            sampleAnswer: q.sampleAnswer ?? null,
-            points: Number.isFinite(q.points) ? q.points : 1,
-            order: Number.isFinite(q.order) ? q.order : i + 1,
-          }));
-
-          await tx.assessmentQuestion.createMany({ data: qData });
+        if (poolRows) {
+          await tx.assessmentPool.deleteMany({
+            where: { assessmentId: existingAssessment.id },
+          });
+          if (poolRows.data.length) {
+            await tx.assessmentPool.createMany({
+              data: poolRows.data.map((p) => ({
+                ...p,
+                assessmentId: existingAssessment.id,
+              })),
+            });
+          }
         }
 
         // Fetch and return the updated assessment with questions
@@ -446,8 +728,10 @@ router.put(
           where: { id: existingAssessment.id },
           include: {
             questions: {
+              where: { deletedAt: null },
               orderBy: [{ order: "asc" }, { id: "asc" }],
             },
+            pools: { orderBy: { order: "asc" } },
           },
         });
       });
@@ -463,9 +747,59 @@ router.put(
   }
 );
 
-router.get("/assessments", protect, async (req, res) => {
+router.get(
+  "/courses/:courseId/certificate-rules",
+  readCourseAssessments,
+  async (req, res) => {
+    try {
+      const course = await prisma.course.findUnique({
+        where: { id: String(req.params.courseId) },
+        select: { id: true, certificateRules: true },
+      });
+      if (!course) return res.status(404).json({ error: "Course not found" });
+
+      return res.json(certificateRulesFor(course));
+    } catch (e) {
+      console.error("GET /courses/:courseId/certificate-rules error:", e);
+      res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.put(
+  "/courses/:courseId/certificate-rules",
+  manageCourseAssessments,
+  async (req, res) => {
+    try {
+      const course = await prisma.course.findUnique({
+        where: { id: String(req.params.courseId) },
+        select: { id: true, certificateRules: true },
+      });
+      if (!course) return res.status(404).json({ error: "Course not found" });
+
+      const rules = toCertificateRules({
+        ...certificateRulesFor(course),
+        ...(req.body || {}),
+      });
+      if (rules.error) return res.status(400).json({ error: rules.error });
+
+      const updated = await prisma.course.update({
+        where: { id: course.id },
+        data: { certificateRules: rules.data },
+        select: { certificateRules: true },
+      });
+
+      return res.json(updated.certificateRules);
+    } catch (e) {
+      console.error("PUT /courses/:courseId/certificate-rules error:", e);
+      res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.get("/assessments", async (req, res) => {
   try {
-    const { chapterId, courseId, scope } = req.query;
+    const { chapterId, courseId, scope, availability } = req.query;
 
     let where = {};
 
@@ -484,7 +818,10 @@ router.get("/assessments", protect, async (req, res) => {
       return res.status(400).json({ error: "chapterId or courseId required" });
     }
 
-    if (!isAdmin(req)) {
+    const listCourseId = chapterId
+      ? await chapterCourseId(prisma, chapterId)
+      : String(courseId);
+    if (!(await isAdmin(req, listCourseId))) {
       where.isPublished = true;
     }
 
@@ -502,10 +839,18 @@ router.get("/assessments", protect, async (req, res) => {
         order: true,
         chapterId: true,
         courseId: true,
+        ...windowSelect,
       },
     });
 
-    res.json(rows);
+    // ?availability=upcoming|open|overdue|closed narrows a student's list
+    const role = viewRoleOf(req.user);
+    const views = await toAssessmentViews(req, rows, role);
+    res.json(
+      availability && role === "student"
+        ? views.filter((v) => v.availability === String(availability))
+        : views
+    );
   } catch (e) {
     console.error("GET /assessments error:", e);
     res.status(500).json({ error: "Internal error" });
@@ -513,16 +858,18 @@ router.get("/assessments", protect, async (req, res) => {
 });
 
 
-router.get("/assessments/:id", protect, async (req, res) => {
+router.get("/assessments/:id", async (req, res) => {
   try {
     const a = await prisma.assessment.findUnique({
       where: { id: String(req.params.id) },
       include: {
         questions: {
+          where: { deletedAt: null },
           orderBy: [{ order: "asc" }, { id: "asc" }],
         },
+        pools: { orderBy: { order: "asc" } },
         chapter: {
-          select: { id: true, title: true },
+          select: { id: true, title: true, courseId: true },
         },
         course: {
           select: { id: true, title: true },
@@ -532,10 +879,21 @@ router.get("/assessments/:id", protect, async (req, res) => {
 
     if (!a) return res.status(404).json({ error: "Not found" });
 
-    if (!a.isPublished && !isAdmin(req)) {
+    const courseId = a.courseId || a.chapter?.courseId;
+    if (!a.isPublished && !(await isAdmin(req, courseId))) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
+    const role = await viewRoleFor(req, courseId);
+    const isStaff = role !== "student";
+
+    if (!isStaff) await expireOverdueAttempts(a, req.user.id);
+
+    // Students see their own dates, time limit and attempt allowance
+    const terms = isStaff ? null : await studentTerms(a, req.user);
+    const window = terms?.window ?? null;
+    const dated = terms ? terms.assessment : a;
+
     // ✅ Count only completed attempts (not in_progress)
     const attemptCount = await prisma.assessmentAttempt.count({
       where: {
@@ -557,27 +915,96 @@ router.get("/assessments/:id", protect, async (req, res) => {
       orderBy: { submittedAt: "desc" },
     });
 
-    const maxAttempts = a.maxAttempts || 1;
+    // Score that counts under the assessment's attempt scoring policy
+    const counted = combineAttemptScores(
+      await prisma.assessmentAttempt.findMany({
+        where: {
+          assessmentId: a.id,
+          studentId: req.user.id,
+          deletedAt: null,
+          status: "submitted",
+        },
+        select: { id: true, score: true, submittedAt: true },
+      }),
+      a.attemptScoring
+    );
+
+    const maxAttempts = dated.maxAttempts || 1;
     const attemptsRemaining = Math.max(0, maxAttempts - attemptCount);
     const alreadyAttempted = attemptCount > 0;
 
+    const activeAttempt = isStaff
+      ? null
+      : await prisma.assessmentAttempt.findFirst({
+          where: {
+            assessmentId: a.id,
+            studentId: req.user.id,
+            status: "in_progress",
+            deletedAt: null,
+          },
+          orderBy: { startedAt: "desc" },
+        });
+
+    // Students get the paper for their next attempt instead of the raw
+    // questions; timed papers are only handed out by /attempts/start and
+    // nothing is handed out outside the availability window
+    const requiresStart = !!a.timeLimitSeconds && !activeAttempt;
+    const unavailable = !isStaff && !activeAttempt && !!windowError(window);
+    const paper = isStaff
+      ? null
+      : activeAttempt
+      ? {
+          questions: activeAttempt.servedQuestions || [],
+          totalPoints: (activeAttempt.servedQuestions || []).reduce(
+            (sum, q) => sum + (q.points || 0),
+            0
+          ),
+        }
+      : requiresStart || unavailable
+      ? { questions: [], totalPoints: null }
+      : await buildQuestionPaper(prisma, a, {
+          studentId: req.user.id,
+          attemptNumber: attemptCount + 1,
+        });
+
     // ✅ Calculate points
-    const totalPoints = a.questions.reduce((sum, q) => sum + (q.points || 1), 0);
-    const earnedPoints = latestAttempt?.score
-      ? Math.round((latestAttempt.score / 100) * totalPoints)
+    const totalPoints =
+      paper?.totalPoints ??
+      a.questions.reduce((sum, q) => sum + (q.points || 1), 0);
+    const earnedPoints = counted
+      ? Math.round((counted.score / 100) * totalPoints)
       : 0;
 
     // ✅ Always return attempt info for students
     const response = {
-      ...a,
+      ...toAssessmentView(dated, role),
+      ...(window && { availability: availabilityStatus(window) }),
+      ...(paper && {
+        questions: paper.questions.map(toPaperQuestion),
+        requiresStart,
+        activeAttempt: activeAttempt
+          ? {
+              attemptId: activeAttempt.id,
+              deadlineAt: activeAttempt.deadlineAt,
+              remainingSeconds: remainingSeconds(activeAttempt),
+            }
+          : null,
+      }),
       alreadyAttempted,
       attemptCount,
       maxAttempts,
       attemptsRemaining,
       attemptResult: alreadyAttempted
         ? {
-            score: latestAttempt?.score ?? 0,
+            attemptId: latestAttempt?.id,
+            score: counted?.score ?? 0,
+            latestScore: latestAttempt?.score ?? 0,
+            attemptScoring: counted?.policy ?? a.attemptScoring,
+            countedAttemptId: counted?.attemptId ?? null,
             submittedAt: latestAttempt?.submittedAt,
+            reviewAvailable: reviewAvailability(dated, {
+              finishedAttempts: attemptCount,
+            }).allowed,
             attemptNumber: attemptCount,
             attemptsRemaining,
             maxAttempts,
@@ -594,289 +1021,1464 @@ router.get("/assessments/:id", protect, async (req, res) => {
   }
 });
 
-router.post("/assessments/:id/attempts", protect, async (req, res) => {
-  try {
-    const assessmentId = String(req.params.id);
-    const userId = req.user?.id;
+const EXPORT_TYPES = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv",
+  qti: "application/zip",
+};
 
-    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+// Authored questions in the import template (xlsx/csv) or as a QTI package
+router.get(
+  "/assessments/:id/export",
+  requirePermission("assessment.grade"),
+  async (req, res) => {
+    try {
+      const format = String(req.query.format || "xlsx").toLowerCase();
+      if (!EXPORT_TYPES[format]) {
+        return res
+          .status(400)
+          .json({ error: "format must be one of xlsx, csv, qti" });
+      }
 
-    // 1) Load assessment + course + user (for college/department)
-    const [assessment, user] = await Promise.all([
-      prisma.assessment.findUnique({
-        where: { id: assessmentId },
+      const assessment = await prisma.assessment.findUnique({
+        where: { id: String(req.params.id) },
         include: {
-          questions: true,
-          course: { select: { id: true, title: true, collegeId: true } },
-        },
-      }),
-      prisma.user.findUnique({
-        where: { id: userId },
-        select: {
-          departmentId: true,
-          collegeId: true,
+          questions: { where: { deletedAt: null }, orderBy: { order: "asc" } },
+          chapter: { select: { courseId: true } },
         },
-      }),
-    ]);
+      });
+      if (!assessment) {
+        return res.status(404).json({ error: "Assessment not found" });
+      }
 
-    if (!assessment) return res.status(404).json({ error: "Not found" });
-    if (!assessment.isPublished && !isAdmin(req)) {
-      return res.status(403).json({ error: "Forbidden" });
-    }
+      const courseId = assessment.courseId || assessment.chapter?.courseId;
+      if (!(await canGradeCourse(req, courseId))) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
 
-    const attemptCount = await prisma.assessmentAttempt.count({
-      where: {
-        assessmentId,
-        studentId: userId,
-        status: "submitted",
-      },
-    });
+      const file =
+        format === "qti"
+          ? await buildQtiPackage(assessment, assessment.questions)
+          : buildSpreadsheetExport(assessment.questions, format);
+      const ext = format === "qti" ? "zip" : format;
 
-    const maxAttempts = assessment.maxAttempts || 1;
-    if (attemptCount >= maxAttempts) {
-      return res.status(400).json({
-        error: `Maximum attempts (${maxAttempts}) reached.`,
+      res.set({
+        "Content-Type": EXPORT_TYPES[format],
+        "Content-Disposition": `attachment; filename="assessment-${assessment.id}.${ext}"`,
+        "Content-Length": file.length,
       });
+      return res.send(file);
+    } catch (e) {
+      console.error("GET /assessments/:id/export error:", e);
+      return res.status(500).json({ error: "Internal error" });
     }
+  }
+);
 
-    const answers = req.body?.answers || {};
-    let score = 0;
-    let totalPoints = 0;
+// ------------- availability overrides -------------
+
+const overrideInclude = {
+  coursesAssigned: {
+    select: {
+      collegeId: true,
+      departmentId: true,
+      college: { select: { name: true } },
+      department: { select: { name: true } },
+    },
+  },
+};
+
+// College admins only manage overrides for their own college
+const overrideScope = (req) =>
+  req.access.global
+    ? {}
+    : { coursesAssigned: { collegeId: req.user.collegeId || "" } };
 
-    // grading logic unchanged
-    for (const q of assessment.questions) {
-      const pts = typeof q.points === "number" ? q.points : 1;
-      totalPoints += pts;
-      const ans = answers[q.id];
+router.get(
+  "/assessments/:id/overrides",
+  manageOverrides,
+  async (req, res) => {
+    try {
+      const overrides = await prisma.assessmentOverride.findMany({
+        where: { assessmentId: String(req.params.id), ...overrideScope(req) },
+        include: overrideInclude,
+        orderBy: { createdAt: "asc" },
+      });
+      return res.json(overrides);
+    } catch (e) {
+      console.error("GET /assessments/:id/overrides error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
 
-      if (typeof q.correctOptionIndex === "number") {
-        if (Number(ans) === q.correctOptionIndex) score += pts;
-        continue;
+// Creates or updates the override for one college (or department) assignment
+router.put(
+  "/assessments/:id/overrides",
+  manageOverrides,
+  async (req, res) => {
+    try {
+      const assessment = await prisma.assessment.findUnique({
+        where: { id: String(req.params.id) },
+        select: { id: true, courseId: true, ...windowSelect },
+      });
+      if (!assessment) {
+        return res.status(404).json({ error: "Assessment not found" });
       }
-
-      if (
-        Array.isArray(q.correctOptionIndexes) &&
-        q.correctOptionIndexes.length
-      ) {
-        const normalized = Array.isArray(ans) ? ans.map(Number).sort() : [];
-        const correct = [...q.correctOptionIndexes].sort();
-        if (
-          normalized.length === correct.length &&
-          normalized.every((v, i) => v === correct[i])
-        ) {
-          score += pts;
-        }
-        continue;
+      if (!assessment.courseId) {
+        return res
+          .status(400)
+          .json({ error: "Assessment is not attached to a course" });
       }
 
-      if (q.correctText) {
-        const userAns = String(ans || "")
-          .trim()
-          .toLowerCase();
-        const correctAns = String(q.correctText).trim().toLowerCase();
-        if (userAns === correctAns) score += pts;
-        continue;
+      const collegeId = req.access.global
+        ? String(req.body?.collegeId || "")
+        : req.user.collegeId;
+      if (!collegeId) {
+        return res.status(400).json({ error: "collegeId is required" });
       }
+      const departmentId = req.body?.departmentId
+        ? String(req.body.departmentId)
+        : null;
 
-      if (q.pairs) {
-        try {
-          const pairs =
-            typeof q.pairs === "string" ? JSON.parse(q.pairs) : q.pairs;
-          const userPairs = ans || {};
-          let correctCount = 0;
-          pairs.forEach((pair, idx) => {
-            if (
-              userPairs[idx] &&
-              userPairs[idx].toLowerCase().trim() ===
-                pair.right.toLowerCase().trim()
-            ) {
-              correctCount++;
-            }
-          });
-          if (correctCount === pairs.length) score += pts;
-        } catch (e) {
-          console.error("Error grading match question:", e);
-        }
+      const assignment = await prisma.coursesAssigned.findFirst({
+        where: {
+          courseId: assessment.courseId,
+          collegeId,
+          departmentId,
+          deletedAt: null,
+        },
+        select: { id: true },
+      });
+      if (!assignment) {
+        return res.status(400).json({
+          error: departmentId
+            ? "Course is not assigned to this department"
+            : "Course is not assigned to this college",
+        });
       }
-    }
-
-    const percentage =
-      totalPoints > 0 ? Math.round((score / totalPoints) * 100) : 0;
-    const submittedAt = new Date();
-
-    // NEW: derive IDs for attempt
-    const courseId = assessment.courseId || null;
-    const departmentId = user?.departmentId || null;
-    const collegeId = assessment.course?.collegeId || user?.collegeId || null;
-
-    const attempt = await prisma.assessmentAttempt.create({
-      data: {
-        assessmentId,
-        studentId: userId,
-        status: "submitted",
-        submittedAt,
-        score: percentage,
-        answers,
-        courseId, // NEW
-        departmentId, // NEW
-        collegeId, // NEW
-      },
-    });
-
-    let certificateGenerated = false;
 
-    if (percentage >= 70 && assessment.courseId) {
-      try {
-        const certificateId = `CERT-${assessmentId}-${userId}-${Date.now()}`;
+      const existing = await prisma.assessmentOverride.findUnique({
+        where: {
+          assessmentId_coursesAssignedId: {
+            assessmentId: assessment.id,
+            coursesAssignedId: assignment.id,
+          },
+        },
+      });
 
-        const certificateData = {
-          userId: userId,
-          assessmentId: assessmentId,
-          courseId: assessment.courseId,
-          courseName: assessment.course?.title || "Course",
-          studentName: req.user.fullName || req.user.email || "Student",
-          score: percentage,
-          completionDate: submittedAt,
-          certificateId: certificateId,
-        };
+      // Checked against what the students will effectively get
+      const effective = { ...assessment };
+      for (const field of WINDOW_FIELDS) {
+        if (existing?.[field]) effective[field] = existing[field];
+      }
+      const dates = toWindowData(req.body, effective);
+      if (dates.error) return res.status(400).json({ error: dates.error });
 
-        await prisma.certificate.upsert({
-          where: {
-            assessmentId_userId: {
-              assessmentId: assessmentId,
-              userId: userId,
-            },
-          },
-          update: {
-            score: percentage,
-            completionDate: submittedAt,
+      const override = await prisma.assessmentOverride.upsert({
+        where: {
+          assessmentId_coursesAssignedId: {
+            assessmentId: assessment.id,
+            coursesAssignedId: assignment.id,
           },
-          create: certificateData,
-        });
+        },
+        update: dates.data,
+        create: {
+          ...dates.data,
+          assessmentId: assessment.id,
+          coursesAssignedId: assignment.id,
+          createdById: req.user.id,
+        },
+        include: overrideInclude,
+      });
 
-        certificateGenerated = true;
-      } catch (certError) {
-        console.error("\n❌ ❌ ❌ CERTIFICATE ERROR ❌ ❌ ❌", certError);
+      return res.json(override);
+    } catch (e) {
+      console.error("PUT /assessments/:id/overrides error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.delete(
+  "/assessments/:id/overrides/:overrideId",
+  manageOverrides,
+  async (req, res) => {
+    try {
+      const override = await prisma.assessmentOverride.findFirst({
+        where: {
+          id: String(req.params.overrideId),
+          assessmentId: String(req.params.id),
+          ...overrideScope(req),
+        },
+        select: { id: true },
+      });
+      if (!override) {
+        return res.status(404).json({ error: "Override not found" });
       }
+
+      await prisma.assessmentOverride.delete({ where: { id: override.id } });
+      return res.json({ success: true });
+    } catch (e) {
+      console.error("DELETE /assessments/:id/overrides/:overrideId error:", e);
+      return res.status(500).json({ error: "Internal error" });
     }
+  }
+);
 
-    res.json({
-      attemptId: attempt.id,
-      score: percentage,
-      totalPoints,
-      earnedPoints: score,
+// Late submissions inside this window still count as on time (network lag)
+const ATTEMPT_GRACE_MS = 30 * 1000;
+// "needs_review" attempts still have descriptive answers awaiting a grader
+const FINISHED_STATUSES = ["submitted", "needs_review"];
+
+const attemptAssessmentInclude = {
+  questions: true,
+  pools: true,
+  course: { select: { id: true, title: true, collegeId: true } },
+};
+
+const isOverdue = (attempt, now = new Date()) =>
+  !!attempt.deadlineAt &&
+  now.getTime() > new Date(attempt.deadlineAt).getTime() + ATTEMPT_GRACE_MS;
+
+const remainingSeconds = (attempt, now = new Date()) =>
+  attempt.deadlineAt
+    ? Math.max(
+        0,
+        Math.floor((new Date(attempt.deadlineAt).getTime() - now.getTime()) / 1000)
+      )
+    : null;
+
+const FILE_SUBMISSION_REQUIRED = {
+  error: "Assignments are handed in by uploading files",
+  code: "FILE_SUBMISSION_REQUIRED",
+};
+
+const SURVEY_RESPONSE_REQUIRED = {
+  error: "Surveys are answered through /assessments/:id/survey-responses",
+  code: "SURVEY_RESPONSE_REQUIRED",
+};
+
+// Assignments and surveys are never taken as attempts
+const noAttemptsError = (assessment) =>
+  isAssignment(assessment)
+    ? FILE_SUBMISSION_REQUIRED
+    : isSurvey(assessment)
+    ? SURVEY_RESPONSE_REQUIRED
+    : null;
+
+const countFinishedAttempts = (assessmentId, studentId) =>
+  prisma.assessmentAttempt.count({
+    where: {
+      assessmentId,
+      studentId,
+      deletedAt: null,
+      status: { in: FINISHED_STATUSES },
+    },
+  });
+
+// Longest single report accepted for one question (stale tabs, sleep)
+const MAX_QUESTION_TIME_DELTA = 60 * 60;
+
+/**
+ * Adds the seconds reported since the last save to the attempt's running
+ * per-question totals. Unknown questions and bad values are ignored.
+ */
+function addQuestionTimes(attempt, deltas) {
+  const served = new Set(
+    (attempt.servedQuestions || []).map((q) => String(q.id))
+  );
+  const totals = { ...(attempt.questionTimes || {}) };
+  for (const [key, value] of Object.entries(deltas || {})) {
+    const seconds = Number(value);
+    if (!served.has(String(key)) || !Number.isFinite(seconds) || seconds <= 0) {
+      continue;
+    }
+    totals[key] =
+      (Number(totals[key]) || 0) + Math.min(seconds, MAX_QUESTION_TIME_DELTA);
+  }
+  return totals;
+}
+
+// Keeps only answers to questions that were actually served
+function pickServedAnswers(attempt, answers) {
+  const served = new Set(
+    (attempt.servedQuestions || []).map((q) => String(q.id))
+  );
+  const out = {};
+  for (const [key, value] of Object.entries(answers || {})) {
+    if (served.has(String(key))) out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Grades an in-progress attempt against its served paper and closes it.
+ * Returns null when another request already submitted it.
+ */
+async function finalizeAttempt(
+  attempt,
+  assessment,
+  answers,
+  { autoSubmitted = false } = {}
+) {
+  const submittedAt = new Date();
+
+  // Auto-submitted attempts count as handed in at their deadline
+  const handedInAt =
+    autoSubmitted && attempt.deadlineAt
+      ? new Date(Math.min(submittedAt, new Date(attempt.deadlineAt)))
+      : submittedAt;
+  const student = await prisma.user.findUnique({
+    where: { id: attempt.studentId },
+    select: { id: true, collegeId: true, departmentId: true },
+  });
+  const terms = await studentTerms(assessment, student);
+  const lateness = latePenaltyFor(
+    assessment.latePenalty,
+    terms.window,
+    handedInAt
+  );
+
+  const outcome = scoreAttempt(
+    { ...attempt, latePenaltyPercent: lateness.percent },
+    assessment,
+    answers
+  );
+
+  const claimed = await prisma.assessmentAttempt.updateMany({
+    where: { id: attempt.id, status: "in_progress" },
+    data: {
+      status: outcome.status,
       submittedAt,
-      attemptNumber: attemptCount + 1,
-      attemptsRemaining: maxAttempts - (attemptCount + 1),
-      maxAttempts,
-      certificateGenerated,
+      score: outcome.score,
+      earnedPoints: outcome.earnedPoints,
+      totalPoints: outcome.totalPoints,
+      passed: outcome.passed,
+      breakdown: outcome.breakdown,
+      answers,
+      autoSubmitted,
+      submittedLate: lateness.late,
+      latePenaltyPercent: lateness.percent,
+    },
+  });
+  if (!claimed.count) return null;
+
+  const userId = attempt.studentId;
+  const { certificateGenerated, certificate } =
+    outcome.status === "submitted"
+      ? await issueCertificate(
+          prisma,
+          assessment,
+          userId,
+          outcome.score,
+          submittedAt
+        )
+      : { certificateGenerated: false, certificate: null };
+
+  const { maxAttempts } = terms;
+  const attemptNumber =
+    attempt.attemptNumber ??
+    (await countFinishedAttempts(assessment.id, userId));
+
+  return {
+    attemptId: attempt.id,
+    status: outcome.status,
+    score: outcome.score,
+    totalPoints: outcome.totalPoints,
+    earnedPoints: outcome.earnedPoints,
+    passed: outcome.passed,
+    pendingReview: outcome.pendingQuestionIds.length,
+    submittedAt,
+    autoSubmitted,
+    submittedLate: lateness.late,
+    latePenaltyPercent: lateness.percent,
+    attemptNumber,
+    attemptsRemaining: Math.max(0, maxAttempts - attemptNumber),
+    maxAttempts,
+    certificateGenerated,
+    certificate,
+  };
+}
+
+// Auto-submits this student's attempts whose deadline has passed
+async function expireOverdueAttempts(assessment, studentId) {
+  const open = await prisma.assessmentAttempt.findMany({
+    where: {
+      assessmentId: assessment.id,
+      studentId,
+      status: "in_progress",
+      deletedAt: null,
+      deadlineAt: { not: null },
+    },
+  });
+
+  for (const attempt of open.filter((a) => isOverdue(a))) {
+    await finalizeAttempt(attempt, assessment, attempt.answers || {}, {
+      autoSubmitted: true,
     });
-  } catch (e) {
-    console.error("POST /assessments/:id/attempts error:", e);
-    res.status(500).json({ error: "Internal error" });
   }
+}
+
+const toAttemptPayload = (attempt) => ({
+  attemptId: attempt.id,
+  assessmentId: attempt.assessmentId,
+  status: attempt.status,
+  attemptNumber: attempt.attemptNumber,
+  startedAt: attempt.startedAt,
+  deadlineAt: attempt.deadlineAt,
+  remainingSeconds: remainingSeconds(attempt),
+  lastSavedAt: attempt.lastSavedAt,
+  answers: attempt.answers || {},
+  questions: (attempt.servedQuestions || []).map(toPaperQuestion),
 });
 
-router.get("/dashboard", protect, async (req, res) => {
+// Loads an attempt owned by the current user, with its assessment
+async function loadOwnAttempt(req, res) {
+  const attempt = await prisma.assessmentAttempt.findFirst({
+    where: {
+      id: String(req.params.attemptId),
+      studentId: req.user.id,
+      deletedAt: null,
+    },
+    include: { assessment: { include: attemptAssessmentInclude } },
+  });
+  if (!attempt) {
+    res.status(404).json({ error: "Attempt not found" });
+    return null;
+  }
+  return attempt;
+}
+
+// The clock stops at the student's availableUntil even without a time
+// limit; accommodations stretch the time limit itself
+function attemptDeadline({ window, timeLimitSeconds }, startedAt) {
+  const deadlines = [
+    timeLimitSeconds ? startedAt.getTime() + timeLimitSeconds * 1000 : null,
+    window?.availableUntil ? new Date(window.availableUntil).getTime() : null,
+  ].filter((t) => t !== null);
+  return deadlines.length ? new Date(Math.min(...deadlines)) : null;
+}
+
+async function createAttempt(
+  assessment,
+  userId,
+  { terms, startedAt = new Date(), ipAddress = null }
+) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { departmentId: true, collegeId: true },
+  });
+
+  const attemptNumber =
+    (await countFinishedAttempts(assessment.id, userId)) + 1;
+  const paper = isAssignment(assessment)
+    ? assignmentPaper(assessment)
+    : await buildQuestionPaper(prisma, assessment, {
+        studentId: userId,
+        attemptNumber,
+      });
+
+  return prisma.assessmentAttempt.create({
+    data: {
+      assessmentId: assessment.id,
+      studentId: userId,
+      status: "in_progress",
+      startedAt,
+      deadlineAt: attemptDeadline(terms, startedAt),
+      attemptNumber,
+      answers: {},
+      ipAddress,
+      seed: paper.seed,
+      servedQuestions: await attachRubrics(prisma, assessment, paper.questions),
+      courseId: assessment.courseId || null,
+      departmentId: user?.departmentId || null,
+      collegeId: assessment.course?.collegeId || user?.collegeId || null,
+    },
+  });
+}
+
+router.post("/assessments/:id/attempts/start", async (req, res) => {
   try {
-    const studentId = req.user.id;
+    const assessmentId = String(req.params.id);
+    const userId = req.user.id;
 
-    const totalCourses = await prisma.enrollment.count({
-      where: { studentId },
+    const assessment = await prisma.assessment.findUnique({
+      where: { id: assessmentId },
+      include: attemptAssessmentInclude,
     });
+    if (!assessment) return res.status(404).json({ error: "Not found" });
+    const admin = await isAdmin(req, assessment.courseId);
+    if (!assessment.isPublished && !admin) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    const noAttempts = noAttemptsError(assessment);
+    if (noAttempts) return res.status(409).json(noAttempts);
 
-    const completedChapters = await prisma.chapterProgress.count({
-      where: { studentId, isCompleted: true },
-    });
+    await expireOverdueAttempts(assessment, userId);
 
-    const attempts = await prisma.assessmentAttempt.findMany({
-      where: { studentId, status: "submitted" },
-      orderBy: { submittedAt: "desc" },
-      select: { assessmentId: true, score: true },
+    // Resume the attempt already running
+    const running = await prisma.assessmentAttempt.findFirst({
+      where: {
+        assessmentId,
+        studentId: userId,
+        status: "in_progress",
+        deletedAt: null,
+      },
+      orderBy: { startedAt: "desc" },
     });
+    if (running) return res.json(toAttemptPayload(running));
 
-    const seen = new Set();
-    let scoreSum = 0;
-    let count = 0;
+    const terms = await studentTerms(assessment, req.user);
+    const closed = !admin && windowError(terms.window);
+    if (closed) return res.status(403).json(closed);
 
-    for (const a of attempts) {
-      if (seen.has(a.assessmentId)) continue;
-      seen.add(a.assessmentId);
-
-      scoreSum += a.score || 0;
-      count++;
+    const { maxAttempts } = terms;
+    const attemptCount = await countFinishedAttempts(assessmentId, userId);
+    if (attemptCount >= maxAttempts) {
+      return res.status(400).json({
+        error: `Maximum attempts (${maxAttempts}) reached.`,
+      });
     }
 
-    const averageTestScore = count ? Math.round(scoreSum / count) : 0;
-
-    const totalTimeSpent = await prisma.chapterProgress.aggregate({
-      where: { studentId },
-      _sum: { timeSpent: true },
+    const attempt = await createAttempt(assessment, userId, {
+      terms,
+      ipAddress: req.ip,
     });
+    return res.status(201).json(toAttemptPayload(attempt));
+  } catch (e) {
+    console.error("POST /assessments/:id/attempts/start error:", e);
+    res.status(500).json({ error: "Internal error" });
+  }
+});
 
-    const certificatesEarned = await prisma.certificate.count({
-      where: { userId: studentId },
-    });
+router.get("/attempts/:attemptId", async (req, res) => {
+  try {
+    const attempt = await loadOwnAttempt(req, res);
+    if (!attempt) return;
+
+    if (attempt.status === "in_progress" && isOverdue(attempt)) {
+      const result = await finalizeAttempt(
+        attempt,
+        attempt.assessment,
+        attempt.answers || {},
+        { autoSubmitted: true }
+      );
+      return res.json(result);
+    }
 
-    res.json({
-      data: {
-        totalCourses,
-        completedChapters,
-        averageTestScore,
-        totalTimeSpent: totalTimeSpent._sum.timeSpent || 0,
-        certificatesEarned,
-      },
-    });
+    if (attempt.status !== "in_progress") {
+      return res.json({
+        attemptId: attempt.id,
+        assessmentId: attempt.assessmentId,
+        status: attempt.status,
+        attemptNumber: attempt.attemptNumber,
+        startedAt: attempt.startedAt,
+        submittedAt: attempt.submittedAt,
+        autoSubmitted: attempt.autoSubmitted,
+        submittedLate: attempt.submittedLate,
+        latePenaltyPercent: attempt.latePenaltyPercent,
+        score: attempt.score,
+        earnedPoints: attempt.earnedPoints,
+        totalPoints: attempt.totalPoints,
+        passed: attempt.passed,
+        manualFeedback: Object.fromEntries(
+          Object.entries(attempt.manualGrades || {}).map(([id, g]) => [
+            id,
+            {
+              points: g.points,
+              feedback: g.feedback ?? null,
+              rubricScores: g.rubricScores ?? null,
+            },
+          ])
+        ),
+        ...(isAssignment(attempt.assessment) && {
+          submission: attempt.answers?.[ASSIGNMENT_ITEM_ID] ?? null,
+        }),
+      });
+    }
+
+    return res.json(toAttemptPayload(attempt));
   } catch (e) {
-    console.error("dashboard stats error:", e);
+    console.error("GET /attempts/:attemptId error:", e);
     res.status(500).json({ error: "Internal error" });
   }
 });
 
-router.get(
-  "/assessments/:assessmentId/certificate",
-  protect,
+router.patch("/attempts/:attemptId/answers", async (req, res) => {
+  try {
+    const attempt = await loadOwnAttempt(req, res);
+    if (!attempt) return;
+
+    if (attempt.status !== "in_progress") {
+      return res.status(409).json({ error: "Attempt already submitted" });
+    }
+
+    if (isOverdue(attempt)) {
+      const result = await finalizeAttempt(
+        attempt,
+        attempt.assessment,
+        attempt.answers || {},
+        { autoSubmitted: true }
+      );
+      return res.status(409).json({
+        error: "Time limit exceeded. Your saved answers were submitted.",
+        ...result,
+      });
+    }
+
+    const answers = {
+      ...(attempt.answers || {}),
+      ...pickServedAnswers(attempt, req.body?.answers),
+    };
+    const lastSavedAt = new Date();
+
+    // Optional { [questionId]: seconds } spent since the previous save
+    const timing = req.body?.questionTimes
+      ? { questionTimes: addQuestionTimes(attempt, req.body.questionTimes) }
+      : {};
+
+    const saved = await prisma.assessmentAttempt.updateMany({
+      where: { id: attempt.id, status: "in_progress" },
+      data: { answers, lastSavedAt, ...timing },
+    });
+    if (!saved.count) {
+      return res.status(409).json({ error: "Attempt already submitted" });
+    }
+
+    // Autosaves double as a heartbeat for spotting a change of address
+    if (proctoringSettings(attempt.assessment).enabled) {
+      await recordProctoringEvents(prisma, attempt, attempt.assessment, [], {
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+    }
+
+    return res.json({
+      attemptId: attempt.id,
+      lastSavedAt,
+      remainingSeconds: remainingSeconds(attempt),
+    });
+  } catch (e) {
+    console.error("PATCH /attempts/:attemptId/answers error:", e);
+    res.status(500).json({ error: "Internal error" });
+  }
+});
+
+router.post("/attempts/:attemptId/submit", async (req, res) => {
+  try {
+    const attempt = await loadOwnAttempt(req, res);
+    if (!attempt) return;
+
+    if (attempt.status !== "in_progress") {
+      return res.status(409).json({ error: "Attempt already submitted" });
+    }
+
+    // Past the deadline only the autosaved answers are graded
+    const overdue = isOverdue(attempt);
+    const answers = overdue
+      ? attempt.answers || {}
+      : {
+          ...(attempt.answers || {}),
+          ...pickServedAnswers(attempt, req.body?.answers),
+        };
+
+    const result = await finalizeAttempt(attempt, attempt.assessment, answers, {
+      autoSubmitted: overdue,
+    });
+    if (!result) {
+      return res.status(409).json({ error: "Attempt already submitted" });
+    }
+
+    return res.json(result);
+  } catch (e) {
+    console.error("POST /attempts/:attemptId/submit error:", e);
+    res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// Correct answer of a served question, in the order the student saw it
+const correctAnswerOf = (q) => {
+  const pairs = parsePairs(q.pairs);
+  if (typeof q.correctOptionIndex === "number") {
+    return { correctOptionIndex: q.correctOptionIndex };
+  }
+  if (Array.isArray(q.correctOptionIndexes) && q.correctOptionIndexes.length) {
+    return { correctOptionIndexes: q.correctOptionIndexes };
+  }
+  if (q.correctText) return { correctText: q.correctText };
+  if (pairs) return { pairs };
+  return { sampleAnswer: q.sampleAnswer ?? null };
+};
+
+router.get("/attempts/:attemptId/review", async (req, res) => {
+  try {
+    const attempt = await loadOwnAttempt(req, res);
+    if (!attempt) return;
+
+    if (!FINISHED_STATUSES.includes(attempt.status)) {
+      return res.status(409).json({ error: "Attempt has not been submitted" });
+    }
+
+    const { assessment } = attempt;
+    const terms = await studentTerms(assessment, req.user);
+    const availability = reviewAvailability(terms.assessment, {
+      finishedAttempts: await countFinishedAttempts(
+        assessment.id,
+        attempt.studentId
+      ),
+    });
+    if (!availability.allowed) {
+      return res.status(403).json({
+        error: availability.reason,
+        reviewPolicy: assessment.reviewPolicy,
+      });
+    }
+
+    const served = attempt.servedQuestions || [];
+    // Attempts graded before breakdowns were stored are graded on the fly
+    const breakdown =
+      attempt.breakdown ||
+      gradePaper(
+        served,
+        attempt.answers || {},
+        attempt.manualGrades || {},
+        assessment.scoringPolicy
+      ).breakdown;
+    const results = new Map(breakdown.map((r) => [String(r.questionId), r]));
+
+    return res.json({
+      attemptId: attempt.id,
+      assessmentId: assessment.id,
+      status: attempt.status,
+      score: attempt.score,
+      earnedPoints: attempt.earnedPoints,
+      totalPoints: attempt.totalPoints,
+      submittedAt: attempt.submittedAt,
+      questions: served.map((q) => {
+        const result = results.get(String(q.id)) || {};
+        return {
+          ...toPaperQuestion(q),
+          answer: attempt.answers?.[q.id] ?? null,
+          correctAnswer: correctAnswerOf(q),
+          earned: result.earned ?? 0,
+          status: result.status ?? null,
+          feedback: attempt.manualGrades?.[q.id]?.feedback ?? null,
+        };
+      }),
+    });
+  } catch (e) {
+    console.error("GET /attempts/:attemptId/review error:", e);
+    res.status(500).json({ error: "Internal error" });
+  }
+});
+
+router.post("/assessments/:id/attempts", async (req, res) => {
+  try {
+    const assessmentId = String(req.params.id);
+    const userId = req.user?.id;
+
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    const assessment = await prisma.assessment.findUnique({
+      where: { id: assessmentId },
+      include: attemptAssessmentInclude,
+    });
+
+    if (!assessment) return res.status(404).json({ error: "Not found" });
+    const admin = await isAdmin(req, assessment.courseId);
+    if (!assessment.isPublished && !admin) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    const noAttempts = noAttemptsError(assessment);
+    if (noAttempts) return res.status(409).json(noAttempts);
+
+    await expireOverdueAttempts(assessment, userId);
+
+    // A started attempt is submitted through its lifecycle
+    const running = await prisma.assessmentAttempt.findFirst({
+      where: {
+        assessmentId,
+        studentId: userId,
+        status: "in_progress",
+        deletedAt: null,
+      },
+      orderBy: { startedAt: "desc" },
+    });
+
+    const terms = await studentTerms(assessment, req.user);
+    const attemptCount = await countFinishedAttempts(assessmentId, userId);
+    const { maxAttempts } = terms;
+    if (!running && attemptCount >= maxAttempts) {
+      return res.status(400).json({
+        error: `Maximum attempts (${maxAttempts}) reached.`,
+      });
+    }
+
+    // Timed assessments must be started first so the clock is server-side
+    if (!running && assessment.timeLimitSeconds) {
+      return res.status(409).json({
+        error: "This assessment is timed. Start an attempt first.",
+        code: "ATTEMPT_NOT_STARTED",
+      });
+    }
+
+    const closed = !running && !admin && windowError(terms.window);
+    if (closed) return res.status(403).json(closed);
+
+    const attempt =
+      running ||
+      (await createAttempt(assessment, userId, { terms, ipAddress: req.ip }));
+    const answers = {
+      ...(attempt.answers || {}),
+      ...pickServedAnswers(attempt, req.body?.answers),
+    };
+
+    const result = await finalizeAttempt(attempt, assessment, answers);
+    if (!result) {
+      return res.status(409).json({ error: "Attempt already submitted" });
+    }
+
+    res.json(result);
+  } catch (e) {
+    console.error("POST /assessments/:id/attempts error:", e);
+    res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// Hands in an assignment: uploads the files and submits them as a new
+// attempt that waits for grading. Multipart fields: files[], comment?
+router.post(
+  "/assessments/:id/submission",
+  acceptFiles("files"),
   async (req, res) => {
     try {
-      const { assessmentId } = req.params;
       const userId = req.user.id;
+      const assessment = await prisma.assessment.findUnique({
+        where: { id: String(req.params.id) },
+        include: attemptAssessmentInclude,
+      });
+      if (!assessment) return res.status(404).json({ error: "Not found" });
+      const admin = await isAdmin(req, assessment.courseId);
+      if (!assessment.isPublished && !admin) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+      if (!isAssignment(assessment)) {
+        return res
+          .status(400)
+          .json({ error: "This assessment does not accept file submissions" });
+      }
+
+      const terms = await studentTerms(assessment, req.user);
+      const closed = !admin && windowError(terms.window);
+      if (closed) return res.status(403).json(closed);
+
+      const { maxAttempts } = terms;
+      const attemptCount = await countFinishedAttempts(assessment.id, userId);
+      if (attemptCount >= maxAttempts) {
+        return res.status(400).json({
+          error: `Maximum submissions (${maxAttempts}) reached.`,
+        });
+      }
+
+      const fileError = submissionFilesError(assessment, req.files);
+      if (fileError) return res.status(400).json({ error: fileError });
+
+      const files = await uploadFiles(
+        req.files,
+        `lms-assignments/${assessment.id}`
+      );
+      const attempt = await createAttempt(assessment, userId, {
+        terms,
+        ipAddress: req.ip,
+      });
+      const comment = String(req.body?.comment || "").trim() || null;
+
+      const result = await finalizeAttempt(attempt, assessment, {
+        [ASSIGNMENT_ITEM_ID]: { files, comment },
+      });
+      if (!result) {
+        return res.status(409).json({ error: "Attempt already submitted" });
+      }
+
+      return res.status(201).json({ ...result, files });
+    } catch (e) {
+      console.error("POST /assessments/:id/submission error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// ------------- manual grading queue -------------
+
+// Graders who cannot manage assessments grade only the courses they teach;
+// those who can, any course of their college
+async function canGradeCourse(req, courseId) {
+  if (!hasPermission(req.access, "assessment.grade")) return false;
+  if (req.access.global) return true;
+  if (!courseId) return false;
+  if (hasPermission(req.access, "assessment.manage")) {
+    return isAdmin(req, courseId);
+  }
+  return isInstructorEligibleForCourse(prisma, req.user, courseId);
+}
+
+// Attempts are graded in the college they were taken in
+const gradeAttempt = requirePermission("assessment.grade", (req) =>
+  attemptScope(prisma, req.params.attemptId)
+);
+
+// Descriptive questions of an attempt, with the student's answer and grade
+const toGradingItems = (attempt) =>
+  (attempt.servedQuestions || []).filter(needsManualGrading).map((q) => ({
+    questionId: q.id,
+    prompt: q.prompt,
+    sampleAnswer: q.sampleAnswer ?? null,
+    points: typeof q.points === "number" ? q.points : 1,
+    // Marked per criterion when the item has a rubric, see utils/rubrics.js
+    rubricId: q.rubricId ?? null,
+    rubric: q.rubric?.length ? q.rubric : null,
+    answer: attempt.answers?.[q.id] ?? null,
+    grade: attempt.manualGrades?.[q.id] ?? null,
+  }));
+
+router.get(
+  "/grading/queue",
+  requirePermission("assessment.grade"),
+  async (req, res) => {
+    try {
+      const { courseId, assessmentId } = req.query;
+      if (courseId && !(await canGradeCourse(req, String(courseId)))) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
 
-      const certificate = await prisma.certificate.findFirst({
+      const attempts = await prisma.assessmentAttempt.findMany({
         where: {
-          assessmentId: assessmentId,
-          userId: userId,
+          status: "needs_review",
+          deletedAt: null,
+          ...(assessmentId && { assessmentId: String(assessmentId) }),
+          ...(courseId && { assessment: { courseId: String(courseId) } }),
+          ...attemptsInScope(req.access),
         },
         include: {
-          course: {
-            select: {
-              title: true,
-              description: true,
-              thumbnail: true,
-            },
+          assessment: { select: { id: true, title: true, courseId: true } },
+          student: { select: { id: true, fullName: true, email: true } },
+        },
+        orderBy: { submittedAt: "asc" },
+      });
+
+      // Instructors only see courses they are assigned to
+      const allowed = new Map();
+      for (const courseKey of new Set(
+        attempts.map((a) => a.assessment.courseId)
+      )) {
+        allowed.set(courseKey, await canGradeCourse(req, courseKey));
+      }
+
+      return res.json(
+        attempts
+          .filter((a) => allowed.get(a.assessment.courseId))
+          .map((a) => ({
+            attemptId: a.id,
+            assessment: a.assessment,
+            student: a.student,
+            submittedAt: a.submittedAt,
+            provisionalScore: a.score,
+            pendingQuestions: toGradingItems(a).filter(
+              (q) => !q.grade && q.answer !== null
+            ).length,
+          }))
+      );
+    } catch (e) {
+      console.error("GET /grading/queue error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+async function loadGradableAttempt(req, res) {
+  const attempt = await prisma.assessmentAttempt.findFirst({
+    where: {
+      id: String(req.params.attemptId),
+      deletedAt: null,
+      status: { in: FINISHED_STATUSES },
+    },
+    include: {
+      assessment: { include: attemptAssessmentInclude },
+      student: { select: { id: true, fullName: true, email: true } },
+    },
+  });
+  if (!attempt) {
+    res.status(404).json({ error: "Attempt not found" });
+    return null;
+  }
+  if (!(await canGradeCourse(req, attempt.assessment.courseId))) {
+    res.status(403).json({ error: "Forbidden" });
+    return null;
+  }
+  return attempt;
+}
+
+router.get(
+  "/grading/attempts/:attemptId",
+  gradeAttempt,
+  async (req, res) => {
+    try {
+      const attempt = await loadGradableAttempt(req, res);
+      if (!attempt) return;
+
+      return res.json({
+        attemptId: attempt.id,
+        status: attempt.status,
+        assessment: {
+          id: attempt.assessment.id,
+          title: attempt.assessment.title,
+          passingMark: attempt.assessment.passingMark,
+        },
+        student: attempt.student,
+        submittedAt: attempt.submittedAt,
+        score: attempt.score,
+        earnedPoints: attempt.earnedPoints,
+        totalPoints: attempt.totalPoints,
+        questions: toGradingItems(attempt),
+      });
+    } catch (e) {
+      console.error("GET /grading/attempts/:attemptId error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.patch(
+  "/grading/attempts/:attemptId",
+  gradeAttempt,
+  async (req, res) => {
+    try {
+      const attempt = await loadGradableAttempt(req, res);
+      if (!attempt) return;
+
+      const grades = Array.isArray(req.body?.grades) ? req.body.grades : [];
+      if (!grades.length) {
+        return res.status(400).json({ error: "grades must be a non-empty array" });
+      }
+
+      const manual = new Map(
+        toGradingItems(attempt).map((q) => [String(q.questionId), q])
+      );
+      const gradedAt = new Date().toISOString();
+      const manualGrades = { ...(attempt.manualGrades || {}) };
+      // Criterion selections on reusable rubrics, kept for rubric analytics
+      const rubricRows = new Map();
+
+      for (const [i, g] of grades.entries()) {
+        const question = manual.get(String(g?.questionId));
+        if (!question) {
+          return res.status(400).json({
+            error: `grades[${i}].questionId is not a descriptive question of this attempt`,
+          });
+        }
+        let points = Number(g.points);
+        let rubricScores;
+        if (question.rubric) {
+          const marked = toRubricGrade(
+            question.rubric,
+            g.rubricScores,
+            question.points
+          );
+          if (marked.error) {
+            return res
+              .status(400)
+              .json({ error: `grades[${i}]: ${marked.error}` });
+          }
+          ({ points, rubricScores } = marked.data);
+        }
+        if (!Number.isFinite(points) || points < 0 || points > question.points) {
+          return res.status(400).json({
+            error: `grades[${i}].points must be between 0 and ${question.points}`,
+          });
+        }
+        manualGrades[question.questionId] = {
+          points,
+          feedback: g.feedback ? String(g.feedback) : null,
+          ...(rubricScores && { rubricScores }),
+          gradedById: req.user.id,
+          gradedAt,
+        };
+        if (rubricScores && question.rubricId) {
+          rubricRows.set(
+            question.questionId,
+            toRubricScoreRows(attempt, question, rubricScores, req.user.id)
+          );
+        }
+      }
+
+      const outcome = scoreAttempt(
+        { ...attempt, manualGrades },
+        attempt.assessment,
+        attempt.answers || {}
+      );
+
+      await prisma.$transaction([
+        prisma.assessmentAttempt.update({
+          where: { id: attempt.id },
+          data: {
+            manualGrades,
+            status: outcome.status,
+            score: outcome.score,
+            earnedPoints: outcome.earnedPoints,
+            totalPoints: outcome.totalPoints,
+            passed: outcome.passed,
+            breakdown: outcome.breakdown,
+            reviewedAt: new Date(),
+            reviewedById: req.user.id,
           },
+        }),
+        // Regrading an item replaces its earlier selections
+        prisma.rubricScore.deleteMany({
+          where: {
+            attemptId: attempt.id,
+            questionId: { in: [...rubricRows.keys()] },
+          },
+        }),
+        prisma.rubricScore.createMany({
+          data: [...rubricRows.values()].flat(),
+        }),
+      ]);
+
+      const { certificateGenerated, certificate } =
+        outcome.status === "submitted"
+          ? await issueCertificate(
+              prisma,
+              attempt.assessment,
+              attempt.studentId,
+              outcome.score,
+              attempt.submittedAt || new Date()
+            )
+          : { certificateGenerated: false, certificate: null };
+
+      return res.json({
+        attemptId: attempt.id,
+        status: outcome.status,
+        score: outcome.score,
+        earnedPoints: outcome.earnedPoints,
+        totalPoints: outcome.totalPoints,
+        passed: outcome.passed,
+        pendingReview: outcome.pendingQuestionIds.length,
+        certificateGenerated,
+        certificate,
+      });
+    } catch (e) {
+      console.error("PATCH /grading/attempts/:attemptId error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// Re-scores every finished attempt against the current answer keys
+router.post(
+  "/assessments/:id/regrade",
+  requirePermission("assessment.grade"),
+  async (req, res) => {
+    try {
+      const assessment = await prisma.assessment.findUnique({
+        where: { id: String(req.params.id) },
+        include: { course: { select: { id: true, title: true } } },
+      });
+      if (!assessment) {
+        return res.status(404).json({ error: "Assessment not found" });
+      }
+      if (!(await canGradeCourse(req, assessment.courseId))) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      const summary = await regradeAssessment(prisma, assessment, {
+        changedById: req.user.id,
+      });
+
+      return res.json(summary);
+    } catch (e) {
+      console.error("POST /assessments/:id/regrade error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// ------------- item analysis -------------
+
+// Per-question statistics over finished attempts, optionally limited to one
+// college / department. Staff outside the super admin only see their college.
+router.get(
+  "/assessments/:id/item-analysis",
+  requirePermission("assessment.grade"),
+  async (req, res) => {
+    try {
+      const assessment = await prisma.assessment.findUnique({
+        where: { id: String(req.params.id) },
+        select: {
+          id: true,
+          title: true,
+          courseId: true,
+          scoringPolicy: true,
+          chapter: { select: { courseId: true } },
         },
       });
+      if (!assessment) {
+        return res.status(404).json({ error: "Assessment not found" });
+      }
+
+      const courseId = assessment.courseId || assessment.chapter?.courseId;
+      if (!(await canGradeCourse(req, courseId))) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      const { departmentId } = req.query;
+      let collegeId = req.query.collegeId ? String(req.query.collegeId) : null;
+      if (!req.access.global) {
+        if (collegeId && collegeId !== req.user.collegeId) {
+          return res.status(403).json({ error: "Forbidden" });
+        }
+        collegeId = req.user.collegeId || "";
+      }
 
-      if (!certificate) {
-        return res.status(204).json({
-          error:
-            "Certificate not found. You may need to pass the assessment first.",
+      const attempts = await prisma.assessmentAttempt.findMany({
+        where: {
+          assessmentId: assessment.id,
+          deletedAt: null,
+          status: { in: FINISHED_STATUSES },
+          ...(collegeId !== null && { collegeId }),
+          ...(departmentId && { departmentId: String(departmentId) }),
+        },
+        select: {
+          score: true,
+          servedQuestions: true,
+          answers: true,
+          manualGrades: true,
+          breakdown: true,
+          questionTimes: true,
+        },
+      });
+
+      return res.json({
+        assessmentId: assessment.id,
+        title: assessment.title,
+        filters: { collegeId, departmentId: departmentId || null },
+        ...analyzeItems(attempts, { scoringPolicy: assessment.scoringPolicy }),
+      });
+    } catch (e) {
+      console.error("GET /assessments/:id/item-analysis error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// ------------- question import -------------
+
+router.get(
+  "/question-import/template",
+  requirePermission("assessment.grade"),
+  (req, res) => {
+    const bookType = String(req.query.format || "xlsx").toLowerCase();
+    if (!["xlsx", "csv"].includes(bookType)) {
+      return res.status(400).json({ error: "format must be xlsx or csv" });
+    }
+
+    res.set({
+      "Content-Type":
+        bookType === "csv"
+          ? "text/csv"
+          : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "Content-Disposition": `attachment; filename="question-import-template.${bookType}"`,
+    });
+    return res.send(buildSpreadsheetTemplate(bookType));
+  }
+);
+
+// Appends questions from XLSX/CSV, GIFT or QTI 2.1; ?dryRun=true only validates
+router.post(
+  "/assessments/:id/questions/import",
+  [manageAssessment, upload.single("file")],
+  async (req, res) => {
+    try {
+      const assessment = await prisma.assessment.findUnique({
+        where: { id: String(req.params.id) },
+        select: {
+          id: true,
+          type: true,
+          courseId: true,
+          chapter: { select: { courseId: true } },
+        },
+      });
+      if (!assessment) {
+        return res.status(404).json({ error: "Assessment not found" });
+      }
+
+      const courseId = assessment.courseId || assessment.chapter?.courseId;
+      if (!(await canGradeCourse(req, courseId))) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+      if (noAttemptsError(assessment)) {
+        return res.status(400).json({
+          error: "Questions can only be imported into quizzes and tests",
+        });
+      }
+
+      const parsed = await readQuestionImport(
+        req.file,
+        req.body?.format || req.query.format
+      );
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const dryRun = isDryRun(req);
+      if (!dryRun && parsed.valid.length) {
+        const last = await prisma.assessmentQuestion.aggregate({
+          where: { assessmentId: assessment.id, deletedAt: null },
+          _max: { order: true },
+        });
+        const start = last._max.order || 0;
+
+        await prisma.assessmentQuestion.createMany({
+          data: parsed.valid.map((q, i) => ({
+            ...toQuestionData({ ...q, order: start + i + 1 }),
+            assessmentId: assessment.id,
+          })),
         });
       }
 
-      res.json(certificate);
+      return res.json(
+        importReport({
+          ...parsed,
+          dryRun,
+          imported: dryRun ? 0 : parsed.valid.length,
+        })
+      );
     } catch (e) {
-      console.error("GET certificate error:", e);
-      res.status(500).json({ error: "Internal server error" });
+      console.error("POST /assessments/:id/questions/import error:", e);
+      return res.status(500).json({ error: "Internal error" });
     }
   }
 );
 
+router.get("/dashboard", async (req, res) => {
+  try {
+    const studentId = req.user.id;
+
+    const totalCourses = await prisma.enrollment.count({
+      where: { studentId },
+    });
+
+    const completedChapters = await prisma.chapterProgress.count({
+      where: { studentId, isCompleted: true },
+    });
+
+    const attempts = await prisma.assessmentAttempt.findMany({
+      where: {
+        studentId,
+        status: "submitted",
+        deletedAt: null,
+        // Flagged attempts count only once a reviewer clears them
+        integrityStatus: { notIn: HELD_INTEGRITY_STATUSES },
+        // Surveys are never scored
+        assessment: { type: { not: SURVEY_TYPE } },
+      },
+      select: {
+        id: true,
+        studentId: true,
+        assessmentId: true,
+        score: true,
+        submittedAt: true,
+        assessment: { select: { attemptScoring: true } },
+      },
+    });
+
+    // One counting score per assessment, per its attempt scoring policy
+    const scores = combineScoresByAssessment(attempts);
+    const averageTestScore = scores.length
+      ? Math.round(scores.reduce((sum, s) => sum + s.score, 0) / scores.length)
+      : 0;
+
+    const totalTimeSpent = await prisma.chapterProgress.aggregate({
+      where: { studentId },
+      _sum: { timeSpent: true },
+    });
+
+    const certificatesEarned = await prisma.certificate.count({
+      where: { userId: studentId, deletedAt: null },
+    });
+
+    res.json({
+      data: {
+        totalCourses,
+        completedChapters,
+        averageTestScore,
+        totalTimeSpent: totalTimeSpent._sum.timeSpent || 0,
+        certificatesEarned,
+      },
+    });
+  } catch (e) {
+    console.error("dashboard stats error:", e);
+    res.status(500).json({ error: "Internal error" });
+  }
+});
+
+router.get("/assessments/:assessmentId/certificate", async (req, res) => {
+  try {
+    const { assessmentId } = req.params;
+    const userId = req.user.id;
+
+    const certificate = await prisma.certificate.findFirst({
+      where: {
+        assessmentId: assessmentId,
+        userId: userId,
+      },
+      include: {
+        course: {
+          select: {
+            title: true,
+            description: true,
+            thumbnail: true,
+          },
+        },
+      },
+    });
+
+    if (!certificate) {
+      return res.status(204).json({
+        error:
+          "Certificate not found. You may need to pass the assessment first.",
+      });
+    }
+
+    const verifyUrl = certificateVerifyUrl(req, certificate.certificateId);
+
+    // A revoked certificate is reported as such, with nothing to download
+    if (certificate.deletedAt) {
+      return res.json({
+        ...certificate,
+        status: "revoked",
+        revokedAt: certificate.deletedAt,
+        revokedReason: certificate.revokedReason,
+        verifyUrl,
+      });
+    }
+
+    res.json({
+      ...certificate,
+      status: "valid",
+      verifyUrl,
+      pdfUrl: `/api/certificates/${encodeURIComponent(
+        certificate.certificateId
+      )}/pdf`,
+    });
+  } catch (e) {
+    console.error("GET certificate error:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // UPDATE assessment
 router.put(
   "/assessments/:id",
-  protect,
-  authorize("ADMIN", "SUPERADMIN"),
+  manageAssessment,
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -888,18 +2490,39 @@ router.put(
         isPublished,
         order,
         questions,
+        pools,
+        shuffleQuestions,
+        shuffleOptions,
       } = req.body;
 
       // Check if assessment exists
       const existing = await prisma.assessment.findUnique({
         where: { id: String(id) },
-        select: { id: true, chapterId: true, courseId: true },
+        select: {
+          id: true,
+          chapterId: true,
+          courseId: true,
+          availableFrom: true,
+          availableUntil: true,
+          dueAt: true,
+        },
       });
 
       if (!existing) {
         return res.status(404).json({ error: "Assessment not found" });
       }
 
+      const settings = await toAssessmentSettings(req.body, req.user, existing);
+      if (settings.error) {
+        return res.status(400).json({ error: settings.error });
+      }
+
+      const poolRows =
+        pools !== undefined
+          ? await resolvePools(prisma, existing.courseId, pools, req.access)
+          : null;
+      if (poolRows?.error) return res.status(400).json({ error: poolRows.error });
+
       // Update assessment
       const updated = await prisma.assessment.update({
         where: { id: String(id) },
@@ -909,50 +2532,36 @@ router.put(
           ...(timeLimitSeconds !== undefined && { timeLimitSeconds }),
           ...(maxAttempts !== undefined && { maxAttempts }),
           ...(isPublished !== undefined && { isPublished }),
+          ...(shuffleQuestions !== undefined && {
+            shuffleQuestions: !!shuffleQuestions,
+          }),
+          ...(shuffleOptions !== undefined && {
+            shuffleOptions: !!shuffleOptions,
+          }),
+          ...settings.data,
           ...(order !== undefined && { order }),
         },
       });
 
       // Update questions if provided
       if (Array.isArray(questions)) {
-        // Delete old questions
-        await prisma.assessmentQuestion.deleteMany({
-          where: { assessmentId: String(id) },
-        });
+        // Questions sent with their id are updated in place (see regrade)
+        await syncAssessmentQuestions(prisma, String(id), questions);
+      }
 
-        // Create new questions
-        if (questions.length > 0) {
-          const qData = questions.map((q, i) => ({
-            assessmentId: String(id),
-            prompt: String(q.prompt || q.text || ""),
-            type: String(q.type || "single"),
-            options: Array.isArray(q.options)
-              ? q.options.map((opt) =>
-                  typeof opt === "string" ? opt : opt.text
-                )
-              : [],
-            correctOptionIndex: Number.isFinite(q.correctOptionIndex)
-              ? q.correctOptionIndex
-              : null,
-            correctOptionIndexes: Array.isArray(q.correctOptionIndexes)
-              ? q.correctOptionIndexes.map(Number)
-              : [],
-            correctText: q.correctText ?? null,
-            pairs: q.pairs ?? null,
-            sampleAnswer: q.sampleAnswer ?? null,
-            points: Number.isFinite(q.points) ? q.points : 1,
-            order: Number.isFinite(q.order) ? q.order : i + 1,
-          }));
-
-          await prisma.assessmentQuestion.createMany({ data: qData });
-        }
+      if (poolRows) {
+        await replaceAssessmentPools(prisma, existing, pools, req.access);
       }
 
       // Return full assessment with questions
       const full = await prisma.assessment.findUnique({
         where: { id: String(id) },
         include: {
-          questions: { orderBy: [{ order: "asc" }, { id: "asc" }] },
+          questions: {
+            where: { deletedAt: null },
+            orderBy: [{ order: "asc" }, { id: "asc" }],
+          },
+          pools: { orderBy: { order: "asc" } },
         },
       });
 
@@ -966,8 +2575,7 @@ router.put(
 // DELETE assessment
 router.delete(
   "/assessments/:id",
-  protect,
-  authorize("ADMIN", "SUPERADMIN"),
+  manageAssessment,
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1012,6 +2620,8 @@ router.get("/scores", async (req, res) => {
     const { collegeId, departmentId, courseId } = req.query;
     const where = {
       status: "submitted", // matches DB value
+      integrityStatus: { notIn: HELD_INTEGRITY_STATUSES },
+      assessment: { type: { not: SURVEY_TYPE } },
     };
 
     if (collegeId) where.collegeId = String(collegeId);
@@ -1027,12 +2637,31 @@ router.get("/scores", async (req, res) => {
         id: true,
         courseId: true,
         studentId: true,
+        assessmentId: true,
         score: true,
         submittedAt: true,
+        assessment: { select: { attemptScoring: true } },
       },
     });
 
-    res.json({ success: true, data: attempts });
+    // One row per student and assessment: the attempt (or average) that
+    // counts under the assessment's attempt scoring policy
+    const byId = new Map(attempts.map((a) => [a.id, a]));
+    const data = combineScoresByAssessment(attempts).map((c) => {
+      const counted = byId.get(c.attemptId);
+      return {
+        id: c.attemptId,
+        courseId: counted.courseId,
+        studentId: c.studentId,
+        assessmentId: c.assessmentId,
+        score: c.score,
+        submittedAt: counted.submittedAt,
+        attemptCount: c.attemptCount,
+        attemptScoring: c.policy,
+      };
+    });
+
+    res.json({ success: true, data });
   } catch (e) {
     console.error("GET /scores error:", e);
     res.status(500).json({ error: "Internal server error" });
@@ -4,7 +4,8 @@ import jwt from "jsonwebtoken";
 import { body, validationResult } from "express-validator";
 import multer from "multer";
 import xlsx from "xlsx";
-import { protect } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { hasPermission } from "../utils/permissions.js";
 import { prisma } from "../config/prisma.js";
 import {
   sendEmail,
@@ -12,6 +13,26 @@ import {
   sendSuperAdminRegistrationEmail,
 } from "../utils/sendEmail.js";
 import { OAuth2Client } from "google-auth-library";
+import {
+  deviceOf,
+  signIn,
+  rotateRefreshToken,
+  revokeSession,
+} from "../utils/tokens.js";
+import {
+  MAX_OTP_ATTEMPTS,
+  isLocked,
+  registerFailedLogin,
+  LOGIN_UNLOCKED,
+  lockedResponse,
+} from "../utils/lockout.js";
+import {
+  loginLimiters,
+  tokenLimiters,
+  otpSendLimiters,
+  otpVerifyLimiters,
+  resetAccountLimits,
+} from "../middleware/rateLimit.js";
 const router = express.Router();
 
 const normalizeEmail = (e) =>
@@ -25,29 +46,6 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-const signToken = (user) =>
-  jwt.sign(
-    {
-      sub: user.id,
-      role: user.role,
-      tokenVersion: user.tokenVersion,
-    },
-    process.env.JWT_SECRET || "dev-secret",
-    { expiresIn: "7d" }
-  );
-
-const authorize =
-  (...roles) =>
-  (req, res, next) => {
-    if (!req.user)
-      return res.status(401).json({ success: false, message: "Unauthorized" });
-
-    const role = String(req.user.role || "").toUpperCase();
-    if (!roles.map((r) => r.toUpperCase()).includes(role))
-      return res.status(403).json({ success: false, message: "Forbidden" });
-    next();
-  };
-
 const optionalProtect = async (req, _res, next) => {
   try {
     const hdr = req.headers.authorization || "";
@@ -102,7 +100,7 @@ const loadDepartmentCatalog = async () => {
 
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-router.post("/google-login", async (req, res) => {
+router.post("/google-login", tokenLimiters, async (req, res) => {
   try {
     const { credential } = req.body;
 
@@ -210,21 +208,13 @@ router.post("/google-login", async (req, res) => {
     }
 
     // ✅ Update lastLogin
-    const nextTokenVersion = (user.tokenVersion ?? 0) + 1;
     await prisma.user.update({
       where: { id: user.id },
-      data: {
-        lastLogin: new Date(),
-        tokenVersion: nextTokenVersion,
-      },
+      data: { lastLogin: new Date() },
     });
 
-    const tokenPayload = {
-      id: user.id,
-      role: user.role,
-      tokenVersion: nextTokenVersion,
-    };
-    const token = signToken(tokenPayload);
+    // Other devices stay signed in; each login gets its own session
+    const tokens = await signIn(prisma, user, deviceOf(req));
 
     return res.status(200).json({
       success: true,
@@ -236,10 +226,10 @@ router.post("/google-login", async (req, res) => {
           role: user.role,
           collegeId: user.collegeId,
           departmentId: user.departmentId,
-          tokenVersion: nextTokenVersion,
+          tokenVersion: user.tokenVersion,
           departmentName: user.department?.name || null,
         },
-        token,
+        ...tokens,
       },
     });
   } catch (error) {
@@ -383,11 +373,9 @@ router.post("/signup-google", async (req, res) => {
       console.log(`[Signup Google] User updated in user table: ${user.id}`);
     }
 
-    const nextTokenVersion = (user.tokenVersion ?? 0) + 1;
     user = await prisma.user.update({
       where: { id: user.id },
       data: {
-        tokenVersion: nextTokenVersion,
         lastLogin: new Date(), // optional but recommended
       },
     });
@@ -400,17 +388,7 @@ router.post("/signup-google", async (req, res) => {
       });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        tokenVersion: nextTokenVersion,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    const tokens = await signIn(prisma, user, deviceOf(req));
 
     return res.status(200).json({
       success: true,
@@ -428,9 +406,9 @@ router.post("/signup-google", async (req, res) => {
           mobile: user.mobile,
           academicYear: user.academicYear,
           rollNumber: user.rollNumber,
-          tokenVersion: nextTokenVersion,
+          tokenVersion: user.tokenVersion,
         },
-        token,
+        ...tokens,
       },
     });
   } catch (error) {
@@ -548,21 +526,11 @@ router.get("/colleges/:collegeId/departments", async (req, res) => {
 
 router.post(
   "/admin/departments-catalog/add",
-  [protect, authorize("SUPERADMIN")],
+  [protect, requirePermission("department.manage")],
   async (req, res) => {
     try {
       const { name } = req.body;
 
-      if (
-        !req.user ||
-        (req.user.role !== "SUPERADMIN" && !req.user.isSuperAdmin)
-      ) {
-        return res.status(403).json({
-          success: false,
-          message: "Only superadmins can add departments to the catalog",
-        });
-      }
-
       if (!name || !name.trim()) {
         return res.status(400).json({
           success: false,
@@ -634,7 +602,7 @@ router.post(
   "/registrations",
   [
     protect,
-    authorize("SUPERADMIN", "ADMIN"),
+    requirePermission("user.register"),
     body("fullName").exists().trim().isLength({ min: 2, max: 150 }),
     body("email").exists().isEmail(),
     body("role").exists().isString(),
@@ -662,12 +630,12 @@ router.post(
           throw new Error("academicYear is required for STUDENT");
       }
 
-      if (req.user.role === "ADMIN" || req.user.role === "admin") {
-        if (req.body.collegeId !== req.user.collegeId) {
-          throw new Error(
-            "Admins can only register users for their own college"
-          );
-        }
+      if (
+        !hasPermission(req.access, "user.register", {
+          collegeId: req.body.collegeId ?? null,
+        })
+      ) {
+        throw new Error("You can only register users for your own college");
       }
 
       return true;
@@ -700,8 +668,8 @@ router.post(
         });
       }
 
-      const userRole = (req.user.role || "").toUpperCase();
-      const isSuperAdmin = userRole === "SUPERADMIN";
+      // Super admins are not held to the college's seat limits
+      const isSuperAdmin = req.access.global;
       let roleCountMap = {};
       if (!isSuperAdmin) {
         // Get current count of users by role for this college
@@ -856,7 +824,7 @@ router.post(
 
 router.post(
   "/registrations/bulk",
-  [protect, authorize("SUPERADMIN", "ADMIN"), upload.single("file")],
+  [protect, requirePermission("user.register"), upload.single("file")],
   async (req, res) => {
     try {
       if (!req.file)
@@ -942,6 +910,14 @@ router.post(
         }
 
         if (!collegeId) missingFields.push("collegeName not found in database");
+        else if (!hasPermission(req.access, "user.register", { collegeId })) {
+          results.push({
+            email: email || "(missing)",
+            status: "SKIPPED",
+            reason: "You can only register users for your own college",
+          });
+          continue;
+        }
 
         // Role-specific required fields
         if (roleLower === "student") {
@@ -1044,7 +1020,11 @@ router.post(
 
 router.post(
   "/signup/begin",
-  [body("email").exists().isEmail(), handleValidationErrors],
+  [
+    ...otpSendLimiters,
+    body("email").exists().isEmail(),
+    handleValidationErrors,
+  ],
   async (req, res) => {
     const email = normalizeEmail(req.body.email);
     const reg = await prisma.registration.findUnique({ where: { email } });
@@ -1061,7 +1041,7 @@ router.post(
 
     await prisma.registration.update({
       where: { id: reg.id },
-      data: { otpHash, otpExpires, status: "PENDING" },
+      data: { otpHash, otpExpires, otpAttempts: 0, status: "PENDING" },
     });
 
     try {
@@ -1101,6 +1081,7 @@ router.post(
 router.post(
   "/signup/verify",
   [
+    ...otpVerifyLimiters,
     body("email").exists().isEmail(),
     body("otp").exists().isLength({ min: 6, max: 6 }),
     handleValidationErrors,
@@ -1131,9 +1112,21 @@ router.post(
 
     const ok = await bcrypt.compare(String(otp), reg.otpHash);
     if (!ok) {
+      // The code is thrown away after too many wrong guesses
+      const attempts = reg.otpAttempts + 1;
+      const exhausted = attempts >= MAX_OTP_ATTEMPTS;
+      await prisma.registration.update({
+        where: { id: reg.id },
+        data: {
+          otpAttempts: attempts,
+          ...(exhausted && { otpHash: null, otpExpires: null }),
+        },
+      });
       return res.status(400).json({
         success: false,
-        message: "Invalid OTP",
+        message: exhausted
+          ? "Too many invalid attempts. Please request a new OTP."
+          : "Invalid OTP",
       });
     }
 
@@ -1144,6 +1137,7 @@ router.post(
       data: {
         status: "VERIFIED",
         otpHash: null,
+        otpAttempts: 0,
         otpExpires: completeBy,
       },
     });
@@ -1312,7 +1306,7 @@ router.post(
   }
 );
 
-router.post("/login", async (req, res, next) => {
+router.post("/login", loginLimiters, async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
@@ -1365,23 +1359,27 @@ router.post("/login", async (req, res, next) => {
       });
     }
 
+    if (isLocked(user)) {
+      return res.status(423).json(lockedResponse(user.lockedUntil));
+    }
+
     const passwordMatches = await bcrypt.compare(password, user.password);
     if (!passwordMatches) {
+      const { lockedUntil } = await registerFailedLogin(prisma, user);
+      if (isLocked({ lockedUntil })) {
+        return res.status(423).json(lockedResponse(lockedUntil));
+      }
       return res
         .status(401)
         .json({ success: false, message: "Invalid credentials" });
     }
 
-    const nextVersion = user.tokenVersion + 1;
     await prisma.user.update({
       where: { id: user.id },
-      data: { lastLogin: new Date(), tokenVersion: nextVersion },
+      data: { lastLogin: new Date(), ...LOGIN_UNLOCKED },
     });
 
-    const token = signToken({
-      id: user.id,
-      tokenVersion: nextVersion,
-    });
+    const tokens = await signIn(prisma, user, deviceOf(req));
 
     const payload = {
       id: user.id,
@@ -1392,27 +1390,134 @@ router.post("/login", async (req, res, next) => {
       permissions: user.permissions || {},
       authProvider: user.authProvider,
       collegeId: user.collegeId,
-      tokenVersion: nextVersion,
+      tokenVersion: user.tokenVersion,
       departmentName: user.department?.name || null,
     };
 
-    res.json({ success: true, data: { user: payload, token } });
+    res.json({
+      success: true,
+      data: { user: payload, ...tokens },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body: { refreshToken }. Returns a new access token and refresh token;
+// each refresh token works once.
+router.post("/refresh", tokenLimiters, async (req, res, next) => {
+  try {
+    const rotated = await rotateRefreshToken(
+      prisma,
+      req.body?.refreshToken,
+      deviceOf(req)
+    );
+    if (rotated.error) {
+      return res.status(401).json({
+        success: false,
+        message: rotated.error,
+        ...(rotated.reused && { code: "REFRESH_TOKEN_REUSED" }),
+      });
+    }
+    res.json({ success: true, data: rotated.data });
   } catch (err) {
     next(err);
   }
 });
 
+// Ends this device's session; tokens from before sessions existed fall
+// back to signing out everywhere
 router.post("/logout", protect, async (req, res) => {
-  await prisma.user.update({
-    where: { id: req.user.id },
-    data: { tokenVersion: { increment: 1 } },
-  });
+  if (req.sessionId) {
+    await revokeSession(prisma, req.sessionId, "logout");
+  } else {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { tokenVersion: { increment: 1 } },
+    });
+  }
   res.json({ success: true, message: "Logged out" });
 });
 
+router.post("/logout-all", protect, async (req, res, next) => {
+  try {
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: req.user.id },
+        data: { tokenVersion: { increment: 1 } },
+      }),
+      prisma.session.updateMany({
+        where: { userId: req.user.id, revokedAt: null },
+        data: {
+          revokedAt: new Date(),
+          revokedReason: "signed_out_everywhere",
+        },
+      }),
+    ]);
+    res.json({ success: true, message: "Logged out of all devices" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Devices currently signed in, most recently used first
+router.get("/sessions", protect, async (req, res, next) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+        tokenVersion: req.user.tokenVersion,
+      },
+      select: {
+        id: true,
+        deviceName: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+      orderBy: { lastUsedAt: "desc" },
+    });
+    res.json({
+      success: true,
+      data: sessions.map((s) => ({ ...s, current: s.id === req.sessionId })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/sessions/:id", protect, async (req, res, next) => {
+  try {
+    const revoked = await prisma.session.updateMany({
+      where: {
+        id: String(req.params.id),
+        userId: req.user.id,
+        revokedAt: null,
+      },
+      data: { revokedAt: new Date(), revokedReason: "revoked" },
+    });
+    if (!revoked.count) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Session not found" });
+    }
+    res.json({ success: true, message: "Session revoked" });
+  } catch (err) {
+    next(err);
+  }
+});
+
 router.post(
   "/password/forgot-otp",
-  [body("email").exists().isEmail(), handleValidationErrors],
+  [
+    ...otpSendLimiters,
+    body("email").exists().isEmail(),
+    handleValidationErrors,
+  ],
   async (req, res) => {
     const email = normalizeEmail(req.body.email);
 
@@ -1441,6 +1546,7 @@ router.post(
         data: {
           passwordResetToken: otpHash,
           passwordResetExpires: otpExpires,
+          passwordResetAttempts: 0,
         },
       });
 
@@ -1461,6 +1567,7 @@ router.post(
 router.post(
   "/password/verify-otp",
   [
+    ...otpVerifyLimiters,
     body("email").exists().isEmail(),
     body("otp").exists().isLength({ min: 6, max: 6 }),
     handleValidationErrors,
@@ -1494,14 +1601,31 @@ router.post(
     }
 
     const ok = await bcrypt.compare(String(otp), user.passwordResetToken);
-    if (!ok)
+    if (!ok) {
+      // The code is thrown away after too many wrong guesses
+      const attempts = user.passwordResetAttempts + 1;
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          passwordResetAttempts: attempts,
+          ...(attempts >= MAX_OTP_ATTEMPTS && {
+            passwordResetToken: null,
+            passwordResetExpires: null,
+          }),
+        },
+      });
       return res
         .status(400)
         .json({ success: false, message: "OTP expired or invalid" });
+    }
 
     await prisma.user.update({
       where: { id: user.id },
-      data: { passwordResetToken: null, passwordResetExpires: null },
+      data: {
+        passwordResetToken: null,
+        passwordResetExpires: null,
+        passwordResetAttempts: 0,
+      },
     });
 
     const resetToken = jwt.sign(
@@ -1572,6 +1696,9 @@ router.post(
         where: { id: user.id },
         data: {
           password: hashed,
+          // Sign out every device that used the old password
+          tokenVersion: { increment: 1 },
+          ...LOGIN_UNLOCKED,
         },
       });
 
@@ -1625,6 +1752,15 @@ router.get("/me", async (req, res, next) => {
   }
 });
 
+// Effective permissions, for the frontend to show or hide actions
+router.get("/me/permissions", (req, res) => {
+  const { role, collegeId, global, permissions } = req.access;
+  res.json({
+    success: true,
+    data: { role, collegeId, global, permissions: [...permissions].sort() },
+  });
+});
+
 router.put(
   "/me",
   [
@@ -1770,11 +1906,11 @@ router.delete("/admin/users", async (req, res, next) => {
     console.log("req.user.role:", req.user?.role); // ← Check role
     console.log("req.query:", req.query); // ← Check params
 
-    // Must be superadmin and provide userId
-    if (req.user.role !== "SUPERADMIN" || !req.query.userId) {
+    // Must hold user.delete and provide userId
+    if (!hasPermission(req.access, "user.delete") || !req.query.userId) {
       return res.status(403).json({
         success: false,
-        message: "Superadmin access required with userId parameter",
+        message: "user.delete permission required with userId parameter",
       });
     }
 
@@ -1788,6 +1924,14 @@ router.delete("/admin/users", async (req, res, next) => {
         .status(404)
         .json({ success: false, message: "User not found" });
 
+    if (
+      !hasPermission(req.access, "user.delete", {
+        collegeId: targetUser.collegeId,
+      })
+    ) {
+      return res.status(403).json({ success: false, message: "Forbidden" });
+    }
+
     // Prevent deleting other superadmins
     if (targetUser.role === "superadmin") {
       return res.status(403).json({
@@ -1850,7 +1994,7 @@ router.delete("/admin/users", async (req, res, next) => {
 router.patch(
   "/users/bulk/active",
   protect,
-  authorize("ADMIN", "SUPERADMIN"),
+  requirePermission("user.manage"),
   async (req, res) => {
     try {
       const { userIds, isActive } = req.body;
@@ -1870,11 +2014,16 @@ router.patch(
       }
 
       const stringIds = userIds.map((id) => String(id));
+      // Outside super admins, only users of the caller's own college
+      const inScope = req.access.global
+        ? {}
+        : { collegeId: req.access.collegeId || "" };
 
       // Use updateMany (doesn't throw if no records found)
       const result = await prisma.user.updateMany({
         where: {
           id: { in: stringIds },
+          ...inScope,
         },
         data: { isActive: isActive },
       });
@@ -1883,6 +2032,7 @@ router.patch(
       const updatedUsers = await prisma.user.findMany({
         where: {
           id: { in: stringIds },
+          ...inScope,
         },
         select: {
           id: true,
@@ -1911,12 +2061,29 @@ router.patch(
 router.patch(
   "/users/:id/active",
   protect,
-  authorize("ADMIN", "SUPERADMIN"),
+  requirePermission("user.manage"),
   async (req, res) => {
     try {
       const { id } = req.params;
       const { isActive } = req.body;
 
+      const target = await prisma.user.findUnique({
+        where: { id: String(id) },
+        select: { collegeId: true },
+      });
+      if (!target) {
+        return res
+          .status(404)
+          .json({ success: false, message: "User not found" });
+      }
+      if (
+        !hasPermission(req.access, "user.manage", {
+          collegeId: target.collegeId,
+        })
+      ) {
+        return res.status(403).json({ success: false, message: "Forbidden" });
+      }
+
       const updatedUser = await prisma.user.update({
         where: { id: String(id) },
         data: { isActive: !!isActive },
@@ -1939,4 +2106,52 @@ router.patch(
   }
 );
 
+// Lifts a brute-force lockout and clears the account's throttling counters.
+// Needs user.manage in the user's college.
+router.patch(
+  "/users/:id/unlock",
+  protect,
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const target = await prisma.user.findUnique({
+        where: { id: String(req.params.id) },
+        select: { id: true, email: true, collegeId: true },
+      });
+      if (!target) {
+        return res
+          .status(404)
+          .json({ success: false, message: "User not found" });
+      }
+      if (
+        !hasPermission(req.access, "user.manage", {
+          collegeId: target.collegeId,
+        })
+      ) {
+        return res.status(403).json({ success: false, message: "Forbidden" });
+      }
+
+      const unlocked = await prisma.user.update({
+        where: { id: target.id },
+        data: { ...LOGIN_UNLOCKED, passwordResetAttempts: 0 },
+        select: {
+          id: true,
+          email: true,
+          fullName: true,
+          failedLoginAttempts: true,
+          lockedUntil: true,
+        },
+      });
+      await resetAccountLimits(target.email);
+
+      res.json({ success: true, data: unlocked });
+    } catch (err) {
+      console.error("Error unlocking user", err);
+      res
+        .status(500)
+        .json({ success: false, message: "Unable to unlock user" });
+    }
+  }
+);
+
 export default router;
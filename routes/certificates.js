@@ -0,0 +1,316 @@
+import express from "express";
+import { prisma } from "../config/prisma.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import { hasPermission } from "../utils/permissions.js";
+import {
+  renderCertificatePdf,
+  certificateVerifyUrl,
+} from "../utils/certificatePdf.js";
+import {
+  newCertificateCode,
+  saveCertificateVersion,
+} from "../utils/certificates.js";
+const router = express.Router();
+
+// Certificates are managed in their student's college
+const certificateScope = (certificate) => ({
+  collegeId: certificate.user?.collegeId ?? null,
+});
+const isAdmin = (req, certificate) =>
+  hasPermission(
+    req.access,
+    "certificate.manage",
+    certificateScope(certificate)
+  );
+
+const DEFAULT_ISSUER = "EduSphere";
+
+// Issuer shown on the certificate: the student's college, else the course's
+async function issuerNameFor(certificate) {
+  const collegeId =
+    certificate.user?.collegeId || certificate.course?.collegeId || null;
+  if (!collegeId) return DEFAULT_ISSUER;
+
+  const college = await prisma.college.findUnique({
+    where: { id: collegeId },
+    select: { name: true },
+  });
+  return college?.name || DEFAULT_ISSUER;
+}
+
+const certificateInclude = {
+  user: { select: { id: true, collegeId: true } },
+  course: { select: { id: true, collegeId: true } },
+};
+
+// Public: employers confirm a certificate by its printed ID
+router.get("/verify/:certificateId", async (req, res) => {
+  try {
+    const certificate = await prisma.certificate.findUnique({
+      where: { certificateId: String(req.params.certificateId) },
+      include: certificateInclude,
+    });
+
+    if (!certificate) {
+      // IDs printed on earlier versions point at the current state
+      const previous = await prisma.certificateVersion.findFirst({
+        where: { certificateCode: String(req.params.certificateId) },
+        orderBy: { createdAt: "desc" },
+        include: { certificate: true },
+      });
+
+      if (!previous) {
+        return res.status(404).json({
+          valid: false,
+          status: "not_found",
+          error: "Certificate not found",
+        });
+      }
+
+      const current = previous.certificate;
+      return res.json({
+        valid: false,
+        status: current.deletedAt ? "revoked" : "superseded",
+        certificateId: previous.certificateCode,
+        currentCertificateId: current.deletedAt ? null : current.certificateId,
+        studentName: previous.studentName,
+        courseName: previous.courseName,
+        revokedAt: current.deletedAt,
+      });
+    }
+
+    const revoked = !!certificate.deletedAt;
+
+    return res.json({
+      valid: !revoked,
+      status: revoked ? "revoked" : "valid",
+      version: certificate.version,
+      certificateId: certificate.certificateId,
+      studentName: certificate.studentName,
+      courseName: certificate.courseName,
+      issuedBy: await issuerNameFor(certificate),
+      score: certificate.score,
+      completionDate: certificate.completionDate,
+      issuedAt: certificate.createdAt,
+      revokedAt: certificate.deletedAt,
+    });
+  } catch (e) {
+    console.error("GET /certificates/verify/:certificateId error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+router.get("/:certificateId/pdf", protect, async (req, res) => {
+  try {
+    const certificate = await prisma.certificate.findUnique({
+      where: { certificateId: String(req.params.certificateId) },
+      include: certificateInclude,
+    });
+
+    if (!certificate) {
+      return res.status(404).json({ error: "Certificate not found" });
+    }
+    if (certificate.userId !== req.user.id && !isAdmin(req, certificate)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    if (certificate.deletedAt) {
+      return res.status(410).json({ error: "Certificate has been revoked" });
+    }
+
+    const pdf = await renderCertificatePdf(certificate, {
+      collegeName: await issuerNameFor(certificate),
+      verifyUrl: certificateVerifyUrl(req, certificate.certificateId),
+    });
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${certificate.certificateId}.pdf"`,
+      "Content-Length": pdf.length,
+    });
+    return res.send(pdf);
+  } catch (e) {
+    console.error("GET /certificates/:certificateId/pdf error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// ------------- admin: revoke / amend / reissue -------------
+
+// College admins manage certificates of their own college's students
+const manageCertificate = requirePermission(
+  "certificate.manage",
+  async (req) => {
+    const certificate = await prisma.certificate.findUnique({
+      where: { certificateId: String(req.params.certificateId) },
+      select: { user: { select: { collegeId: true } } },
+    });
+    return certificate ? certificateScope(certificate) : {};
+  }
+);
+
+async function loadManagedCertificate(req, res) {
+  const certificate = await prisma.certificate.findUnique({
+    where: { certificateId: String(req.params.certificateId) },
+    include: {
+      ...certificateInclude,
+      versions: { orderBy: { version: "asc" } },
+    },
+  });
+  if (!certificate) {
+    res.status(404).json({ error: "Certificate not found" });
+    return null;
+  }
+  return certificate;
+}
+
+const cleanText = (v) => String(v ?? "").trim();
+
+router.get(
+  "/:certificateId/history",
+  protect,
+  manageCertificate,
+  async (req, res) => {
+    try {
+      const certificate = await loadManagedCertificate(req, res);
+      if (!certificate) return;
+
+      return res.json(certificate);
+    } catch (e) {
+      console.error("GET /certificates/:certificateId/history error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.post(
+  "/:certificateId/revoke",
+  protect,
+  manageCertificate,
+  async (req, res) => {
+    try {
+      const reason = cleanText(req.body?.reason);
+      if (!reason) return res.status(400).json({ error: "reason is required" });
+
+      const certificate = await loadManagedCertificate(req, res);
+      if (!certificate) return;
+      if (certificate.deletedAt) {
+        return res.status(409).json({ error: "Certificate is already revoked" });
+      }
+
+      const updated = await saveCertificateVersion(
+        prisma,
+        certificate,
+        {
+          deletedAt: new Date(),
+          revokedReason: reason,
+          revokedById: req.user.id,
+        },
+        { action: "revoked", reason, changedById: req.user.id }
+      );
+
+      return res.json(updated);
+    } catch (e) {
+      console.error("POST /certificates/:certificateId/revoke error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.patch(
+  "/:certificateId",
+  protect,
+  manageCertificate,
+  async (req, res) => {
+    try {
+      const certificate = await loadManagedCertificate(req, res);
+      if (!certificate) return;
+      if (certificate.deletedAt) {
+        return res
+          .status(409)
+          .json({ error: "Revoked certificates must be reissued, not amended" });
+      }
+
+      const { studentName, courseName, reason } = req.body || {};
+      const data = {};
+      if (studentName !== undefined) data.studentName = cleanText(studentName);
+      if (courseName !== undefined) data.courseName = cleanText(courseName);
+
+      if (!Object.keys(data).length) {
+        return res
+          .status(400)
+          .json({ error: "Provide studentName and/or courseName to amend" });
+      }
+      if (Object.values(data).some((v) => !v)) {
+        return res.status(400).json({ error: "Names cannot be empty" });
+      }
+
+      const updated = await saveCertificateVersion(prisma, certificate, data, {
+        action: "amended",
+        reason: cleanText(reason) || null,
+        changedById: req.user.id,
+      });
+
+      return res.json(updated);
+    } catch (e) {
+      console.error("PATCH /certificates/:certificateId error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// New certificate ID with current names; the old ID verifies as superseded
+router.post(
+  "/:certificateId/reissue",
+  protect,
+  manageCertificate,
+  async (req, res) => {
+    try {
+      const certificate = await loadManagedCertificate(req, res);
+      if (!certificate) return;
+
+      const [student, course] = await Promise.all([
+        prisma.user.findUnique({
+          where: { id: certificate.userId },
+          select: { fullName: true, email: true },
+        }),
+        prisma.course.findUnique({
+          where: { id: certificate.courseId },
+          select: { title: true },
+        }),
+      ]);
+
+      const { studentName, courseName, reason } = req.body || {};
+      const updated = await saveCertificateVersion(
+        prisma,
+        certificate,
+        {
+          certificateId: newCertificateCode(
+            certificate.assessmentId,
+            certificate.userId
+          ),
+          studentName:
+            cleanText(studentName) ||
+            student?.fullName ||
+            certificate.studentName,
+          courseName:
+            cleanText(courseName) || course?.title || certificate.courseName,
+          deletedAt: null,
+          revokedReason: null,
+          revokedById: null,
+        },
+        {
+          action: "reissued",
+          reason: cleanText(reason) || null,
+          changedById: req.user.id,
+        }
+      );
+
+      return res.json(updated);
+    } catch (e) {
+      console.error("POST /certificates/:certificateId/reissue error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+export default router;
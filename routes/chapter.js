@@ -1,23 +1,33 @@
 import express from "express";
 import { prisma } from "../config/prisma.js";
+import { requirePermission } from "../middleware/auth.js";
+import {
+  hasPermission,
+  courseScope,
+  assignedCourseScope,
+  chapterCourseId,
+} from "../utils/permissions.js";
+import { viewRoleOf, toChapterView } from "../utils/assessmentViews.js";
 
 const router = express.Router();
 
-function requireAdmin(req, res, next) {
-  if (!req.user) {
-    return res.status(401).json({ error: "Unauthorized: No user found" });
-  }
-
-  const role = String(req.user.role || "").toUpperCase();
-
-  if (role === "ADMIN" || role === "SUPERADMIN") {
-    return next(); // ✅ allow access
-  }
-
-  return res.status(403).json({ error: "Forbidden: Admin access required" });
-}
-
-router.get("/chapters/:id", requireAdmin, async (req, res) => {
+// Edits stay within courses the user's college owns; reads extend to
+// courses assigned to it
+const manageCourse = requirePermission("course.manage", (req) =>
+  courseScope(prisma, req.params.courseId)
+);
+const manageChapter = requirePermission("course.manage", async (req) =>
+  courseScope(prisma, await chapterCourseId(prisma, req.params.id))
+);
+const readChapter = requirePermission("course.manage", async (req) =>
+  assignedCourseScope(
+    prisma,
+    await chapterCourseId(prisma, req.params.id),
+    req.access
+  )
+);
+
+router.get("/chapters/:id", readChapter, async (req, res) => {
   const chapterId = String(req.params.id);
 
   try {
@@ -52,9 +62,9 @@ router.get("/chapters/:id/view", requireAuthOptional, async (req, res) => {
     if (!chapter) return res.status(404).json({ error: "Chapter not found" });
 
     const user = req.user; // may be undefined if not logged in
-    const role = user?.role || null;
     const isStaff =
-      role === "SUPERADMIN" || role === "ADMIN" || role === "INSTRUCTOR";
+      hasPermission(req.access, "course.manage") ||
+      hasPermission(req.access, "course.teach");
 
     // ✅ FIX: use studentId (not userId) in Enrollment
     let isEnrolled = false;
@@ -95,7 +105,7 @@ router.get("/chapters/:id/view", requireAuthOptional, async (req, res) => {
   }
 });
 
-router.post("/courses/:courseId/chapters", requireAdmin, async (req, res) => {
+router.post("/courses/:courseId/chapters", manageCourse, async (req, res) => {
   const { courseId } = req.params;
   const {
     title,
@@ -150,14 +160,15 @@ router.get("/courses/:courseId/chapters", async (req, res) => {
     });
 
     // Return data wrapped in an object for consistency
-    return res.json({ data: rows });
+    const role = viewRoleOf(req.user);
+    return res.json({ data: rows.map((c) => toChapterView(c, role)) });
   } catch (error) {
     console.error("Failed to fetch chapters:", error);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-router.patch("/chapters/:id", requireAdmin, async (req, res) => {
+router.patch("/chapters/:id", manageChapter, async (req, res) => {
   const { title, content, attachments, order, isPublished, isPreview } =
     req.body;
 
@@ -180,7 +191,7 @@ router.patch("/chapters/:id", requireAdmin, async (req, res) => {
   }
 });
 
-router.delete("/chapters/:id", requireAdmin, async (req, res) => {
+router.delete("/chapters/:id", manageChapter, async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -1,7 +1,14 @@
 import express from "express";
 import { body, validationResult } from "express-validator";
 import { prisma } from "../config/prisma.js";
-import { protect, requireAdminOnly } from "../middleware/auth.js";
+import { protect, requirePermission } from "../middleware/auth.js";
+import {
+  ROLES,
+  normalizeRole,
+  toGrants,
+  mergeGrants,
+  canGrant,
+} from "../utils/permissions.js";
 
 const router = express.Router();
 
@@ -15,29 +22,32 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-const authorize =
-  (...roles) =>
-  (req, res, next) => {
-    if (!req.user)
-      return res.status(401).json({ success: false, message: "Unauthorized" });
-    const role = String(req.user.role || "").toUpperCase();
-    if (!roles.map((r) => r.toUpperCase()).includes(role))
-      return res.status(403).json({ success: false, message: "Forbidden" });
-    next();
-  };
-
 const asIntOrNull = (v) => {
   const n = Number(v);
   return Number.isFinite(n) ? n : null;
 };
 
-const ensureSuperAdmin = [protect, authorize("SUPERADMIN")];
+// Scopes for requirePermission: the college in the path
+const collegeParam = (req) => ({ collegeId: req.params.collegeId });
+const idParam = (req) => ({ collegeId: req.params.id });
+const departmentCollege = async (req) => {
+  const department = await prisma.department.findUnique({
+    where: { id: String(req.params.departmentId) },
+    select: { collegeId: true },
+  });
+  return { collegeId: department?.collegeId };
+};
+
+const manageColleges = [protect, requirePermission("college.manage")];
+const managePermissions = [
+  protect,
+  requirePermission("permission.manage", collegeParam),
+];
 
 router.post(
   "/",
   [
-    protect,
-    authorize("SUPERADMIN"),
+    ...manageColleges,
     body("name").exists().trim().isLength({ min: 2, max: 200 }),
     body("contactPerson").exists().trim().isLength({ min: 2, max: 150 }),
     body("mobileNumber").exists().trim().isLength({ min: 5, max: 20 }),
@@ -83,7 +93,7 @@ router.post(
 
 router.get(
   "/",
-  [protect, authorize("SUPERADMIN", "ADMIN")],
+  [protect, requirePermission("college.view")],
   async (req, res, next) => {
     try {
       const { q, take = "50", skip = "0" } = req.query;
@@ -319,7 +329,7 @@ router.get(
 
 router.get(
   "/:id",
-  [protect, authorize("SUPERADMIN")],
+  manageColleges,
   async (req, res, next) => {
     try {
       const id = String(req.params.id);
@@ -550,8 +560,7 @@ router.get(
 router.put(
   "/:id",
   [
-    protect,
-    authorize("SUPERADMIN"),
+    ...manageColleges,
     body("name").optional().trim().isLength({ min: 2, max: 200 }),
     body("contactPerson").optional().trim().isLength({ min: 2, max: 150 }),
     body("mobileNumber").optional().trim().isLength({ min: 5, max: 20 }),
@@ -608,7 +617,7 @@ router.put(
 
 router.delete(
   "/:id",
-  [protect, authorize("SUPERADMIN")],
+  manageColleges,
   async (req, res, next) => {
     try {
       await prisma.college.delete({ where: { id: String(req.params.id) } });
@@ -625,7 +634,7 @@ router.delete(
 
 router.get(
   "/:collegeId/departments",
-  [protect, authorize("SUPERADMIN", "ADMIN")],
+  [protect, requirePermission("college.view", collegeParam)],
   async (req, res, next) => {
     try {
       const collegeId = String(req.params.collegeId);
@@ -705,7 +714,7 @@ router.put(
   "/:collegeId/departments/:departmentId",
   [
     protect,
-    authorize("SUPERADMIN"),
+    requirePermission("department.manage", collegeParam),
     body("name").optional().trim().isLength({ min: 2, max: 150 }),
     handleValidationErrors,
   ],
@@ -752,7 +761,7 @@ router.put(
 
 router.delete(
   "/:collegeId/departments/:departmentId",
-  [protect, authorize("SUPERADMIN")],
+  [protect, requirePermission("department.manage", collegeParam)],
   async (req, res, next) => {
     try {
       const collegeId = String(req.params.collegeId);
@@ -779,7 +788,7 @@ router.delete(
   }
 );
 
-router.get("/:collegeId/permissions", ensureSuperAdmin, async (req, res) => {
+router.get("/:collegeId/permissions", managePermissions, async (req, res) => {
   const { collegeId } = req.params;
 
   const college = await prisma.college.findUnique({
@@ -829,12 +838,13 @@ router.get("/:collegeId/permissions", ensureSuperAdmin, async (req, res) => {
       departmentLimit: college.departmentLimit, // <-- Added here
     },
     adminPermissions,
+    roleGrants: perms.roleGrants || {},
   });
 });
 
 router.put(
   "/:collegeId/permissions/limits",
-  ensureSuperAdmin,
+  manageColleges,
   async (req, res) => {
     const { collegeId } = req.params;
     const {
@@ -866,7 +876,7 @@ router.put(
 
 router.put(
   "/:collegeId/permissions/admin/:userId",
-  ensureSuperAdmin,
+  managePermissions,
   async (req, res) => {
     const { collegeId, userId } = req.params;
         const patch = req.body || {};
@@ -905,10 +915,55 @@ router.put(
   }
 );
 
+// Body: { role, grants: { "course.create": true, ... } }, null removing a
+// grant. Applies to everyone with that role in the college.
+router.put(
+  "/:collegeId/permissions/roles",
+  managePermissions,
+  async (req, res) => {
+    const { collegeId } = req.params;
+    const role = normalizeRole(req.body?.role);
+    if (!ROLES.includes(role) || role === "SUPERADMIN") {
+      return res
+        .status(400)
+        .json({ error: "role must be ADMIN, INSTRUCTOR or STUDENT" });
+    }
+    const { data: patch, error } = toGrants(req.body?.grants);
+    if (error) return res.status(400).json({ error });
+    if (!canGrant(req.access, patch, { collegeId })) {
+      return res
+        .status(403)
+        .json({ error: "You can only grant permissions you hold" });
+    }
+
+    try {
+      const college = await prisma.college.findUnique({
+        where: { id: collegeId },
+        select: { permissions: true },
+      });
+      if (!college) return res.status(404).json({ error: "College not found" });
+
+      const prev = college.permissions || {};
+      const roleGrants = { ...(prev.roleGrants || {}) };
+      roleGrants[role] = mergeGrants(roleGrants[role], patch);
+
+      const updated = await prisma.college.update({
+        where: { id: collegeId },
+        data: { permissions: { ...prev, roleGrants } },
+        select: { permissions: true },
+      });
+      res.json({ ok: true, roleGrants: updated.permissions.roleGrants });
+    } catch (e) {
+      console.error("PUT /colleges/:collegeId/permissions/roles error:", e);
+      res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
 router.get(
   "/departments/:departmentId/analytics",
   protect,
-  authorize("ADMIN", "SUPERADMIN"),
+  requirePermission("report.view", departmentCollege),
   async (req, res) => {
     const { departmentId } = req.params;
 
@@ -974,7 +1029,39 @@ router.get(
   }
 );
 
-router.patch("/:id/status", async (req, res) => {
+// Body: { requireAdminTwoFactor }. Super admins set it for any college,
+// admins for their own.
+router.patch(
+  "/:id/two-factor",
+  protect,
+  requirePermission("college.settings", idParam),
+  async (req, res) => {
+    const { id } = req.params;
+    const { requireAdminTwoFactor } = req.body;
+
+    if (typeof requireAdminTwoFactor !== "boolean") {
+      return res
+        .status(400)
+        .json({ error: "requireAdminTwoFactor must be true or false." });
+    }
+
+    try {
+      const college = await prisma.college.update({
+        where: { id },
+        data: { requireAdminTwoFactor },
+        select: { id: true, name: true, requireAdminTwoFactor: true },
+      });
+      return res.json({ success: true, data: college });
+    } catch (error) {
+      if (error?.code === "P2025") {
+        return res.status(404).json({ error: "College not found" });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.patch("/:id/status", manageColleges, async (req, res) => {
   const { id } = req.params; // This is already a string (UUID)
   const { status } = req.body;
 
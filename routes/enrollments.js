@@ -1,14 +1,15 @@
 // routes/enrollments.js
 import express from "express";
 import { prisma } from "../config/prisma.js";
-import { protect, authorize } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/auth.js";
+import {
+  hasPermission,
+  assignedCourseScope,
+  userScope,
+} from "../utils/permissions.js";
 const router = express.Router();
 
 // ------------- utils -------------
-const norm = (s) =>
-  String(s || "")
-    .toUpperCase()
-    .replace(/[^A-Z0-9]+/g, "_");
 const isUuid = (s) =>
   /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(
     String(s)
@@ -21,20 +22,30 @@ function normStatus(s) {
     .toUpperCase();
 }
 
-const isAdmin = (role) => ["ADMIN", "SUPER_ADMIN"].includes(norm(role));
-const isInstructor = (role) => norm(role) === "INSTRUCTOR";
-const isStudent = (role) => norm(role) === "STUDENT";
-
 function requireAuth(req, res, next) {
   if (!req.user) return res.status(401).json({ error: "Unauthorized" });
   next();
 }
-function requireAdmin(req, res, next) {
-  if (!req.user) return res.status(401).json({ error: "Unauthorized" });
-  if (!isAdmin(req.user.role))
-    return res.status(403).json({ error: "Forbidden" });
-  next();
-}
+// Enrollments are managed for the user's own college's students
+const manageEnrollments = requirePermission("enrollment.manage", (req) =>
+  userScope(prisma, req.body?.studentId)
+);
+const enrollmentScope = async (req) => {
+  const enrollment = await prisma.enrollment.findUnique({
+    where: { id: String(req.params.id) },
+    select: { studentId: true },
+  });
+  return userScope(prisma, enrollment?.studentId);
+};
+const manageEnrollment = requirePermission(
+  "enrollment.manage",
+  enrollmentScope
+);
+const listEnrollments = requirePermission("enrollment.manage", (req) =>
+  assignedCourseScope(prisma, req.params.courseId, req.access)
+);
+const teachCourses = requirePermission("course.teach");
+const approveRequests = requirePermission("enrollment.approve");
 
 async function findAssignmentForContext(courseId, collegeId, departmentId) {
   console.log(
@@ -136,34 +147,32 @@ async function isInstructorEligibleForCourse(userId, courseId) {
   return false;
 }
 
-async function isEligibleInstructorForEnrollment(userId, enrollmentId) {
-  // Admin/Super Admin bypass
-  const u = await prisma.user.findUnique({
-    where: { id: userId },
-    select: { role: true },
-  });
-  if (!u) return false;
-  if (isAdmin(u.role)) return true;
-  if (!isInstructor(u.role)) return false;
+// Approvers who also manage enrollments moderate every course; the rest
+// only courses they are eligible to teach
+async function ensureCanModerateCourse(req, courseId) {
+  if (!hasPermission(req.access, "enrollment.approve")) return false;
+  const scope = await assignedCourseScope(prisma, courseId, req.access);
+  if (hasPermission(req.access, "enrollment.manage", scope)) return true;
+  return isInstructorEligibleForCourse(req.user.id, courseId);
+}
+
+async function canModerateEnrollment(req, enrollmentId) {
+  if (!hasPermission(req.access, "enrollment.approve")) return false;
 
-  // Find the enrollment to get its courseId
   const enr = await prisma.enrollment.findUnique({
     where: { id: enrollmentId },
-    select: { courseId: true },
+    select: { courseId: true, student: { select: { collegeId: true } } },
   });
   if (!enr) return false;
-
-  // **Use the single source of truth!**
-  return isInstructorEligibleForCourse(userId, enr.courseId);
+  const scope = { collegeId: enr.student?.collegeId ?? null };
+  if (hasPermission(req.access, "enrollment.manage", scope)) return true;
+  return isInstructorEligibleForCourse(req.user.id, enr.courseId);
 }
 
 async function requireEligibleInstructorForEnrollment(req, res, next) {
   try {
     if (!req.user) return res.status(401).json({ error: "Unauthorized" });
-    const ok = await isEligibleInstructorForEnrollment(
-      req.user.id,
-      req.params.id
-    );
+    const ok = await canModerateEnrollment(req, req.params.id);
     if (!ok)
       return res
         .status(403)
@@ -218,14 +227,6 @@ async function findAssignmentForCollege(courseId, collegeId) {
   return null; // Course not assigned to this college
 }
 
-async function ensureCanModerateCourse(user, courseId) {
-  if (isAdmin(user.role)) return true;
-  if (!isInstructor(user.role)) return false;
-
-  // Use the new, definitive helper function!
-  return isInstructorEligibleForCourse(user.id, courseId);
-}
-
 async function loadEnrollmentStatusConfig() {
   const rec = await prisma.setting.findUnique({
     where: { key: "enrollment.statusConfig" },
@@ -372,7 +373,7 @@ router.get("/enrollments", async (req, res) => {
   }
 });
 
-router.post("/enrollments", requireAdmin, async (req, res) => {
+router.post("/enrollments", manageEnrollments, async (req, res) => {
   try {
     const { studentId, courseId } = req.body || {};
     if (!studentId || !courseId) {
@@ -466,14 +467,19 @@ router.get("/enrollments/self", requireAuth, async (req, res) => {
   }
 });
 
-router.get("/courses/:courseId/enrollments", requireAdmin, async (req, res) => {
+router.get("/courses/:courseId/enrollments", listEnrollments, async (req, res) => {
   try {
     const courseId = coerceId(req.params.courseId);
     if (!isUuid(courseId))
       return res.status(400).json({ error: "Invalid courseId" });
 
     const rows = await prisma.enrollment.findMany({
-      where: { courseId },
+      where: {
+        courseId,
+        ...(!req.access.global && {
+          student: { collegeId: req.access.collegeId || "" },
+        }),
+      },
       include: {
         student: { select: { id: true, fullName: true, email: true } },
         course: { select: { id: true, title: true } },
@@ -502,7 +508,7 @@ router.get("/courses/:courseId/enrollments", requireAdmin, async (req, res) => {
 
 router.post(
   "/courses/:courseId/enrollments",
-  requireAdmin,
+  manageEnrollments,
   async (req, res) => {
     try {
       const { courseId } = req.params;
@@ -522,7 +528,7 @@ router.post(
   }
 );
 
-router.delete("/enrollments/:id", requireAdmin, async (req, res) => {
+router.delete("/enrollments/:id", manageEnrollment, async (req, res) => {
   try {
     const { id } = req.params;
     if (!isUuid(id))
@@ -537,7 +543,7 @@ router.delete("/enrollments/:id", requireAdmin, async (req, res) => {
 
 router.post(
   "/courses/:courseId/enrollment-requests",
-  requireAuth,
+  requirePermission("enrollment.request"),
   async (req, res) => {
     try {
       const courseId = coerceId(req.params.courseId);
@@ -545,10 +551,6 @@ router.post(
 
       if (!isUuid(courseId))
         return res.status(400).json({ error: "Invalid courseId" });
-      if (!isStudent(req.user.role))
-        return res
-          .status(403)
-          .json({ error: "Only students can request enrollment" });
 
       const [statusCfg, existing] = await Promise.all([
         loadEnrollmentStatusConfig(),
@@ -646,14 +648,8 @@ router.get("/enrollment-requests/me", requireAuth, async (req, res) => {
   }
 });
 
-router.get("/instructor/enrollment-requests", requireAuth, async (req, res) => {
+router.get("/instructor/enrollment-requests", teachCourses, async (req, res) => {
   try {
-    if (!isInstructor(req.user.role)) {
-      return res
-        .status(403)
-        .json({ error: "Forbidden: only instructors can view requests" });
-    }
-
     const email = String(req.user.email || "");
     const reg = await prisma.registration.findFirst({
       where: { email: { equals: email, mode: "insensitive" } },
@@ -895,15 +891,9 @@ router.patch(
 
 router.get(
   "/courses/:courseId/enrollment-requests",
-  requireAuth,
+  teachCourses,
   async (req, res) => {
     try {
-      if (!isInstructor(req.user.role)) {
-        return res
-          .status(403)
-          .json({ error: "Forbidden: only instructors can view requests" });
-      }
-
       const courseId = String(req.params.courseId);
       const ok = await isInstructorEligibleForCourse(req.user.id, courseId);
       if (!ok) {
@@ -978,14 +968,8 @@ router.get(
   }
 );
 
-router.patch("/enrollment-requests:bulk", requireAuth, async (req, res) => {
+router.patch("/enrollment-requests:bulk", approveRequests, async (req, res) => {
   try {
-    if (!isInstructor(req.user.role)) {
-      return res
-        .status(403)
-        .json({ error: "Forbidden: only instructors can bulk update" });
-    }
-
     const { ids = [], nextStatus } = req.body || {};
     if (!Array.isArray(ids) || ids.length === 0)
       return res.status(400).json({ error: "ids array required" });
@@ -1014,7 +998,7 @@ router.patch("/enrollment-requests:bulk", requireAuth, async (req, res) => {
 
     // Must be department-eligible for each course
     for (const enr of enrs) {
-      const ok = await ensureCanModerateCourse(req.user, enr.courseId);
+      const ok = await ensureCanModerateCourse(req, enr.courseId);
       if (!ok) {
         return res.status(403).json({
           error: `Forbidden: not eligible instructor for course ${enr.courseId}`,
@@ -1087,8 +1071,7 @@ router.patch("/enrollment-requests:bulk", requireAuth, async (req, res) => {
 
 router.get(
   "/instructor/enrolled-students",
-  protect,
-  authorize("INSTRUCTOR"),
+  teachCourses,
   async (req, res) => {
     try {
       const instructorId = req.user.id;
@@ -0,0 +1,189 @@
+// routes/mockIdp.js
+// A stand-in OpenID Connect provider for trying SSO locally. server.js
+// mounts it at /mock-idp only when SSO_MOCK_IDP=true outside production:
+// it signs in whoever types an email and ignores client secrets.
+// Register it as an "oidc" provider with issuer
+// http://localhost:5000/mock-idp and client id "mock-client".
+import express from "express";
+import crypto from "crypto";
+import { SignJWT, exportJWK, generateKeyPair } from "jose";
+const router = express.Router();
+
+const CLIENT_ID = process.env.SSO_MOCK_CLIENT_ID || "mock-client";
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL = "5m";
+const KEY_ID = "mock-idp-1";
+
+// Issued authorization codes, by code
+const codes = new Map();
+let signingKey = null;
+
+// RS256 key pair made on first use; lost (like the codes) on restart
+const keys = () =>
+  (signingKey ??= generateKeyPair("RS256").then(
+    async ({ privateKey, publicKey }) => ({
+      privateKey,
+      jwk: {
+        ...(await exportJWK(publicKey)),
+        kid: KEY_ID,
+        alg: "RS256",
+        use: "sig",
+      },
+    })
+  ));
+
+const issuerOf = (req) => `${req.protocol}://${req.get("host")}${req.baseUrl}`;
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[c])
+  );
+
+router.get("/.well-known/openid-configuration", (req, res) => {
+  const issuer = issuerOf(req);
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    scopes_supported: ["openid", "email", "profile"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: [
+      "client_secret_basic",
+      "client_secret_post",
+      "none",
+    ],
+  });
+});
+
+router.get("/jwks", async (_req, res) => {
+  const { jwk } = await keys();
+  res.json({ keys: [jwk] });
+});
+
+// A form standing in for the IdP's login page
+router.get("/authorize", (req, res) => {
+  const { client_id, redirect_uri, response_type } = req.query;
+  if (client_id !== CLIENT_ID || !redirect_uri || response_type !== "code") {
+    return res
+      .status(400)
+      .send("Expected response_type=code, redirect_uri and the mock client");
+  }
+
+  const hidden = ["redirect_uri", "state", "nonce", "code_challenge"]
+    .map(
+      (name) =>
+        `<input type="hidden" name="${name}" value="${escapeHtml(
+          req.query[name]
+        )}">`
+    )
+    .join("");
+  // The form posts back here, then redirects on to the API and frontend
+  res.set(
+    "Content-Security-Policy",
+    "default-src 'none'; style-src 'unsafe-inline'; form-action *"
+  );
+  res.type("html").send(`<!doctype html>
+<title>Mock identity provider</title>
+<form method="post" style="font-family:sans-serif;max-width:320px;margin:4em auto;display:grid;gap:.5em">
+  <h2>Mock identity provider</h2>
+  ${hidden}
+  <label>Email <input name="email" type="email" required value="${escapeHtml(
+    req.query.login_hint
+  )}"></label>
+  <label>Name <input name="name"></label>
+  <label>Department <input name="department"></label>
+  <button>Sign in</button>
+</form>`);
+});
+
+router.post("/authorize", (req, res) => {
+  const { redirect_uri, state, nonce, code_challenge, email, name } =
+    req.body || {};
+  if (!redirect_uri || !email) {
+    return res.status(400).send("redirect_uri and email are required");
+  }
+
+  const code = crypto.randomBytes(24).toString("base64url");
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    email: String(email).trim().toLowerCase(),
+    name: name || null,
+    department: req.body.department || null,
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set("code", code);
+  if (state) url.searchParams.set("state", state);
+  res.redirect(url.toString());
+});
+
+router.post("/token", async (req, res) => {
+  const { grant_type, code, redirect_uri, code_verifier } = req.body || {};
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  const basic = (req.get("authorization") || "").match(/^Basic (.+)$/);
+  const clientId = basic
+    ? decodeURIComponent(
+        Buffer.from(basic[1], "base64").toString().split(":")[0]
+      )
+    : req.body?.client_id;
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(String(code_verifier || ""))
+    .digest("base64url");
+  if (
+    grant_type !== "authorization_code" ||
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.redirectUri !== redirect_uri ||
+    clientId !== CLIENT_ID ||
+    (grant.codeChallenge && grant.codeChallenge !== challenge)
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const { privateKey } = await keys();
+  const idToken = await new SignJWT({
+    email: grant.email,
+    email_verified: true,
+    ...(grant.name && { name: grant.name }),
+    ...(grant.department && { department: grant.department }),
+    ...(grant.nonce && { nonce: grant.nonce }),
+  })
+    .setProtectedHeader({ alg: "RS256", kid: KEY_ID })
+    .setIssuer(issuerOf(req))
+    .setAudience(CLIENT_ID)
+    // Stable per email, as a real IdP's subject is per account
+    .setSubject(
+      crypto.createHash("sha256").update(grant.email).digest("hex").slice(0, 32)
+    )
+    .setIssuedAt()
+    .setExpirationTime(ID_TOKEN_TTL)
+    .sign(privateKey);
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+export default router;
@@ -0,0 +1,284 @@
+import express from "express";
+import { prisma } from "../config/prisma.js";
+import { requirePermission } from "../middleware/auth.js";
+import {
+  hasPermission,
+  attemptScope,
+  attemptsInScope,
+} from "../utils/permissions.js";
+import { isInstructorEligibleForCourse } from "../utils/instructorEligibility.js";
+import { issueCertificate } from "../utils/grading.js";
+import {
+  INTEGRITY_STATUSES,
+  REVIEW_DECISIONS,
+  proctoringSettings,
+  toProctoringEvents,
+  recordProctoringEvents,
+  hasFlaggedAttempt,
+} from "../utils/proctoring.js";
+const router = express.Router();
+
+const managesCourses = (req) => hasPermission(req.access, "course.manage");
+
+// Reviewers stay in the attempt's college
+const reviewAttempt = requirePermission("proctoring.review", (req) =>
+  attemptScope(prisma, req.params.attemptId)
+);
+
+// Course managers review any of their college's attempts, others their
+// courses'
+async function canReview(req, attempt) {
+  if (managesCourses(req)) return true;
+  const courseId = attempt.assessment?.courseId;
+  return (
+    !!courseId && isInstructorEligibleForCourse(prisma, req.user, courseId)
+  );
+}
+
+const studentSelect = { select: { id: true, fullName: true, email: true } };
+
+// Body: { events: [{ type, occurredAt?, details? }] }
+router.post("/attempts/:attemptId/proctoring-events", async (req, res) => {
+  try {
+    const attempt = await prisma.assessmentAttempt.findFirst({
+      where: {
+        id: String(req.params.attemptId),
+        studentId: req.user.id,
+        deletedAt: null,
+      },
+      include: { assessment: true },
+    });
+    if (!attempt) return res.status(404).json({ error: "Attempt not found" });
+    if (attempt.status !== "in_progress") {
+      return res.status(409).json({ error: "Attempt already submitted" });
+    }
+    if (!proctoringSettings(attempt.assessment).enabled) {
+      return res
+        .status(409)
+        .json({ error: "Proctoring is not enabled for this assessment" });
+    }
+
+    const context = {
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    };
+    const events = toProctoringEvents(req.body?.events, context);
+    if (events.error) return res.status(400).json({ error: events.error });
+
+    const state = await recordProctoringEvents(
+      prisma,
+      attempt,
+      attempt.assessment,
+      events.data,
+      context
+    );
+
+    return res.status(201).json({
+      attemptId: attempt.id,
+      recorded: events.data.length,
+      suspicionScore: state.suspicionScore,
+      flagged: state.integrityStatus === "flagged",
+    });
+  } catch (e) {
+    console.error("POST /attempts/:attemptId/proctoring-events error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// Finished attempts by integrity status (flagged by default), most
+// suspicious first. Filters: courseId, assessmentId, status.
+router.get(
+  "/proctoring/attempts",
+  requirePermission("proctoring.review"),
+  async (req, res) => {
+    try {
+      const { courseId, assessmentId } = req.query;
+      const status = String(req.query.status || "flagged").toLowerCase();
+      if (!INTEGRITY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of ${INTEGRITY_STATUSES.join(", ")}`,
+        });
+      }
+
+      if (!managesCourses(req)) {
+        if (!courseId) {
+          return res.status(400).json({ error: "courseId is required" });
+        }
+        if (
+          !(await isInstructorEligibleForCourse(
+            prisma,
+            req.user,
+            String(courseId)
+          ))
+        ) {
+          return res.status(403).json({ error: "Forbidden" });
+        }
+      }
+
+      const attempts = await prisma.assessmentAttempt.findMany({
+        where: {
+          deletedAt: null,
+          status: { not: "in_progress" },
+          integrityStatus: status,
+          ...(assessmentId && { assessmentId: String(assessmentId) }),
+          ...(courseId && { assessment: { courseId: String(courseId) } }),
+          ...attemptsInScope(req.access),
+        },
+        select: {
+          id: true,
+          status: true,
+          score: true,
+          submittedAt: true,
+          suspicionScore: true,
+          integrityStatus: true,
+          integrityReviewedAt: true,
+          assessment: { select: { id: true, title: true, courseId: true } },
+          student: studentSelect,
+          _count: { select: { proctoringEvents: true } },
+        },
+        orderBy: [{ suspicionScore: "desc" }, { submittedAt: "asc" }],
+      });
+
+      return res.json(
+        attempts.map(({ _count, ...a }) => ({
+          ...a,
+          eventCount: _count.proctoringEvents,
+        }))
+      );
+    } catch (e) {
+      console.error("GET /proctoring/attempts error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+async function loadReviewableAttempt(req, res) {
+  const attempt = await prisma.assessmentAttempt.findFirst({
+    where: { id: String(req.params.attemptId), deletedAt: null },
+    include: {
+      assessment: {
+        include: { course: { select: { id: true, title: true } } },
+      },
+      student: studentSelect,
+    },
+  });
+  if (!attempt) {
+    res.status(404).json({ error: "Attempt not found" });
+    return null;
+  }
+  if (!(await canReview(req, attempt))) {
+    res.status(403).json({ error: "Forbidden" });
+    return null;
+  }
+  return attempt;
+}
+
+const toIntegrityView = (attempt) => ({
+  attemptId: attempt.id,
+  status: attempt.status,
+  score: attempt.score,
+  startedAt: attempt.startedAt,
+  submittedAt: attempt.submittedAt,
+  suspicionScore: attempt.suspicionScore,
+  integrityStatus: attempt.integrityStatus,
+  integrityReviewedAt: attempt.integrityReviewedAt,
+  integrityReviewedById: attempt.integrityReviewedById,
+  integrityNote: attempt.integrityNote,
+  assessment: { id: attempt.assessment.id, title: attempt.assessment.title },
+  student: attempt.student,
+});
+
+// Timeline of an attempt's integrity events
+router.get(
+  "/attempts/:attemptId/proctoring",
+  reviewAttempt,
+  async (req, res) => {
+    try {
+      const attempt = await loadReviewableAttempt(req, res);
+      if (!attempt) return;
+
+      const events = await prisma.proctoringEvent.findMany({
+        where: { attemptId: attempt.id },
+        orderBy: { occurredAt: "asc" },
+      });
+
+      const byType = {};
+      for (const e of events) byType[e.type] = (byType[e.type] || 0) + 1;
+
+      return res.json({ ...toIntegrityView(attempt), byType, events });
+    } catch (e) {
+      console.error("GET /attempts/:attemptId/proctoring error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// Body: { decision: "cleared" | "rejected", note? }. Cleared attempts count
+// again; once nothing is left to review the certificate is re-evaluated.
+router.post(
+  "/attempts/:attemptId/proctoring/review",
+  reviewAttempt,
+  async (req, res) => {
+    try {
+      const attempt = await loadReviewableAttempt(req, res);
+      if (!attempt) return;
+
+      const decision = String(req.body?.decision || "").toLowerCase();
+      if (!REVIEW_DECISIONS.includes(decision)) {
+        return res.status(400).json({
+          error: `decision must be one of ${REVIEW_DECISIONS.join(", ")}`,
+        });
+      }
+      if (attempt.status === "in_progress") {
+        return res
+          .status(409)
+          .json({ error: "Attempt is still in progress" });
+      }
+      if (attempt.integrityStatus === "clear") {
+        return res
+          .status(409)
+          .json({ error: "Attempt was not flagged by proctoring" });
+      }
+
+      const reviewed = await prisma.assessmentAttempt.update({
+        where: { id: attempt.id },
+        data: {
+          integrityStatus: decision,
+          integrityReviewedAt: new Date(),
+          integrityReviewedById: req.user.id,
+          integrityNote: String(req.body?.note || "").trim() || null,
+        },
+        include: {
+          assessment: { select: { id: true, title: true } },
+          student: studentSelect,
+        },
+      });
+
+      const pending = await hasFlaggedAttempt(
+        prisma,
+        attempt.assessmentId,
+        attempt.studentId
+      );
+      const { certificateGenerated, certificate } = pending
+        ? { certificateGenerated: false, certificate: null }
+        : await issueCertificate(
+            prisma,
+            attempt.assessment,
+            attempt.studentId,
+            null,
+            attempt.submittedAt || new Date()
+          );
+
+      return res.json({
+        ...toIntegrityView(reviewed),
+        certificateGenerated,
+        certificate,
+      });
+    } catch (e) {
+      console.error("POST /attempts/:attemptId/proctoring/review error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+export default router;
@@ -1,9 +1,10 @@
 import express from "express";
 import { prisma } from "../config/prisma.js";
-import { protect } from "../middleware/auth.js";
+import { combineScoresByAssessment } from "../utils/attemptScoring.js";
+import { HELD_INTEGRITY_STATUSES } from "../utils/proctoring.js";
 const router = express.Router();
 
-router.post("/chapters/:chapterId/complete", protect, async (req, res) => {
+router.post("/chapters/:chapterId/complete", async (req, res) => {
   try {
     const studentId = req.user.id;
     const chapterId = String(req.params.chapterId);
@@ -31,7 +32,7 @@ router.post("/chapters/:chapterId/complete", protect, async (req, res) => {
   }
 });
 
-router.get("/course/:courseId/completed", protect, async (req, res) => {
+router.get("/course/:courseId/completed", async (req, res) => {
   try {
     const studentId = req.user.id;
     const courseId = String(req.params.courseId);
@@ -49,7 +50,7 @@ router.get("/course/:courseId/completed", protect, async (req, res) => {
   }
 });
 
-router.get("/course/:courseId/summary", protect, async (req, res) => {
+router.get("/course/:courseId/summary", async (req, res) => {
   try {
     const studentId = req.user.id;
     const courseId = String(req.params.courseId);
@@ -62,25 +63,32 @@ router.get("/course/:courseId/summary", protect, async (req, res) => {
       }),
     ]);
 
-    // 2) Tests: average score + how many tests taken
+    // 2) Tests: average of each test's counting score + how many tests taken
     const attempts = await prisma.assessmentAttempt.findMany({
       where: {
         studentId,
         status: "submitted",
+        deletedAt: null,
+        integrityStatus: { notIn: HELD_INTEGRITY_STATUSES },
         assessment: { courseId },
         score: { not: null },
       },
-      select: { assessmentId: true, score: true },
+      select: {
+        id: true,
+        studentId: true,
+        assessmentId: true,
+        score: true,
+        submittedAt: true,
+        assessment: { select: { attemptScoring: true } },
+      },
     });
 
-    const taken = attempts.length;
+    const scores = combineScoresByAssessment(attempts);
+    const taken = scores.length;
 
     let averagePercent = 0;
     if (taken > 0) {
-      const totalScore = attempts.reduce(
-        (sum, a) => sum + Number(a.score || 0),
-        0
-      );
+      const totalScore = scores.reduce((sum, s) => sum + s.score, 0);
       averagePercent = Math.round(totalScore / taken);
     }
 
@@ -0,0 +1,437 @@
+import express from "express";
+import multer from "multer";
+import { prisma } from "../config/prisma.js";
+import {
+  requirePermission,
+  isSuperAdmin,
+} from "../middleware/auth.js";
+import {
+  hasPermission,
+  courseScope,
+  assessmentCourseId,
+} from "../utils/permissions.js";
+import { isInstructorEligibleForCourse } from "../utils/instructorEligibility.js";
+import {
+  QUESTION_DIFFICULTIES,
+  toBankQuestionData,
+  replaceAssessmentPools,
+} from "../utils/questionData.js";
+import {
+  readQuestionImport,
+  importReport,
+  isDryRun,
+} from "../utils/questionFormats.js";
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 8 * 1024 * 1024 },
+});
+
+// Course managers reach their college's courses, teachers the courses they
+// teach
+async function canManageCourse(req, courseId) {
+  const scope = await courseScope(prisma, courseId ?? null);
+  if (
+    scope.collegeId !== undefined &&
+    hasPermission(req.access, "course.manage", scope)
+  ) {
+    return true;
+  }
+  if (!hasPermission(req.access, "course.teach")) return false;
+  return isInstructorEligibleForCourse(prisma, req.user, courseId);
+}
+
+// Pools are edited in the college that owns the assessment's course
+const managePools = requirePermission("questionBank.manage", async (req) =>
+  courseScope(prisma, await assessmentCourseId(prisma, req.params.id))
+);
+
+// Non-superadmins see shared banks (no college) and their own college's banks
+const bankScope = (req) =>
+  isSuperAdmin(req.user)
+    ? {}
+    : { OR: [{ collegeId: null }, { collegeId: req.user.collegeId || "" }] };
+
+// Non-superadmins may only edit banks that belong to their college
+const canEditBank = (req, bank) =>
+  isSuperAdmin(req.user) ||
+  (!!bank.collegeId && bank.collegeId === req.user.collegeId);
+
+async function loadEditableBank(req, res) {
+  const bank = await prisma.questionBank.findFirst({
+    where: { id: String(req.params.id), deletedAt: null },
+  });
+  if (!bank) {
+    res.status(404).json({ error: "Question bank not found" });
+    return null;
+  }
+  if (!canEditBank(req, bank) || !(await canManageCourse(req, bank.courseId))) {
+    res.status(403).json({ error: "Forbidden" });
+    return null;
+  }
+  return bank;
+}
+
+router.get(
+  "/courses/:courseId/question-banks",
+  requirePermission("questionBank.manage"),
+  async (req, res) => {
+    try {
+      const courseId = String(req.params.courseId);
+      if (!(await canManageCourse(req, courseId))) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      const banks = await prisma.questionBank.findMany({
+        where: { courseId, deletedAt: null, ...bankScope(req) },
+        orderBy: { createdAt: "asc" },
+        include: {
+          _count: { select: { questions: { where: { deletedAt: null } } } },
+        },
+      });
+
+      return res.json(
+        banks.map(({ _count, ...b }) => ({
+          ...b,
+          questionCount: _count.questions,
+        }))
+      );
+    } catch (e) {
+      console.error("GET /courses/:courseId/question-banks error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.post(
+  "/courses/:courseId/question-banks",
+  requirePermission("questionBank.manage"),
+  async (req, res) => {
+    try {
+      const courseId = String(req.params.courseId);
+      const { title, description = null, collegeId = null } = req.body || {};
+
+      const course = await prisma.course.findUnique({
+        where: { id: courseId },
+        select: { id: true },
+      });
+      if (!course) return res.status(404).json({ error: "Course not found" });
+
+      if (!(await canManageCourse(req, courseId))) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      if (!title || !String(title).trim()) {
+        return res.status(400).json({ error: "title is required" });
+      }
+
+      const ownerCollegeId = isSuperAdmin(req.user)
+        ? collegeId
+          ? String(collegeId)
+          : null
+        : req.user.collegeId;
+      if (!isSuperAdmin(req.user) && !ownerCollegeId) {
+        return res
+          .status(400)
+          .json({ error: "You must be assigned to a college" });
+      }
+
+      const bank = await prisma.questionBank.create({
+        data: {
+          title: String(title).trim(),
+          description: description ? String(description) : null,
+          courseId,
+          collegeId: ownerCollegeId,
+          createdById: req.user.id,
+        },
+      });
+
+      return res.status(201).json(bank);
+    } catch (e) {
+      console.error("POST /courses/:courseId/question-banks error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.get(
+  "/question-banks/:id",
+  requirePermission("questionBank.manage"),
+  async (req, res) => {
+    try {
+      const { tag, difficulty } = req.query;
+
+      const bank = await prisma.questionBank.findFirst({
+        where: { id: String(req.params.id), deletedAt: null, ...bankScope(req) },
+        include: {
+          questions: {
+            where: {
+              deletedAt: null,
+              ...(tag ? { tags: { has: String(tag).toLowerCase() } } : {}),
+              ...(difficulty
+                ? { difficulty: String(difficulty).toLowerCase() }
+                : {}),
+            },
+            orderBy: { createdAt: "asc" },
+          },
+        },
+      });
+      if (!bank) {
+        return res.status(404).json({ error: "Question bank not found" });
+      }
+
+      if (!(await canManageCourse(req, bank.courseId))) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      return res.json(bank);
+    } catch (e) {
+      console.error("GET /question-banks/:id error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.patch(
+  "/question-banks/:id",
+  requirePermission("questionBank.manage"),
+  async (req, res) => {
+    try {
+      const bank = await loadEditableBank(req, res);
+      if (!bank) return;
+
+      const { title, description } = req.body || {};
+      const updated = await prisma.questionBank.update({
+        where: { id: bank.id },
+        data: {
+          ...(title !== undefined && { title: String(title).trim() }),
+          ...(description !== undefined && {
+            description: description ? String(description) : null,
+          }),
+        },
+      });
+
+      return res.json(updated);
+    } catch (e) {
+      console.error("PATCH /question-banks/:id error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.delete(
+  "/question-banks/:id",
+  requirePermission("questionBank.manage"),
+  async (req, res) => {
+    try {
+      const bank = await loadEditableBank(req, res);
+      if (!bank) return;
+
+      const inUse = await prisma.assessmentPool.count({
+        where: { bankId: bank.id },
+      });
+      if (inUse > 0) {
+        return res.status(409).json({
+          error: "Question bank is used by assessments. Remove those pools first.",
+        });
+      }
+
+      await prisma.questionBank.update({
+        where: { id: bank.id },
+        data: { deletedAt: new Date() },
+      });
+
+      return res.json({ message: "Question bank deleted successfully" });
+    } catch (e) {
+      console.error("DELETE /question-banks/:id error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.post(
+  "/question-banks/:id/questions",
+  requirePermission("questionBank.manage"),
+  async (req, res) => {
+    try {
+      const bank = await loadEditableBank(req, res);
+      if (!bank) return;
+
+      const input = Array.isArray(req.body?.questions)
+        ? req.body.questions
+        : [req.body || {}];
+
+      const data = input.map((q) => ({
+        ...toBankQuestionData(q),
+        bankId: bank.id,
+      }));
+      const missing = data.findIndex((q) => !q.prompt.trim());
+      if (missing !== -1) {
+        return res
+          .status(400)
+          .json({ error: `questions[${missing}].prompt is required` });
+      }
+
+      await prisma.bankQuestion.createMany({ data });
+
+      const questions = await prisma.bankQuestion.findMany({
+        where: { bankId: bank.id, deletedAt: null },
+        orderBy: { createdAt: "asc" },
+      });
+
+      return res.status(201).json({ ...bank, questions });
+    } catch (e) {
+      console.error("POST /question-banks/:id/questions error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// Same formats as assessment import; tags and difficulty are kept
+router.post(
+  "/question-banks/:id/questions/import",
+  [requirePermission("questionBank.manage"), upload.single("file")],
+  async (req, res) => {
+    try {
+      const bank = await loadEditableBank(req, res);
+      if (!bank) return;
+
+      const parsed = await readQuestionImport(
+        req.file,
+        req.body?.format || req.query.format
+      );
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const dryRun = isDryRun(req);
+      if (!dryRun && parsed.valid.length) {
+        await prisma.bankQuestion.createMany({
+          data: parsed.valid.map((q) => ({
+            ...toBankQuestionData(q),
+            bankId: bank.id,
+          })),
+        });
+      }
+
+      return res.json(
+        importReport({
+          ...parsed,
+          dryRun,
+          imported: dryRun ? 0 : parsed.valid.length,
+        })
+      );
+    } catch (e) {
+      console.error("POST /question-banks/:id/questions/import error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.patch(
+  "/question-banks/:id/questions/:questionId",
+  requirePermission("questionBank.manage"),
+  async (req, res) => {
+    try {
+      const bank = await loadEditableBank(req, res);
+      if (!bank) return;
+
+      const existing = await prisma.bankQuestion.findFirst({
+        where: {
+          id: String(req.params.questionId),
+          bankId: bank.id,
+          deletedAt: null,
+        },
+      });
+      if (!existing) return res.status(404).json({ error: "Question not found" });
+
+      const body = req.body || {};
+      const merged = toBankQuestionData({ ...existing, ...body });
+      if (!merged.prompt.trim()) {
+        return res.status(400).json({ error: "prompt is required" });
+      }
+      if (
+        body.difficulty !== undefined &&
+        !QUESTION_DIFFICULTIES.includes(String(body.difficulty).toLowerCase())
+      ) {
+        return res.status(400).json({
+          error: `difficulty must be one of ${QUESTION_DIFFICULTIES.join(", ")}`,
+        });
+      }
+
+      const updated = await prisma.bankQuestion.update({
+        where: { id: existing.id },
+        data: merged,
+      });
+
+      return res.json(updated);
+    } catch (e) {
+      console.error("PATCH /question-banks/:id/questions/:questionId error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.delete(
+  "/question-banks/:id/questions/:questionId",
+  requirePermission("questionBank.manage"),
+  async (req, res) => {
+    try {
+      const bank = await loadEditableBank(req, res);
+      if (!bank) return;
+
+      const result = await prisma.bankQuestion.updateMany({
+        where: {
+          id: String(req.params.questionId),
+          bankId: bank.id,
+          deletedAt: null,
+        },
+        data: { deletedAt: new Date() },
+      });
+      if (!result.count) {
+        return res.status(404).json({ error: "Question not found" });
+      }
+
+      return res.json({ message: "Question deleted successfully" });
+    } catch (e) {
+      console.error("DELETE /question-banks/:id/questions/:questionId error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.put(
+  "/assessments/:id/pools",
+  managePools,
+  async (req, res) => {
+    try {
+      const assessment = await prisma.assessment.findUnique({
+        where: { id: String(req.params.id) },
+        select: { id: true, courseId: true },
+      });
+      if (!assessment) {
+        return res.status(404).json({ error: "Assessment not found" });
+      }
+      if (
+        !assessment.courseId ||
+        !(await canManageCourse(req, assessment.courseId))
+      ) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      const pools = await replaceAssessmentPools(
+        prisma,
+        assessment,
+        req.body?.pools,
+        req.access
+      );
+      if (pools.error) return res.status(400).json({ error: pools.error });
+
+      return res.json(pools.data);
+    } catch (e) {
+      console.error("PUT /assessments/:id/pools error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+export default router;
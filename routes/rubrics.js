@@ -0,0 +1,287 @@
+import express from "express";
+import { prisma } from "../config/prisma.js";
+import {
+  requirePermission,
+  isSuperAdmin,
+} from "../middleware/auth.js";
+import { hasPermission } from "../utils/permissions.js";
+import { isInstructorEligibleForCourse } from "../utils/instructorEligibility.js";
+import {
+  rubricScope,
+  toRubricData,
+  summarizeRubricScores,
+} from "../utils/rubrics.js";
+const router = express.Router();
+
+const criteriaInclude = { criteria: { orderBy: { order: "asc" } } };
+
+// Rubrics are edited in their own college; shared ones by super admins
+const editRubric = requirePermission("rubric.manage", async (req) => {
+  const rubric = await prisma.rubric.findUnique({
+    where: { id: String(req.params.id) },
+    select: { collegeId: true },
+  });
+  return rubric ? { collegeId: rubric.collegeId } : {};
+});
+
+// Course managers edit any of their college's rubrics, everyone else their
+// own
+function canEdit(req, rubric) {
+  if (hasPermission(req.access, "course.manage")) return true;
+  return rubric.createdById === req.user.id;
+}
+
+async function loadRubric(req, res, { edit = false } = {}) {
+  const rubric = await prisma.rubric.findFirst({
+    where: {
+      id: String(req.params.id),
+      deletedAt: null,
+      ...rubricScope(req.user),
+    },
+    include: criteriaInclude,
+  });
+  if (!rubric) {
+    res.status(404).json({ error: "Rubric not found" });
+    return null;
+  }
+  if (edit && !canEdit(req, rubric)) {
+    res.status(403).json({ error: "Forbidden" });
+    return null;
+  }
+  return rubric;
+}
+
+router.get(
+  "/rubrics",
+  requirePermission("rubric.manage"),
+  async (req, res) => {
+    try {
+      const { search } = req.query;
+      const rubrics = await prisma.rubric.findMany({
+        where: {
+          deletedAt: null,
+          ...rubricScope(req.user),
+          ...(search && {
+            title: { contains: String(search), mode: "insensitive" },
+          }),
+        },
+        include: criteriaInclude,
+        orderBy: { createdAt: "desc" },
+      });
+      return res.json(rubrics);
+    } catch (e) {
+      console.error("GET /rubrics error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// Body: { title, description?, criteria: [{ title, description?, levels }],
+// collegeId? } — only the super admin may share a rubric (collegeId null)
+router.post(
+  "/rubrics",
+  requirePermission("rubric.manage"),
+  async (req, res) => {
+    try {
+      const parsed = toRubricData(req.body);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const collegeId = isSuperAdmin(req.user)
+        ? req.body.collegeId || null
+        : req.user.collegeId;
+      if (!isSuperAdmin(req.user) && !collegeId) {
+        return res
+          .status(400)
+          .json({ error: "Your account is not linked to a college" });
+      }
+
+      const { criteria, ...fields } = parsed.data;
+      const rubric = await prisma.rubric.create({
+        data: {
+          ...fields,
+          collegeId,
+          createdById: req.user.id,
+          criteria: { create: criteria },
+        },
+        include: criteriaInclude,
+      });
+
+      return res.status(201).json(rubric);
+    } catch (e) {
+      console.error("POST /rubrics error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.get(
+  "/rubrics/:id",
+  requirePermission("rubric.manage"),
+  async (req, res) => {
+    try {
+      const rubric = await loadRubric(req, res);
+      if (!rubric) return;
+      return res.json(rubric);
+    } catch (e) {
+      console.error("GET /rubrics/:id error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// Criteria can only be replaced until the rubric has been used for grading;
+// after that only the title and description change
+router.put(
+  "/rubrics/:id",
+  editRubric,
+  async (req, res) => {
+    try {
+      const rubric = await loadRubric(req, res, { edit: true });
+      if (!rubric) return;
+
+      const parsed = toRubricData({
+        title: rubric.title,
+        description: rubric.description,
+        criteria: rubric.criteria,
+        ...req.body,
+      });
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const { criteria, ...fields } = parsed.data;
+      if (req.body.criteria !== undefined) {
+        const used = await prisma.rubricScore.count({
+          where: { rubricId: rubric.id },
+        });
+        if (used) {
+          return res.status(409).json({
+            error:
+              "This rubric has been used for grading; create a new rubric to change its criteria",
+          });
+        }
+      }
+
+      const updated = await prisma.$transaction(async (tx) => {
+        if (req.body.criteria !== undefined) {
+          await tx.rubricCriterion.deleteMany({
+            where: { rubricId: rubric.id },
+          });
+          await tx.rubricCriterion.createMany({
+            data: criteria.map((c) => ({ ...c, rubricId: rubric.id })),
+          });
+        }
+        return tx.rubric.update({
+          where: { id: rubric.id },
+          data: fields,
+          include: criteriaInclude,
+        });
+      });
+
+      return res.json(updated);
+    } catch (e) {
+      console.error("PUT /rubrics/:id error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// Soft delete; papers already served keep their rubric snapshot
+router.delete(
+  "/rubrics/:id",
+  editRubric,
+  async (req, res) => {
+    try {
+      const rubric = await loadRubric(req, res, { edit: true });
+      if (!rubric) return;
+
+      await prisma.rubric.update({
+        where: { id: rubric.id },
+        data: { deletedAt: new Date() },
+      });
+      return res.json({ message: "Rubric deleted successfully" });
+    } catch (e) {
+      console.error("DELETE /rubrics/:id error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// Criterion averages and level distribution, overall and per course and
+// department. Filters: courseId, departmentId, assessmentId, collegeId.
+router.get(
+  "/rubrics/:id/analytics",
+  requirePermission("rubric.manage"),
+  async (req, res) => {
+    try {
+      const rubric = await loadRubric(req, res);
+      if (!rubric) return;
+
+      const { courseId, departmentId, assessmentId } = req.query;
+      if (!hasPermission(req.access, "course.manage")) {
+        if (!courseId) {
+          return res.status(400).json({ error: "courseId is required" });
+        }
+        if (
+          !(await isInstructorEligibleForCourse(
+            prisma,
+            req.user,
+            String(courseId)
+          ))
+        ) {
+          return res.status(403).json({ error: "Forbidden" });
+        }
+      }
+
+      // Outside the super admin, only grades given in the user's college
+      const collegeId = isSuperAdmin(req.user)
+        ? req.query.collegeId
+        : req.user.collegeId || "";
+
+      const scores = await prisma.rubricScore.findMany({
+        where: {
+          rubricId: rubric.id,
+          ...(collegeId && { collegeId: String(collegeId) }),
+          ...(courseId && { courseId: String(courseId) }),
+          ...(departmentId && { departmentId: String(departmentId) }),
+          ...(assessmentId && { assessmentId: String(assessmentId) }),
+        },
+        select: {
+          attemptId: true,
+          questionId: true,
+          criterionId: true,
+          levelId: true,
+          points: true,
+          courseId: true,
+          departmentId: true,
+        },
+      });
+
+      const idsOf = (key) => [
+        ...new Set(scores.map((s) => s[key]).filter(Boolean)),
+      ];
+      const [courses, departments] = await Promise.all([
+        prisma.course.findMany({
+          where: { id: { in: idsOf("courseId") } },
+          select: { id: true, title: true },
+        }),
+        prisma.department.findMany({
+          where: { id: { in: idsOf("departmentId") } },
+          select: { id: true, name: true },
+        }),
+      ]);
+
+      return res.json(
+        summarizeRubricScores(rubric, scores, {
+          courses: Object.fromEntries(courses.map((c) => [c.id, c.title])),
+          departments: Object.fromEntries(
+            departments.map((d) => [d.id, d.name])
+          ),
+        })
+      );
+    } catch (e) {
+      console.error("GET /rubrics/:id/analytics error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+export default router;
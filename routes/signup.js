@@ -1,22 +1,12 @@
 import express from "express";
 import { body } from "express-validator";
 import { handleValidationErrors } from "../utils/validationHelpers.js";
-import jwt from "jsonwebtoken";
 import { prisma } from "../config/prisma.js";
 import bcrypt from "bcryptjs";
+import { deviceOf, signIn } from "../utils/tokens.js";
 
 const router = express.Router();
 
-const signToken = (user) =>
-  jwt.sign(
-    {
-      sub: user.id,
-      role: user.role,
-      tokenVersion: user.tokenVersion,
-    },
-    process.env.JWT_SECRET || "dev-secret",
-    { expiresIn: "7d" }
-  );
 const normalizeEmail = (e) =>
   typeof e === "string" ? e.trim().toLowerCase() : e;
 // Your existing signup complete route
@@ -126,10 +116,9 @@ router.post(
         return createdUser;
       });
 
-      const nextVersion = (result.tokenVersion ?? 0) + 1;
       const updatedUser = await prisma.user.update({
         where: { id: result.id },
-        data: { lastLogin: new Date(), tokenVersion: nextVersion },
+        data: { lastLogin: new Date() },
         include: {
           department: {
             select: {
@@ -140,10 +129,7 @@ router.post(
         },
       });
 
-      const token = signToken({
-        id: updatedUser.id,
-        tokenVersion: nextVersion,
-      });
+      const tokens = await signIn(prisma, updatedUser, deviceOf(req));
 
       const payload = {
         id: updatedUser.id,
@@ -156,13 +142,13 @@ router.post(
         collegeId: updatedUser.collegeId,
         departmentId: updatedUser.departmentId,
         departmentName: updatedUser.department?.name || null,
-        tokenVersion: nextVersion,
+        tokenVersion: updatedUser.tokenVersion,
       };
 
       return res.status(201).json({
         success: true,
         message: "Account created successfully",
-        data: { user: payload, token },
+        data: { user: payload, ...tokens },
       });
     } catch (err) {
       console.error("Signup complete error:", err);
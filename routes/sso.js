@@ -0,0 +1,419 @@
+import express from "express";
+import { prisma } from "../config/prisma.js";
+import {
+  protect,
+  requirePermission,
+  isSuperAdmin,
+} from "../middleware/auth.js";
+import { tokenLimiters } from "../middleware/rateLimit.js";
+import { signIn, deviceOf } from "../utils/tokens.js";
+import {
+  toProviderConfig,
+  domainsInUse,
+  providerForEmail,
+  serviceProviderUrls,
+  samlServiceProviderMetadata,
+  ssoLoginUrl,
+  consumeSsoState,
+  oidcClaims,
+  samlClaims,
+  identityFrom,
+  provisionSsoUser,
+  issueExchangeCode,
+  redeemExchangeCode,
+} from "../utils/sso.js";
+const router = express.Router();
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+const manageGuards = [protect, requirePermission("college.settings")];
+
+// Outside super admins, only their own college's providers
+const manageCollege = [
+  protect,
+  requirePermission("college.settings", (req) => ({
+    collegeId: req.body?.collegeId ?? req.access.collegeId ?? null,
+  })),
+];
+const manageProvider = [
+  protect,
+  requirePermission("college.settings", async (req) => {
+    const provider = await prisma.identityProvider.findUnique({
+      where: { id: String(req.params.id) },
+      select: { collegeId: true },
+    });
+    return provider ? { collegeId: provider.collegeId } : {};
+  }),
+];
+
+// The API origin the IdP sends browsers back to
+const apiBaseUrl = (req) =>
+  process.env.API_BASE_URL || `${req.protocol}://${req.get("host")}`;
+
+// Browser steps end on the frontend's /sso/callback with ?code or ?error
+const toFrontend = (res, params) =>
+  res.redirect(
+    `${FRONTEND_URL}/sso/callback?${new URLSearchParams(
+      Object.entries(params).filter(([, v]) => v)
+    )}`
+  );
+
+const loadEnabledProvider = (id) =>
+  prisma.identityProvider.findFirst({ where: { id, enabled: true } });
+
+// Never sent back: the client secret, and the metadata it was parsed from
+const toPublicProvider = ({ clientSecret, metadataXml, ...provider }) => ({
+  ...provider,
+  hasClientSecret: !!clientSecret,
+});
+
+// ---------------- sign-in ----------------
+
+// Login screen: does this email sign in through its college's IdP?
+router.get("/discover", tokenLimiters, async (req, res, next) => {
+  try {
+    const email = String(req.query.email || "").trim().toLowerCase();
+    if (!email) {
+      return res
+        .status(400)
+        .json({ success: false, message: "email is required" });
+    }
+    const provider = await providerForEmail(prisma, email);
+    if (!provider) return res.json({ success: true, data: { sso: false } });
+
+    res.json({
+      success: true,
+      data: {
+        sso: true,
+        provider: {
+          id: provider.id,
+          name: provider.name,
+          protocol: provider.protocol,
+        },
+        loginUrl: `/api/auth/sso/${provider.id}/start?${new URLSearchParams({
+          login_hint: email,
+        })}`,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Query: returnTo (frontend path), login_hint. Sends the browser to the IdP.
+router.get("/:providerId/start", async (req, res) => {
+  try {
+    const provider = await loadEnabledProvider(req.params.providerId);
+    if (!provider) {
+      return toFrontend(res, { error: "Single sign-on is not available" });
+    }
+    const url = await ssoLoginUrl(
+      prisma,
+      provider,
+      serviceProviderUrls(apiBaseUrl(req), provider),
+      { returnTo: req.query.returnTo, loginHint: req.query.login_hint }
+    );
+    res.redirect(url);
+  } catch (e) {
+    console.error("GET /auth/sso/:providerId/start error:", e);
+    toFrontend(res, { error: "Could not reach the identity provider" });
+  }
+});
+
+// Signs in as the identity the IdP vouched for, then hands the frontend a
+// one-time code for POST /exchange
+async function finishSignIn(res, provider, ssoState, claims) {
+  const result = await provisionSsoUser(
+    prisma,
+    provider,
+    identityFrom(provider, claims)
+  );
+  if (result.error) return toFrontend(res, { error: result.error });
+
+  const code = await issueExchangeCode(prisma, ssoState, result.user.id);
+  toFrontend(res, { code });
+}
+
+// OpenID Connect redirect back from the IdP
+router.get("/:providerId/callback", async (req, res) => {
+  try {
+    const provider = await loadEnabledProvider(req.params.providerId);
+    if (!provider || provider.protocol !== "oidc") {
+      return toFrontend(res, { error: "Single sign-on is not available" });
+    }
+    const ssoState = await consumeSsoState(
+      prisma,
+      provider.id,
+      req.query.state
+    );
+    if (!ssoState) {
+      return toFrontend(res, { error: "Sign-in expired. Please try again." });
+    }
+    if (req.query.error) {
+      return toFrontend(res, {
+        error: String(req.query.error_description || req.query.error),
+      });
+    }
+
+    const claims = await oidcClaims(
+      provider,
+      ssoState,
+      req.query.code,
+      serviceProviderUrls(apiBaseUrl(req), provider)
+    );
+    await finishSignIn(res, provider, ssoState, claims);
+  } catch (e) {
+    console.error("GET /auth/sso/:providerId/callback error:", e);
+    toFrontend(res, { error: "Sign-in with your college failed" });
+  }
+});
+
+// SAML assertion consumer service (HTTP-POST binding)
+router.post("/:providerId/acs", async (req, res) => {
+  try {
+    const provider = await loadEnabledProvider(req.params.providerId);
+    if (!provider || provider.protocol !== "saml") {
+      return toFrontend(res, { error: "Single sign-on is not available" });
+    }
+    const ssoState = await consumeSsoState(
+      prisma,
+      provider.id,
+      req.body?.RelayState
+    );
+    if (!ssoState) {
+      return toFrontend(res, { error: "Sign-in expired. Please try again." });
+    }
+
+    const claims = await samlClaims(
+      prisma,
+      provider,
+      ssoState,
+      req.body?.SAMLResponse,
+      serviceProviderUrls(apiBaseUrl(req), provider)
+    );
+    await finishSignIn(res, provider, ssoState, claims);
+  } catch (e) {
+    console.error("POST /auth/sso/:providerId/acs error:", e);
+    toFrontend(res, { error: "Sign-in with your college failed" });
+  }
+});
+
+// SAML service provider metadata to register with the college's IdP
+router.get("/:providerId/metadata", async (req, res) => {
+  try {
+    const provider = await prisma.identityProvider.findUnique({
+      where: { id: req.params.providerId },
+    });
+    if (!provider || provider.protocol !== "saml") {
+      return res.status(404).json({ error: "SAML provider not found" });
+    }
+    res
+      .type("application/xml")
+      .send(
+        samlServiceProviderMetadata(
+          provider,
+          serviceProviderUrls(apiBaseUrl(req), provider)
+        )
+      );
+  } catch (e) {
+    console.error("GET /auth/sso/:providerId/metadata error:", e);
+    res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// Body: { code } from /sso/callback. Returns the same data as /login.
+router.post("/exchange", tokenLimiters, async (req, res, next) => {
+  try {
+    const ssoState = await redeemExchangeCode(prisma, req.body?.code);
+    if (!ssoState?.userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired sign-in code",
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: ssoState.userId },
+      include: { department: { select: { id: true, name: true } } },
+    });
+    if (!user?.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: "User account is inactive",
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lastLogin: new Date() },
+    });
+
+    const tokens = await signIn(prisma, user, deviceOf(req));
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          fullName: user.fullName,
+          role: user.role,
+          collegeId: user.collegeId,
+          departmentId: user.departmentId,
+          tokenVersion: user.tokenVersion,
+          departmentName: user.department?.name || null,
+        },
+        returnTo: ssoState.returnTo,
+        ...tokens,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------- provider management ----------------
+
+// Query: collegeId (super admins); admins see their own college
+router.get("/providers", manageGuards, async (req, res, next) => {
+  try {
+    const collegeId = isSuperAdmin(req.user)
+      ? req.query.collegeId
+      : req.user.collegeId;
+    const providers = await prisma.identityProvider.findMany({
+      where: collegeId ? { collegeId: String(collegeId) } : {},
+      orderBy: { createdAt: "asc" },
+    });
+    res.json({ success: true, data: providers.map(toPublicProvider) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Email domains decide whose accounts a provider signs in to, so only super
+// admins add them; college admins may still drop their own
+const addsDomains = (req, data, current = null) =>
+  !req.access.global &&
+  !!data.domains?.some((d) => !current?.domains.includes(d));
+
+const DOMAINS_FORBIDDEN = {
+  success: false,
+  message: "Only super admins can assign email domains",
+};
+
+// Checks what a provider body refers to: the college's own department,
+// and email domains no other provider routes
+async function checkReferences(data, collegeId, providerId = null) {
+  if (data.defaultDepartmentId) {
+    const department = await prisma.department.findFirst({
+      where: { id: data.defaultDepartmentId, collegeId },
+      select: { id: true },
+    });
+    if (!department) {
+      return "defaultDepartmentId is not a department of this college";
+    }
+  }
+  if (data.domains) {
+    const taken = await domainsInUse(prisma, data.domains, providerId);
+    if (taken.length) {
+      return `Already routed to another provider: ${taken.join(", ")}`;
+    }
+  }
+  return null;
+}
+
+// Body: { collegeId, name, protocol, domains, ...oidc or saml settings }
+router.post("/providers", manageCollege, async (req, res, next) => {
+  try {
+    const collegeId = isSuperAdmin(req.user)
+      ? req.body?.collegeId
+      : req.user.collegeId;
+    if (!collegeId) {
+      return res
+        .status(400)
+        .json({ success: false, message: "collegeId is required" });
+    }
+    const { data, error } = toProviderConfig(req.body || {});
+    if (error) return res.status(400).json({ success: false, message: error });
+    if (addsDomains(req, data)) {
+      return res.status(403).json(DOMAINS_FORBIDDEN);
+    }
+
+    const college = await prisma.college.findUnique({
+      where: { id: String(collegeId) },
+      select: { id: true },
+    });
+    if (!college) {
+      return res
+        .status(404)
+        .json({ success: false, message: "College not found" });
+    }
+    const conflict = await checkReferences(data, college.id);
+    if (conflict) {
+      return res.status(409).json({ success: false, message: conflict });
+    }
+
+    const provider = await prisma.identityProvider.create({
+      data: { ...data, collegeId: college.id },
+    });
+    res.status(201).json({
+      success: true,
+      data: {
+        ...toPublicProvider(provider),
+        serviceProvider: serviceProviderUrls(apiBaseUrl(req), provider),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.put("/providers/:id", manageProvider, async (req, res, next) => {
+  try {
+    const current = await prisma.identityProvider.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!current) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Provider not found" });
+    }
+    const { data, error } = toProviderConfig(req.body || {}, current);
+    if (error) return res.status(400).json({ success: false, message: error });
+    if (addsDomains(req, data, current)) {
+      return res.status(403).json(DOMAINS_FORBIDDEN);
+    }
+
+    const conflict = await checkReferences(data, current.collegeId, current.id);
+    if (conflict) {
+      return res.status(409).json({ success: false, message: conflict });
+    }
+
+    const provider = await prisma.identityProvider.update({
+      where: { id: current.id },
+      data,
+    });
+    res.json({ success: true, data: toPublicProvider(provider) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Users it signed in keep their accounts, unlinked from the provider
+router.delete("/providers/:id", manageProvider, async (req, res, next) => {
+  try {
+    const current = await prisma.identityProvider.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, collegeId: true },
+    });
+    if (!current) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Provider not found" });
+    }
+    await prisma.identityProvider.delete({ where: { id: current.id } });
+    res.json({ success: true, message: "Provider deleted" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
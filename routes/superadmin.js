@@ -2,16 +2,20 @@ import express from "express";
 import { prisma } from "../config/prisma.js";
 
 import {
-  protect,
-  requireCourseCreation,
+  requirePermission,
   norm,
-  authorize,
+  isSuperAdmin,
 } from "../middleware/auth.js";
+import {
+  hasPermission,
+  toGrants,
+  mergeGrants,
+  canGrant,
+  courseScope,
+} from "../utils/permissions.js";
 const router = express.Router();
 
 const up = (s) => String(s || "").toUpperCase();
-const isSuperAdmin = (u) => up(u?.role) === "SUPERADMIN";
-const isCollegeAdmin = (u) => up(u?.role) === "ADMIN";
 
 const effectiveCollegeId = (u) =>
   u?.collegeId || u?.permissions?.collegeId || null;
@@ -51,43 +55,18 @@ const toCoursePayload = (c) => ({
   updatedAt: c.updatedAt,
 });
 
-function requireRole(role) {
-  return (req, res, next) => {
-    if (!req.user) return res.status(401).json({ error: "Unauthorized" });
-    if (up(req.user.role) !== up(role)) {
-      return res
-        .status(403)
-        .json({ error: `Forbidden: You need ${role} role` });
-    }
-    next();
-  };
-}
-
-function requireAnyRole(...roles) {
-  const want = roles.map(up);
-  return (req, res, next) => {
-    if (!req.user) return res.status(401).json({ error: "Unauthorized" });
-    const have = up(req.user.role);
-    if (!want.includes(have)) {
-      return res
-        .status(403)
-        .json({ error: `Forbidden: You need one of ${roles.join(", ")}` });
-    }
-    next();
-  };
-}
-
-async function assertAdminBelongsToCollege(user, collegeId) {
-  if (!isCollegeAdmin(user)) return false;
-  return String(user.collegeId) === String(collegeId);
-}
+const manageColleges = requirePermission("college.manage");
+const deleteUsers = requirePermission("user.delete");
+const createCourses = requirePermission("course.create");
+// Only the owning college (or a super admin) edits a course
+const manageCourse = requirePermission("course.manage", (req) =>
+  courseScope(prisma, req.params.id)
+);
 
-function requireSuperAdmin(req, res, next) {
-  if (!req.user) return res.status(401).json({ error: "Unauthorized" });
-  if (!isSuperAdmin(req.user))
-    return res.status(403).json({ error: "Forbidden" });
-  next();
-}
+// Assignments name their college in the body
+const assignCourses = requirePermission("course.assign", (req) => ({
+  collegeId: req.body?.collegeId ?? null,
+}));
 
 const baseSelect = {
   id: true,
@@ -184,7 +163,7 @@ async function courseDetailHandler(req, res) {
   }
 }
 
-router.get("/overview", requireSuperAdmin, async (_req, res) => {
+router.get("/overview", manageColleges, async (_req, res) => {
   const [users, totalCourses] = await Promise.all([
     prisma.user.findMany({ select: { role: true, isActive: true } }),
     prisma.course.count(),
@@ -253,7 +232,7 @@ router.get("/overview", requireSuperAdmin, async (_req, res) => {
 
 router.get(
   "/admins",
-  requireAnyRole("SUPERADMIN", "ADMIN"),
+  requirePermission("user.view"),
   async (req, res, next) => {
     try {
       const isSA = isSuperAdmin(req.user);
@@ -307,7 +286,7 @@ router.get(
 
 router.get(
   "/instructors",
-  requireAnyRole("SUPERADMIN", "ADMIN"),
+  requirePermission("user.view"),
   async (req, res, next) => {
     try {
       const isSA = isSuperAdmin(req.user);
@@ -373,7 +352,7 @@ router.get(
 
 router.get(
   "/students",
-  requireAnyRole("SUPERADMIN", "ADMIN"),
+  requirePermission("user.view"),
   async (req, res) => {
     try {
       const whereBase = isSuperAdmin(req.user)
@@ -479,7 +458,7 @@ router.get(
 
 router.get(
   "/students/:departmentId",
-  requireRole("INSTRUCTOR"),
+  requirePermission("course.teach"),
   async (req, res) => {
     const departmentId = req.params.departmentId;
     const instructorId = req.user.id;
@@ -507,13 +486,52 @@ router.get(
   }
 );
 
-router.patch("/users/:id/permissions", requireSuperAdmin, async (_req, res) => {
-  return res
-    .status(501)
-    .json({ error: "Permissions not supported on User model" });
-});
+// Body: { grants: { "<permission>": true | false | null } }. Grants are
+// kept in User.permissions.grants and override the user's role defaults.
+router.patch(
+  "/users/:id/permissions",
+  requirePermission("permission.manage"),
+  async (req, res) => {
+    try {
+      const { data: patch, error } = toGrants(req.body?.grants);
+      if (error) return res.status(400).json({ error });
+
+      const user = await prisma.user.findUnique({
+        where: { id: String(req.params.id) },
+        select: { id: true, role: true, collegeId: true, permissions: true },
+      });
+      if (!user) return res.status(404).json({ error: "User not found" });
+      if (isSuperAdmin(user)) {
+        return res
+          .status(400)
+          .json({ error: "Super admins hold every permission" });
+      }
+      const scope = { collegeId: user.collegeId };
+      if (
+        !hasPermission(req.access, "permission.manage", scope) ||
+        !canGrant(req.access, patch, scope)
+      ) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
 
-router.post("/users/bulk-update", requireSuperAdmin, async (req, res) => {
+      const current =
+        user.permissions && typeof user.permissions === "object"
+          ? user.permissions
+          : {};
+      const grants = mergeGrants(current.grants, patch);
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { permissions: { ...current, grants } },
+      });
+      res.json({ data: { userId: user.id, grants } });
+    } catch (e) {
+      console.error("PATCH /users/:id/permissions error:", e);
+      res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.post("/users/bulk-update", deleteUsers, async (req, res) => {
   const { ids, data } = req.body || {};
   if (!Array.isArray(ids) || ids.length === 0)
     return res.status(400).json({ error: "ids required" });
@@ -524,7 +542,7 @@ router.post("/users/bulk-update", requireSuperAdmin, async (req, res) => {
   res.json({ count: result.count });
 });
 
-router.delete("/users/:id", requireSuperAdmin, async (req, res) => {
+router.delete("/users/:id", deleteUsers, async (req, res) => {
   const { id } = req.params;
 
   const createdCount = await prisma.course.count({ where: { creatorId: id } });
@@ -544,7 +562,7 @@ router.delete("/users/:id", requireSuperAdmin, async (req, res) => {
   res.json({ ok: true });
 });
 
-router.get("/courses", protect, async (req, res) => {
+router.get("/courses", async (req, res) => {
   try {
     if (!req.user) return res.status(401).json({ error: "Unauthorized" });
 
@@ -588,11 +606,7 @@ router.get("/courses", protect, async (req, res) => {
     };
 
     // ✅ SUPERADMIN: sees ALL courses
-    if (
-      normalizedRole === "SUPERADMIN" ||
-      normalizedRole === "SUPER_ADMIN" ||
-      isSuperAdminUser
-    ) {
+    if (isSuperAdminUser) {
       const where = { ...commonFilter };
 
       const [rows, total] = await Promise.all([
@@ -857,7 +871,7 @@ router.get("/courses", protect, async (req, res) => {
   }
 });
 
-router.post("/courses", requireCourseCreation, async (req, res) => {
+router.post("/courses", createCourses, async (req, res) => {
   const { title, thumbnail, creatorId, status, category, description } =
     req.body || {};
 
@@ -868,16 +882,15 @@ router.post("/courses", requireCourseCreation, async (req, res) => {
   if (!creator) return res.status(400).json({ error: "Invalid creatorId" });
 
   // Determine college and superadmin status
-  const normalizedRole = norm(req.user.role || req.user.rawRole);
   let collegeId = null;
-  let madeBySuperAdmin = isSuperAdmin(req.user);
+  let madeBySuperAdmin = req.access.global;
 
   // SuperAdmin: collegeId is optional (can be null)
   if (madeBySuperAdmin) {
     collegeId = req.body.collegeId || null; // Optional from request body
   }
-  // Admin/Instructor: must have collegeId
-  else if (normalizedRole === "ADMIN" || normalizedRole === "INSTRUCTOR") {
+  // Everyone else creates courses for their own college
+  else {
     collegeId = req.user.collegeId;
     if (!collegeId) {
       return res.status(400).json({
@@ -904,8 +917,7 @@ router.post("/courses", requireCourseCreation, async (req, res) => {
 
 router.patch(
   "/courses/:id",
-  protect,
-  authorize("ADMIN", "SUPERADMIN"),
+  manageCourse,
   async (req, res) => {
     const { id } = req.params;
     const { title, thumbnail, status, category, description } = req.body || {};
@@ -919,7 +931,7 @@ router.patch(
 
 router.delete(
   "/courses/:id",
-  requireAnyRole("SUPERADMIN", "ADMIN"),
+  manageCourse,
   async (req, res) => {
     const { id } = req.params;
 
@@ -990,7 +1002,7 @@ router.delete(
 
 router.get("/courses/:id", courseDetailHandler);
 
-router.post("/courses/:id/assign", async (req, res) => {
+router.post("/courses/:id/assign", assignCourses, async (req, res) => {
   try {
     const { id: courseId } = req.params;
     const {
@@ -1015,17 +1027,10 @@ router.post("/courses/:id/assign", async (req, res) => {
         ? rawDepartmentId.trim()
         : null;
 
-    const isCollegeAdminUser = isCollegeAdmin(req.user);
-    const isSuper = isSuperAdmin(req.user);
+    const isSuper = req.access.global;
 
     // --- college admin: must provide departmentId ---
-    if (isCollegeAdminUser) {
-      const allowed = await assertAdminBelongsToCollege(req.user, collegeId);
-      if (!allowed)
-        return res
-          .status(403)
-          .json({ error: "Forbidden: Not an admin of this college" });
-
+    if (!isSuper) {
       if (!departmentId) {
         return res
           .status(403)
@@ -1132,7 +1137,7 @@ router.post("/courses/:id/assign", async (req, res) => {
   }
 });
 
-router.delete("/courses/:id/unassign", async (req, res) => {
+router.delete("/courses/:id/unassign", assignCourses, async (req, res) => {
   try {
     if (!req.user) return res.status(401).json({ error: "Unauthorized" });
 
@@ -1142,13 +1147,7 @@ router.delete("/courses/:id/unassign", async (req, res) => {
     if (!collegeId)
       return res.status(400).json({ error: "collegeId is required" });
 
-    if (isCollegeAdmin(req.user)) {
-      const allowed = await assertAdminBelongsToCollege(req.user, collegeId);
-      if (!allowed)
-        return res
-          .status(403)
-          .json({ error: "Forbidden: not an admin of this college" });
-
+    if (!req.access.global) {
       if (!departmentId) {
         return res
           .status(403)
@@ -1167,7 +1166,7 @@ router.delete("/courses/:id/unassign", async (req, res) => {
       return res.json({ ok: true });
     }
 
-    if (isSuperAdmin(req.user)) {
+    if (req.access.global) {
       if (departmentId) {
         await prisma.coursesAssigned.delete({
           where: {
@@ -0,0 +1,401 @@
+import express from "express";
+import { prisma } from "../config/prisma.js";
+import {
+  requirePermission,
+  isSuperAdmin,
+} from "../middleware/auth.js";
+import {
+  hasPermission,
+  courseScope,
+  assignedCourseScope,
+} from "../utils/permissions.js";
+import {
+  toWindowData,
+  windowFor,
+  availabilityStatus,
+  windowError,
+} from "../utils/assessmentWindows.js";
+import {
+  SURVEY_TYPE,
+  toSurveySettings,
+  surveySettings,
+  toSurveyQuestions,
+  surveyQuestions,
+  toSurveyAnswers,
+  summarizeSurveyGroup,
+  summarizeSurveyBy,
+} from "../utils/surveys.js";
+const router = express.Router();
+
+// Surveys are authored in courses the user's college owns
+const manageCourseSurveys = requirePermission("survey.manage", (req) =>
+  courseScope(prisma, req.params.courseId)
+);
+
+// Sees a course's unpublished surveys: managers of a course their college
+// owns or is assigned
+async function isAdmin(req, courseId) {
+  if (!hasPermission(req.access, "survey.manage")) return false;
+  if (req.access.global) return true;
+  const scope = await assignedCourseScope(prisma, courseId, req.access);
+  return (
+    scope.collegeId !== undefined &&
+    hasPermission(req.access, "survey.manage", scope)
+  );
+}
+
+const questionsInclude = {
+  questions: {
+    where: { deletedAt: null },
+    orderBy: [{ order: "asc" }, { id: "asc" }],
+  },
+};
+
+async function loadSurvey(req, res) {
+  const survey = await prisma.assessment.findFirst({
+    where: {
+      id: String(req.params.id),
+      type: SURVEY_TYPE,
+      deletedAt: null,
+    },
+    include: questionsInclude,
+  });
+  if (!survey) {
+    res.status(404).json({ error: "Survey not found" });
+    return null;
+  }
+  if (!survey.isPublished && !(await isAdmin(req, survey.courseId))) {
+    res.status(403).json({ error: "Forbidden" });
+    return null;
+  }
+  return survey;
+}
+
+const toSurveyView = (survey) => ({
+  id: survey.id,
+  title: survey.title,
+  courseId: survey.courseId,
+  isPublished: survey.isPublished,
+  availableFrom: survey.availableFrom,
+  availableUntil: survey.availableUntil,
+  dueAt: survey.dueAt,
+  ...surveySettings(survey),
+  questions: surveyQuestions(survey),
+});
+
+// Body: { title, questions: [{ prompt, type: "likert" | "open", options? }],
+// survey?: { anonymous }, isPublished?, availableFrom?, availableUntil?,
+// dueAt? }. Surveys are course-wide and never scored.
+router.post(
+  "/courses/:courseId/surveys",
+  manageCourseSurveys,
+  async (req, res) => {
+    try {
+      const questions = toSurveyQuestions(req.body.questions);
+      if (questions.error) {
+        return res.status(400).json({ error: questions.error });
+      }
+      const settings = toSurveySettings(req.body.survey ?? {});
+      if (settings.error) {
+        return res.status(400).json({ error: settings.error });
+      }
+      const dates = toWindowData(req.body);
+      if (dates.error) return res.status(400).json({ error: dates.error });
+
+      const course = await prisma.course.findUnique({
+        where: { id: String(req.params.courseId) },
+        select: { id: true },
+      });
+      if (!course) return res.status(404).json({ error: "Course not found" });
+
+      const survey = await prisma.assessment.create({
+        data: {
+          title: String(req.body.title || "Course Feedback"),
+          type: SURVEY_TYPE,
+          scope: "course",
+          maxAttempts: 1,
+          isPublished: req.body.isPublished !== false,
+          ...dates.data,
+          survey: settings.data,
+          courseId: course.id,
+          questions: { create: questions.data },
+        },
+        include: questionsInclude,
+      });
+
+      return res.status(201).json(toSurveyView(survey));
+    } catch (e) {
+      console.error("POST /courses/:courseId/surveys error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+router.get("/courses/:courseId/surveys", async (req, res) => {
+  try {
+    const courseId = String(req.params.courseId);
+    const surveys = await prisma.assessment.findMany({
+      where: {
+        courseId,
+        type: SURVEY_TYPE,
+        deletedAt: null,
+        ...(!(await isAdmin(req, courseId)) && { isPublished: true }),
+      },
+      include: questionsInclude,
+      orderBy: { createdAt: "asc" },
+    });
+
+    const answered = new Set(
+      (
+        await prisma.surveyParticipation.findMany({
+          where: {
+            studentId: req.user.id,
+            assessmentId: { in: surveys.map((s) => s.id) },
+          },
+          select: { assessmentId: true },
+        })
+      ).map((p) => p.assessmentId)
+    );
+
+    return res.json(
+      surveys.map((s) => ({
+        ...toSurveyView(s),
+        responded: answered.has(s.id),
+      }))
+    );
+  } catch (e) {
+    console.error("GET /courses/:courseId/surveys error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// The form as a student sees it
+router.get("/assessments/:id/survey", async (req, res) => {
+  try {
+    const survey = await loadSurvey(req, res);
+    if (!survey) return;
+
+    const [window, participation] = await Promise.all([
+      windowFor(prisma, survey, req.user),
+      prisma.surveyParticipation.findUnique({
+        where: {
+          assessmentId_studentId: {
+            assessmentId: survey.id,
+            studentId: req.user.id,
+          },
+        },
+      }),
+    ]);
+
+    return res.json({
+      ...toSurveyView(survey),
+      availability: availabilityStatus(window),
+      responded: !!participation,
+      respondedAt: participation?.submittedAt ?? null,
+    });
+  } catch (e) {
+    console.error("GET /assessments/:id/survey error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// Body: { answers: { [questionId]: scale index | text } }. One response per
+// student; for anonymous surveys the response is not linked to them.
+router.post("/assessments/:id/survey-responses", async (req, res) => {
+  try {
+    const survey = await loadSurvey(req, res);
+    if (!survey) return;
+
+    const enrollment = await prisma.enrollment.findFirst({
+      where: {
+        studentId: req.user.id,
+        courseId: survey.courseId || "",
+        deletedAt: null,
+      },
+      select: { departmentId: true },
+    });
+    if (!enrollment) {
+      return res
+        .status(403)
+        .json({ error: "Only students enrolled in the course can respond" });
+    }
+
+    const closed = windowError(await windowFor(prisma, survey, req.user));
+    if (closed) return res.status(403).json(closed);
+
+    const answers = toSurveyAnswers(
+      surveyQuestions(survey),
+      req.body?.answers
+    );
+    if (answers.error) return res.status(400).json({ error: answers.error });
+
+    const { anonymous } = surveySettings(survey);
+    const now = new Date();
+    try {
+      await prisma.$transaction([
+        prisma.surveyParticipation.create({
+          data: { assessmentId: survey.id, studentId: req.user.id },
+        }),
+        prisma.surveyResponse.create({
+          data: {
+            assessmentId: survey.id,
+            studentId: anonymous ? null : req.user.id,
+            answers: answers.data,
+            courseId: survey.courseId,
+            departmentId:
+              req.user.departmentId ?? enrollment.departmentId ?? null,
+            collegeId: req.user.collegeId ?? null,
+            // Day only, so response order cannot identify anyone
+            submittedOn: new Date(now.toISOString().slice(0, 10)),
+          },
+        }),
+      ]);
+    } catch (e) {
+      if (e.code === "P2002") {
+        return res
+          .status(409)
+          .json({ error: "You have already responded to this survey" });
+      }
+      throw e;
+    }
+
+    return res.status(201).json({
+      assessmentId: survey.id,
+      anonymous,
+      respondedAt: now,
+    });
+  } catch (e) {
+    console.error("POST /assessments/:id/survey-responses error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// Admins outside the super admin only see their college's responses
+const resultScope = (req) => {
+  const collegeId = isSuperAdmin(req.user)
+    ? req.query.collegeId
+    : req.user.collegeId || "";
+  const { departmentId } = req.query;
+  return {
+    ...(collegeId && { collegeId: String(collegeId) }),
+    ...(departmentId && { departmentId: String(departmentId) }),
+  };
+};
+
+async function groupNames(responses) {
+  const idsOf = (key) => [
+    ...new Set(responses.map((r) => r[key]).filter(Boolean)),
+  ];
+  const [colleges, departments] = await Promise.all([
+    prisma.college.findMany({
+      where: { id: { in: idsOf("collegeId") } },
+      select: { id: true, name: true },
+    }),
+    prisma.department.findMany({
+      where: { id: { in: idsOf("departmentId") } },
+      select: { id: true, name: true },
+    }),
+  ]);
+  return {
+    colleges: Object.fromEntries(colleges.map((c) => [c.id, c.name])),
+    departments: Object.fromEntries(departments.map((d) => [d.id, d.name])),
+  };
+}
+
+function surveyResults(survey, responses, names) {
+  const questions = surveyQuestions(survey);
+  const { anonymous } = surveySettings(survey);
+  return {
+    assessmentId: survey.id,
+    title: survey.title,
+    courseId: survey.courseId,
+    anonymous,
+    // Filtering down to one college or department must not reveal a
+    // handful of people either
+    ...summarizeSurveyGroup(questions, responses, { anonymous }),
+    byCollege: summarizeSurveyBy(questions, responses, "collegeId", {
+      names: names.colleges,
+      anonymous,
+    }),
+    byDepartment: summarizeSurveyBy(questions, responses, "departmentId", {
+      names: names.departments,
+      anonymous,
+    }),
+  };
+}
+
+const responseSelect = {
+  assessmentId: true,
+  answers: true,
+  collegeId: true,
+  departmentId: true,
+};
+
+// Aggregated answers, overall and per college and department.
+// Filters: collegeId (super admin), departmentId.
+router.get(
+  "/assessments/:id/survey-results",
+  requirePermission("survey.manage"),
+  async (req, res) => {
+    try {
+      const survey = await loadSurvey(req, res);
+      if (!survey) return;
+
+      const responses = await prisma.surveyResponse.findMany({
+        where: { assessmentId: survey.id, ...resultScope(req) },
+        select: responseSelect,
+      });
+
+      return res.json(
+        surveyResults(survey, responses, await groupNames(responses))
+      );
+    } catch (e) {
+      console.error("GET /assessments/:id/survey-results error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+// Results of every survey of a course
+router.get(
+  "/courses/:courseId/survey-results",
+  requirePermission("survey.manage"),
+  async (req, res) => {
+    try {
+      const surveys = await prisma.assessment.findMany({
+        where: {
+          courseId: String(req.params.courseId),
+          type: SURVEY_TYPE,
+          deletedAt: null,
+        },
+        include: questionsInclude,
+        orderBy: { createdAt: "asc" },
+      });
+
+      const responses = await prisma.surveyResponse.findMany({
+        where: {
+          assessmentId: { in: surveys.map((s) => s.id) },
+          ...resultScope(req),
+        },
+        select: responseSelect,
+      });
+      const names = await groupNames(responses);
+
+      return res.json({
+        courseId: String(req.params.courseId),
+        surveys: surveys.map((s) =>
+          surveyResults(
+            s,
+            responses.filter((r) => r.assessmentId === s.id),
+            names
+          )
+        ),
+      });
+    } catch (e) {
+      console.error("GET /courses/:courseId/survey-results error:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+export default router;
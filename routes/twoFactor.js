@@ -0,0 +1,297 @@
+import express from "express";
+import bcrypt from "bcryptjs";
+import QRCode from "qrcode";
+import { prisma } from "../config/prisma.js";
+import { protect, protectPartial } from "../middleware/auth.js";
+import {
+  generateSecret,
+  provisioningUri,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  useBackupCode,
+  twoFactorRequired,
+} from "../utils/totp.js";
+import { completeTwoFactor, revokeSession } from "../utils/tokens.js";
+import { tokenLimiters } from "../middleware/rateLimit.js";
+const router = express.Router();
+
+// Wrong codes allowed per pending sign-in before it is thrown away
+const MAX_TWO_FACTOR_FAILURES = 5;
+const verifyGuards = [...tokenLimiters, protectPartial];
+
+const twoFactorSelect = {
+  id: true,
+  email: true,
+  role: true,
+  collegeId: true,
+  password: true,
+  tokenVersion: true,
+  twoFactorEnabled: true,
+  twoFactorSecret: true,
+  twoFactorPendingSecret: true,
+  twoFactorBackupCodes: true,
+  twoFactorLastStep: true,
+  twoFactorEnabledAt: true,
+};
+
+const loadUser = (req) =>
+  prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: twoFactorSelect,
+  });
+
+/**
+ * Checks { code } (authenticator) or { backupCode } against the user's
+ * enabled factor. Returns the user update to store on success, or null.
+ */
+function checkSecondFactor(user, { code, backupCode }) {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) return null;
+  if (backupCode) {
+    const left = useBackupCode(user.twoFactorBackupCodes, backupCode);
+    return left ? { twoFactorBackupCodes: left } : null;
+  }
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, {
+    lastStep: user.twoFactorLastStep,
+  });
+  return step === null ? null : { twoFactorLastStep: step };
+}
+
+router.get("/status", protectPartial, async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        required: await twoFactorRequired(prisma, user),
+        pending: req.twoFactorPending,
+        backupCodesRemaining: user.twoFactorEnabled
+          ? (user.twoFactorBackupCodes || []).length
+          : 0,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body: { code } or { backupCode }. Completes a sign-in that is waiting
+// for its second factor.
+router.post("/verify", verifyGuards, async (req, res, next) => {
+  try {
+    if (!req.twoFactorPending) {
+      return res.status(400).json({
+        success: false,
+        message: "This session is already verified",
+      });
+    }
+    const user = await loadUser(req);
+    if (!user.twoFactorEnabled) {
+      return res.status(409).json({
+        success: false,
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+        message: "Set up two-factor authentication to continue",
+      });
+    }
+
+    const update = checkSecondFactor(user, req.body || {});
+    if (!update) {
+      const session = await prisma.session.update({
+        where: { id: req.sessionId },
+        data: { twoFactorFailures: { increment: 1 } },
+      });
+      if (session.twoFactorFailures >= MAX_TWO_FACTOR_FAILURES) {
+        await revokeSession(prisma, req.sessionId, "two_factor_failed");
+        return res.status(401).json({
+          success: false,
+          message: "Too many invalid codes. Please sign in again.",
+        });
+      }
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid verification code" });
+    }
+
+    await prisma.user.update({ where: { id: user.id }, data: update });
+    const tokens = await completeTwoFactor(prisma, user, req.sessionId);
+    res.json({
+      success: true,
+      data: {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        ...(update.twoFactorBackupCodes && {
+          backupCodesRemaining: update.twoFactorBackupCodes.length,
+        }),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Starts enrollment: a new secret, shown as an otpauth:// URI and QR code,
+// that only takes effect once /enable confirms a code from it
+router.post("/setup", protectPartial, async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorPendingSecret: encryptSecret(secret) },
+    });
+
+    const otpauthUrl = provisioningUri(secret, user.email);
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl, {
+          margin: 1,
+          width: 240,
+        }),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body: { code } from the authenticator. Enables 2FA and returns backup
+// codes, shown only this once. A pending sign-in is completed as well.
+router.post("/enable", protectPartial, async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Start with /auth/2fa/setup" });
+    }
+
+    const step = verifyTotp(
+      decryptSecret(user.twoFactorPendingSecret),
+      req.body?.code
+    );
+    if (step === null) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid verification code" });
+    }
+
+    const backup = generateBackupCodes();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        twoFactorBackupCodes: backup.hashes,
+        twoFactorLastStep: step,
+        twoFactorEnabledAt: new Date(),
+      },
+    });
+
+    const tokens = req.twoFactorPending
+      ? await completeTwoFactor(prisma, user, req.sessionId)
+      : null;
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data: {
+        backupCodes: backup.codes,
+        ...(tokens && {
+          token: tokens.token,
+          refreshToken: tokens.refreshToken,
+          expiresIn: tokens.expiresIn,
+        }),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body: { code } or { backupCode }. Replaces every backup code.
+router.post("/backup-codes", protect, async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+    const update = checkSecondFactor(user, req.body || {});
+    if (!update) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid verification code" });
+    }
+
+    const backup = generateBackupCodes();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { ...update, twoFactorBackupCodes: backup.hashes },
+    });
+    res.json({ success: true, data: { backupCodes: backup.codes } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body: { password, code | backupCode }. Not allowed where 2FA is required.
+router.post("/disable", protect, async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+    if (!user.twoFactorEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+    if (await twoFactorRequired(prisma, user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for your role",
+      });
+    }
+
+    const passwordOk =
+      !user.password ||
+      (await bcrypt.compare(String(req.body?.password || ""), user.password));
+    const update = passwordOk && checkSecondFactor(user, req.body || {});
+    if (!update) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid password or code" });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorBackupCodes: [],
+        twoFactorLastStep: null,
+        twoFactorEnabledAt: null,
+      },
+    });
+    res.json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -1,8 +1,8 @@
 // routes/uploads.js
 import express from 'express';
 import multer from 'multer';
-import { protect } from '../middleware/auth.js';
 import { uploadImage, uploadBase64Direct } from '../utils/cloudinary.js';
+import { acceptFiles, uploadFiles } from '../middleware/fileUpload.js';
 
 const router = express.Router();
 
@@ -21,7 +21,7 @@ const upload = multer({
 });
 
 // Base64 image upload endpoint
-router.post('/base64', protect, async (req, res) => {
+router.post('/base64', async (req, res) => {
     try {
         const { dataUrl, folder = 'lms-courses' } = req.body || {};
         
@@ -54,7 +54,7 @@ router.post('/base64', protect, async (req, res) => {
 });
 
 // File upload endpoint
-router.post('/file', protect, upload.single('file'), async (req, res) => {
+router.post('/file', upload.single('file'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
@@ -83,4 +83,24 @@ router.post('/file', protect, upload.single('file'), async (req, res) => {
     }
 });
 
+// Document upload endpoint (PDF, Office, text, zip and images, kept as-is)
+router.post('/document', acceptFiles('file'), async (req, res) => {
+    try {
+        if (!req.files?.length) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const folder = req.body.folder || 'lms-documents';
+        const [file] = await uploadFiles(req.files.slice(0, 1), folder);
+
+        res.status(201).json(file);
+    } catch (error) {
+        console.error('Document upload error:', error);
+        res.status(500).json({
+            error: 'Upload failed',
+            detail: error.message
+        });
+    }
+});
+
 export default router;
@@ -6,14 +6,23 @@ import morgan from "morgan";
 import path from "path";
 import { fileURLToPath } from "url";
 import { testConnection } from "./config/prisma.js";
-import { protect, requireAdminOnly } from "./middleware/auth.js";
+import { protect, requirePermission } from "./middleware/auth.js";
 import uploadsRouter from "./routes/upload.js";
 import authRouter from "./routes/auth.js";
+import twoFactorRouter from "./routes/twoFactor.js";
+import ssoRouter from "./routes/sso.js";
+import mockIdpRouter from "./routes/mockIdp.js";
 import signupRoutes from "./routes/signup.js";
 import superAdminRouter from "./routes/superadmin.js";
 import chapterRouter from "./routes/chapter.js";
 import enrollmentsRouter from "./routes/enrollments.js";
 import assessmentsRouter from "./routes/assessments.js";
+import questionBanksRouter from "./routes/questionBanks.js";
+import certificatesRouter from "./routes/certificates.js";
+import accommodationsRouter from "./routes/accommodations.js";
+import rubricsRouter from "./routes/rubrics.js";
+import proctoringRouter from "./routes/proctoring.js";
+import surveysRouter from "./routes/surveys.js";
 import progressRoutes from "./routes/progress.js";
 import collegesRouter from "./routes/college.js";
 import adminRouter from "./routes/admin.js";
@@ -48,6 +57,9 @@ app.use(
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Behind the hosting proxy: req.ip is the client, which the rate limits key on
+app.set("trust proxy", 1);
+
 // Security & essentials
 app.use(helmet({ crossOriginResourcePolicy: { policy: "cross-origin" } }));
 
@@ -74,18 +86,37 @@ app.get("/health", (_req, res) => {
   res.json({ ok: true, env: process.env.NODE_ENV || "development" });
 });
 
+// Local stand-in identity provider for trying SSO, never in production
+if (
+  process.env.SSO_MOCK_IDP === "true" &&
+  process.env.NODE_ENV !== "production"
+) {
+  app.use("/mock-idp", mockIdpRouter);
+}
+
 // Routes
+// Before authRouter, whose later routes all require a verified session
+app.use("/api/auth/2fa", twoFactorRouter);
+app.use("/api/auth/sso", ssoRouter);
 app.use("/api/auth", authRouter);
 app.use("/api", signupRoutes);
 app.use("/api/uploads", express.static(path.resolve("uploads")));
 app.use("/api/colleges", collegesRouter);
-app.use("/api/admin", protect, requireAdminOnly, adminRouter);
-app.use("/api", protect, superAdminRouter);
-app.use("/api/superadmin", protect, superAdminRouter);
+app.use("/api/certificates", certificatesRouter);
+// Everything below needs a signed-in user; routers rely on req.user
+app.use("/api", protect);
+app.use("/api/admin", requirePermission("report.view"), adminRouter);
+app.use("/api", superAdminRouter);
+app.use("/api/superadmin", superAdminRouter);
 app.use("/api/uploads", uploadsRouter);
-app.use("/api", protect, chapterRouter);
-app.use("/api", protect, enrollmentsRouter);
-app.use("/api", protect, assessmentsRouter);
+app.use("/api", chapterRouter);
+app.use("/api", enrollmentsRouter);
+app.use("/api", assessmentsRouter);
+app.use("/api", questionBanksRouter);
+app.use("/api", accommodationsRouter);
+app.use("/api", rubricsRouter);
+app.use("/api", proctoringRouter);
+app.use("/api", surveysRouter);
 app.use("/api/progress", progressRoutes);
 
 // Diagnostics
@@ -0,0 +1,194 @@
+import { toAssessmentView, toQuestionView } from "../utils/assessmentViews.js";
+import { buildQuestionPaper } from "../utils/questionPaper.js";
+
+// Fields that would give an answer away; students must never receive them
+const ANSWER_KEYS = [
+  "correctOptionIndex",
+  "correctOptionIndexes",
+  "correctText",
+  "sampleAnswer",
+];
+
+const mcq = {
+  id: "q1",
+  prompt: "2 + 2?",
+  type: "mcq",
+  options: ["3", "4", "5"],
+  correctOptionIndex: 1,
+  correctOptionIndexes: [],
+  points: 1,
+  order: 1,
+};
+const multi = {
+  id: "q2",
+  prompt: "Primes?",
+  type: "multi",
+  options: ["2", "4", "5", "9"],
+  correctOptionIndexes: [0, 2],
+  points: 2,
+  order: 2,
+};
+const fill = {
+  id: "q3",
+  prompt: "Capital of France?",
+  type: "fill",
+  correctText: "Paris",
+  points: 1,
+  order: 3,
+};
+const match = {
+  id: "q4",
+  prompt: "Match the pairs",
+  type: "match",
+  pairs: [
+    { left: "H2O", right: "Water" },
+    { left: "NaCl", right: "Salt" },
+  ],
+  points: 2,
+  order: 4,
+};
+const essay = {
+  id: "q5",
+  prompt: "Explain recursion",
+  type: "descriptive",
+  sampleAnswer: "A function that calls itself",
+  points: 5,
+  order: 5,
+};
+const QUESTIONS = [mcq, multi, fill, match, essay];
+
+const bankQuestions = [
+  {
+    id: "b1",
+    bankId: "bank1",
+    prompt: "Largest planet?",
+    type: "mcq",
+    options: ["Mars", "Jupiter", "Venus"],
+    correctOptionIndex: 1,
+    tags: ["space"],
+  },
+  {
+    id: "b2",
+    bankId: "bank1",
+    prompt: "Pair the moons",
+    type: "match",
+    pairs: [
+      { left: "Io", right: "Jupiter" },
+      { left: "Titan", right: "Saturn" },
+    ],
+    tags: ["space"],
+  },
+  {
+    id: "b3",
+    bankId: "bank1",
+    prompt: "Nearest star?",
+    type: "fill",
+    correctText: "Sun",
+    tags: ["space"],
+  },
+];
+
+// Just enough of the prisma client for pool draws
+const db = {
+  bankQuestion: { findMany: async () => bankQuestions },
+};
+
+function expectNoAnswerKeys(question) {
+  for (const key of ANSWER_KEYS) expect(question).not.toHaveProperty(key);
+  for (const pair of question.pairs || []) {
+    expect(Object.keys(pair)).toEqual(["left"]);
+  }
+}
+
+describe("toQuestionView", () => {
+  test.each(QUESTIONS.map((q) => [q.type, q]))(
+    "strips answer keys from %s questions for students",
+    (_type, question) => {
+      expectNoAnswerKeys(toQuestionView(question, "student"));
+    }
+  );
+
+  test("keeps answer keys for staff", () => {
+    for (const role of ["instructor", "admin"]) {
+      expect(toQuestionView(mcq, role).correctOptionIndex).toBe(1);
+      expect(toQuestionView(fill, role).correctText).toBe("Paris");
+      expect(toQuestionView(match, role).pairs).toEqual(match.pairs);
+      expect(toQuestionView(essay, role).sampleAnswer).toBe(
+        essay.sampleAnswer
+      );
+    }
+  });
+
+  test("splits match pairs so students cannot read them off", () => {
+    const view = toQuestionView(match, "student");
+    expect(view.pairs).toEqual([{ left: "H2O" }, { left: "NaCl" }]);
+    expect(view.matchOptions).toEqual(["Salt", "Water"]);
+  });
+});
+
+describe("toAssessmentView", () => {
+  const assessment = {
+    id: "a1",
+    title: "Quiz",
+    type: "quiz",
+    isPublished: true,
+    shuffleQuestions: true,
+    shuffleOptions: true,
+    scoringPolicy: { negativeMarking: 0.25 },
+    questions: QUESTIONS,
+    pools: [{ id: "p1", bankId: "bank1", drawCount: 2, tags: ["space"] }],
+    deletedAt: null,
+  };
+
+  test("students get no answer keys, pools or staff settings", () => {
+    const view = toAssessmentView(assessment, "student");
+    view.questions.forEach(expectNoAnswerKeys);
+    expect(view).not.toHaveProperty("pools");
+    expect(view).not.toHaveProperty("scoringPolicy");
+    expect(view).not.toHaveProperty("shuffleQuestions");
+    expect(view).not.toHaveProperty("deletedAt");
+  });
+
+  test("unknown roles fall back to the student view", () => {
+    const view = toAssessmentView(assessment, "guest");
+    view.questions.forEach(expectNoAnswerKeys);
+    expect(view).not.toHaveProperty("pools");
+  });
+
+  test("staff get pools and answer keys", () => {
+    const view = toAssessmentView(assessment, "instructor");
+    expect(view.pools).toHaveLength(1);
+    expect(view.questions[0].correctOptionIndex).toBe(1);
+    expect(view.scoringPolicy).toEqual(assessment.scoringPolicy);
+  });
+});
+
+describe("question papers", () => {
+  const assessment = {
+    id: "a1",
+    shuffleQuestions: true,
+    shuffleOptions: true,
+    questions: QUESTIONS,
+    pools: [{ id: "p1", bankId: "bank1", drawCount: 3, tags: ["space"] }],
+  };
+
+  test("pool-drawn and shuffled questions carry no answer keys", async () => {
+    for (let attemptNumber = 1; attemptNumber <= 5; attemptNumber++) {
+      const paper = await buildQuestionPaper(db, assessment, {
+        studentId: "s1",
+        attemptNumber,
+      });
+      // The served paper keeps the (remapped) keys for grading...
+      expect(paper.questions.some((q) => q.source === "bank")).toBe(true);
+      expect(paper.questions).toHaveLength(QUESTIONS.length + 3);
+
+      // ...and the student view of it drops them
+      const view = toAssessmentView(
+        { ...assessment, questions: paper.questions },
+        "student"
+      );
+      view.questions.forEach(expectNoAnswerKeys);
+      expect(JSON.stringify(view)).not.toMatch(/"right"/);
+    }
+  });
+});
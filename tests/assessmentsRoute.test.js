@@ -0,0 +1,229 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import jwt from "jsonwebtoken";
+import request from "supertest";
+
+const ANSWER_KEYS = [
+  "correctOptionIndex",
+  "correctOptionIndexes",
+  "correctText",
+  "sampleAnswer",
+];
+
+const student = {
+  id: "student-1",
+  fullName: "Student One",
+  email: "student@example.edu",
+  role: "student",
+  isActive: true,
+  permissions: {},
+  tokenVersion: 0,
+  collegeId: "college-1",
+  departmentId: "dept-1",
+  college: { permissions: null },
+};
+
+// An admin of another college than the course's
+const outsideAdmin = {
+  ...student,
+  id: "admin-2",
+  email: "admin@other.example.edu",
+  role: "admin",
+  collegeId: "college-2",
+  departmentId: null,
+};
+const ownAdmin = { ...outsideAdmin, id: "admin-1", collegeId: "college-1" };
+const users = { student, outsideAdmin, ownAdmin };
+
+const course = { id: "course-1", collegeId: "college-1", CoursesAssigned: [] };
+
+const assessment = {
+  id: "assessment-1",
+  title: "Chapter quiz",
+  type: "quiz",
+  scope: "chapter",
+  isPublished: true,
+  maxAttempts: 3,
+  shuffleQuestions: true,
+  shuffleOptions: true,
+  courseId: "course-1",
+  chapterId: "chapter-1",
+  chapter: { id: "chapter-1", title: "Basics" },
+  course: { id: "course-1", title: "Course" },
+  questions: [
+    {
+      id: "q1",
+      prompt: "2 + 2?",
+      type: "mcq",
+      options: ["3", "4", "5"],
+      correctOptionIndex: 1,
+      correctOptionIndexes: [],
+      points: 1,
+      order: 1,
+    },
+    {
+      id: "q2",
+      prompt: "Match",
+      type: "match",
+      pairs: [
+        { left: "H2O", right: "Water" },
+        { left: "NaCl", right: "Salt" },
+      ],
+      points: 2,
+      order: 2,
+    },
+    {
+      id: "q3",
+      prompt: "Capital of France?",
+      type: "fill",
+      correctText: "Paris",
+      points: 1,
+      order: 3,
+    },
+    {
+      id: "q4",
+      prompt: "Explain",
+      type: "descriptive",
+      sampleAnswer: "Because",
+      points: 5,
+      order: 4,
+    },
+  ],
+  pools: [
+    {
+      id: "pool-1",
+      bankId: "bank-1",
+      drawCount: 2,
+      tags: [],
+      difficulty: null,
+      order: 1,
+    },
+  ],
+};
+
+// What assessment.findUnique returns; tests may swap in a variant
+let served = assessment;
+
+const bankQuestions = [
+  {
+    id: "b1",
+    bankId: "bank-1",
+    prompt: "Largest planet?",
+    type: "mcq",
+    options: ["Mars", "Jupiter"],
+    correctOptionIndex: 1,
+  },
+  {
+    id: "b2",
+    bankId: "bank-1",
+    prompt: "Nearest star?",
+    type: "fill",
+    correctText: "Sun",
+  },
+];
+
+// Model calls the route makes for a student; anything else finds nothing
+const handlers = {
+  user: {
+    findUnique: async ({ where }) =>
+      Object.values(users).find((u) => u.id === where.id) ?? null,
+  },
+  course: { findUnique: async () => course },
+  assessment: { findUnique: async () => served },
+  bankQuestion: { findMany: async () => bankQuestions },
+};
+const empty = { findMany: [], count: 0, groupBy: [] };
+const model = (name) =>
+  new Proxy(
+    {},
+    {
+      get: (_target, method) =>
+        handlers[name]?.[method] ?? (async () => empty[method] ?? null),
+    }
+  );
+const prisma = new Proxy({}, { get: (_target, name) => model(name) });
+
+jest.unstable_mockModule("../config/prisma.js", () => ({ prisma }));
+
+const { protect } = await import("../middleware/auth.js");
+const { default: assessmentsRouter } = await import(
+  "../routes/assessments.js"
+);
+
+// Mounted as in server.js
+const app = express();
+app.use(express.json());
+app.use("/api", protect, assessmentsRouter);
+
+const tokenFor = (user) =>
+  jwt.sign(
+    { sub: user.id, tokenVersion: 0 },
+    process.env.JWT_SECRET || "dev-secret"
+  );
+const token = tokenFor(student);
+
+const getAs = (user) =>
+  request(app)
+    .get(`/api/assessments/${assessment.id}`)
+    .set("Authorization", `Bearer ${tokenFor(user)}`);
+
+function expectPaper(body) {
+  expect(body).not.toHaveProperty("pools");
+  for (const question of body.questions) {
+    for (const key of ANSWER_KEYS) expect(question).not.toHaveProperty(key);
+  }
+  expect(JSON.stringify(body)).not.toMatch(/Paris|Sun"|Because/);
+}
+
+describe("GET /api/assessments/:id as a student", () => {
+  test("returns a paper without answer keys or pools", async () => {
+    const res = await request(app)
+      .get(`/api/assessments/${assessment.id}`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).not.toHaveProperty("pools");
+    expect(res.body).not.toHaveProperty("scoringPolicy");
+
+    // Both pool draws and the assessment's own questions, shuffled
+    const ids = res.body.questions.map((q) => q.id);
+    expect(ids).toHaveLength(assessment.questions.length + 2);
+    expect(ids).toEqual(expect.arrayContaining(["b1", "b2", "q1", "q4"]));
+
+    for (const question of res.body.questions) {
+      for (const key of ANSWER_KEYS) {
+        expect(question).not.toHaveProperty(key);
+      }
+      for (const pair of question.pairs || []) {
+        expect(Object.keys(pair)).toEqual(["left"]);
+      }
+    }
+    expect(JSON.stringify(res.body)).not.toMatch(/Paris|Sun"|Because/);
+  });
+});
+
+describe("GET /api/assessments/:id as an admin", () => {
+  afterEach(() => {
+    served = assessment;
+  });
+
+  test("of another college gets the student paper", async () => {
+    const res = await getAs(outsideAdmin);
+    expect(res.status).toBe(200);
+    expectPaper(res.body);
+  });
+
+  test("of another college cannot open an unpublished assessment", async () => {
+    served = { ...assessment, isPublished: false };
+    const res = await getAs(outsideAdmin);
+    expect(res.status).toBe(403);
+  });
+
+  test("of the course's college gets the answer keys", async () => {
+    const res = await getAs(ownAdmin);
+    expect(res.status).toBe(200);
+    expect(res.body.pools).toHaveLength(1);
+    const q1 = res.body.questions.find((q) => q.id === "q1");
+    expect(q1.correctOptionIndex).toBe(1);
+  });
+});
@@ -0,0 +1,33 @@
+import { hasPermission } from "../utils/permissions.js";
+
+const access = (collegeId, { global = false } = {}) => ({
+  collegeId,
+  global,
+  permissions: new Set(["course.manage"]),
+});
+
+describe("hasPermission", () => {
+  test("needs the permission itself", () => {
+    expect(hasPermission(access("c1"), "user.delete")).toBe(false);
+    expect(hasPermission(access("c1"), "course.manage")).toBe(true);
+  });
+
+  test("keeps college users inside their college", () => {
+    const admin = access("c1");
+    expect(hasPermission(admin, "course.manage", { collegeId: "c1" })).toBe(
+      true
+    );
+    expect(hasPermission(admin, "course.manage", { collegeId: "c2" })).toBe(
+      false
+    );
+  });
+
+  test("targets without a college are for super admins only", () => {
+    const scope = { collegeId: null };
+    expect(hasPermission(access("c1"), "course.manage", scope)).toBe(false);
+    expect(hasPermission(access(null), "course.manage", scope)).toBe(false);
+    expect(
+      hasPermission(access(null, { global: true }), "course.manage", scope)
+    ).toBe(true);
+  });
+});
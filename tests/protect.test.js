@@ -0,0 +1,41 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import jwt from "jsonwebtoken";
+import request from "supertest";
+
+const user = {
+  id: "user-1",
+  email: "user@example.edu",
+  role: "student",
+  isActive: true,
+  permissions: {},
+  tokenVersion: 0,
+  collegeId: "college-1",
+  college: { permissions: null },
+};
+const findUnique = jest.fn(async () => user);
+
+jest.unstable_mockModule("../config/prisma.js", () => ({
+  prisma: { user: { findUnique } },
+}));
+
+const { protect } = await import("../middleware/auth.js");
+
+const token = jwt.sign(
+  { sub: user.id, tokenVersion: 0 },
+  process.env.JWT_SECRET || "dev-secret"
+);
+
+test("protect looks the user up once however often it is mounted", async () => {
+  const app = express();
+  app.use("/api", protect);
+  app.use("/api", protect, (req, res) => res.json({ id: req.user.id }));
+
+  const res = await request(app)
+    .get("/api/anything")
+    .set("Authorization", `Bearer ${token}`);
+
+  expect(res.status).toBe(200);
+  expect(res.body).toEqual({ id: user.id });
+  expect(findUnique).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,151 @@
+// utils/accommodations.js
+// Per-student extra time, extra attempts and extended due dates. Several
+// active accommodations combine by taking the most generous value of each.
+export const NO_ACCOMMODATION = {
+  timeMultiplier: 1,
+  extraAttempts: 0,
+  extendedDueAt: null,
+  accommodationIds: [],
+};
+
+const MAX_TIME_MULTIPLIER = 5;
+const MAX_EXTRA_ATTEMPTS = 20;
+
+/**
+ * Validates timeMultiplier / extraAttempts / extendedDueAt / reason from a
+ * request body. Returns { data } (only the provided fields) or { error }.
+ */
+export function toAccommodationData(body = {}) {
+  const data = {};
+
+  if (body.timeMultiplier !== undefined) {
+    const m = Number(body.timeMultiplier);
+    if (!Number.isFinite(m) || m < 1 || m > MAX_TIME_MULTIPLIER) {
+      return {
+        error: `timeMultiplier must be between 1 and ${MAX_TIME_MULTIPLIER}`,
+      };
+    }
+    data.timeMultiplier = m;
+  }
+
+  if (body.extraAttempts !== undefined) {
+    const n = Number(body.extraAttempts);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_EXTRA_ATTEMPTS) {
+      return {
+        error: `extraAttempts must be a whole number from 0 to ${MAX_EXTRA_ATTEMPTS}`,
+      };
+    }
+    data.extraAttempts = n;
+  }
+
+  if (body.extendedDueAt !== undefined) {
+    if (body.extendedDueAt === null || body.extendedDueAt === "") {
+      data.extendedDueAt = null;
+    } else {
+      const d = new Date(body.extendedDueAt);
+      if (Number.isNaN(d.getTime())) {
+        return { error: "extendedDueAt must be a valid date" };
+      }
+      data.extendedDueAt = d;
+    }
+  }
+
+  if (body.reason !== undefined) {
+    data.reason = String(body.reason || "").trim() || null;
+  }
+
+  return { data };
+}
+
+// Values recorded in the audit trail
+export const accommodationSnapshot = (a) => ({
+  timeMultiplier: a.timeMultiplier,
+  extraAttempts: a.extraAttempts,
+  extendedDueAt: a.extendedDueAt,
+  enrollmentId: a.enrollmentId ?? null,
+  revokedAt: a.revokedAt ?? null,
+});
+
+export function recordAccommodationEvent(
+  db,
+  accommodation,
+  { action, reason, actorId }
+) {
+  return db.accommodationEvent.create({
+    data: {
+      accommodationId: accommodation.id,
+      action,
+      snapshot: accommodationSnapshot(accommodation),
+      reason: reason ?? null,
+      actorId,
+    },
+  });
+}
+
+// A student's active accommodations, with the course of per-enrollment ones
+export const loadAccommodations = (db, studentId) =>
+  db.accommodation.findMany({
+    where: { studentId, revokedAt: null },
+    include: { enrollment: { select: { courseId: true } } },
+  });
+
+/**
+ * Folds the accommodations that apply to `assessment` (student-wide ones
+ * and those of the enrollment in its course) into one.
+ */
+export function combineAccommodations(accommodations, assessment) {
+  const applicable = accommodations.filter(
+    (a) =>
+      !a.enrollmentId ||
+      (!!assessment.courseId && a.enrollment?.courseId === assessment.courseId)
+  );
+  if (!applicable.length) return NO_ACCOMMODATION;
+
+  const dueDates = applicable
+    .map((a) => a.extendedDueAt)
+    .filter(Boolean)
+    .map((d) => new Date(d).getTime());
+
+  return {
+    timeMultiplier: Math.max(...applicable.map((a) => a.timeMultiplier || 1)),
+    extraAttempts: Math.max(...applicable.map((a) => a.extraAttempts || 0)),
+    extendedDueAt: dueDates.length ? new Date(Math.max(...dueDates)) : null,
+    accommodationIds: applicable.map((a) => a.id),
+  };
+}
+
+export async function accommodationFor(db, assessment, studentId) {
+  return combineAccommodations(
+    await loadAccommodations(db, studentId),
+    assessment
+  );
+}
+
+export const effectiveMaxAttempts = (assessment, accommodation) =>
+  (assessment.maxAttempts || 1) + (accommodation?.extraAttempts || 0);
+
+export const effectiveTimeLimit = (assessment, accommodation) =>
+  assessment.timeLimitSeconds
+    ? Math.round(
+        assessment.timeLimitSeconds * (accommodation?.timeMultiplier || 1)
+      )
+    : null;
+
+const later = (a, b) =>
+  !a ? b : !b ? a : new Date(a).getTime() >= new Date(b).getTime() ? a : b;
+
+/**
+ * Moves the window's due date out to the extended one; a window that would
+ * close before it stays open until then.
+ */
+export function extendWindow(window, accommodation) {
+  const extended = accommodation?.extendedDueAt;
+  if (!extended) return window;
+  return {
+    ...window,
+    dueAt: later(window.dueAt, extended),
+    availableUntil: window.availableUntil
+      ? later(window.availableUntil, extended)
+      : null,
+  };
+}
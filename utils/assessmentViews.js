@@ -0,0 +1,156 @@
+// utils/assessmentViews.js
+// Role-aware response shapes. Every view lists its fields explicitly so a
+// new column never reaches students by accident.
+import { toPaperQuestion } from "./questionPaper.js";
+import { proctoringSettings } from "./proctoring.js";
+
+export function viewRoleOf(user) {
+  const role = String(user?.role || "").toUpperCase();
+  if (role === "ADMIN" || role === "SUPERADMIN") return "admin";
+  if (role === "INSTRUCTOR") return "instructor";
+  return "student";
+}
+
+const pick = (obj, fields) =>
+  Object.fromEntries(
+    fields.filter((f) => obj[f] !== undefined).map((f) => [f, obj[f]])
+  );
+
+const STAFF_QUESTION_FIELDS = [
+  "id",
+  "prompt",
+  "type",
+  "options",
+  "correctOptionIndex",
+  "correctOptionIndexes",
+  "correctText",
+  "pairs",
+  "sampleAnswer",
+  "points",
+  "order",
+  "scoring",
+  "rubricId",
+];
+
+const isStaff = (role) => role === "instructor" || role === "admin";
+
+// Anyone but staff gets the paper shape (no answer keys, match pairs split)
+export const toQuestionView = (q, role) =>
+  isStaff(role) ? pick(q, STAFF_QUESTION_FIELDS) : toPaperQuestion(q);
+
+const ASSESSMENT_FIELDS = [
+  "id",
+  "title",
+  "type",
+  "scope",
+  "timeLimitSeconds",
+  "maxAttempts",
+  "passingMark",
+  "isPublished",
+  "order",
+  "courseId",
+  "chapterId",
+  "dueAt",
+  "availableFrom",
+  "availableUntil",
+  "latePenalty",
+  "reviewPolicy",
+  "attemptScoring",
+  "assignment",
+  "survey",
+  "rubricId",
+  "createdAt",
+];
+
+const STAFF_ASSESSMENT_FIELDS = [
+  ...ASSESSMENT_FIELDS,
+  "shuffleQuestions",
+  "shuffleOptions",
+  "scoringPolicy",
+];
+
+const ADMIN_ASSESSMENT_FIELDS = [
+  ...STAFF_ASSESSMENT_FIELDS,
+  "updatedAt",
+  "deletedAt",
+];
+
+const ASSESSMENT_FIELDS_BY_ROLE = {
+  student: ASSESSMENT_FIELDS,
+  instructor: STAFF_ASSESSMENT_FIELDS,
+  admin: ADMIN_ASSESSMENT_FIELDS,
+};
+
+const POOL_FIELDS = [
+  "id",
+  "bankId",
+  "drawCount",
+  "tags",
+  "difficulty",
+  "points",
+  "order",
+];
+
+/**
+ * Serializes an assessment for `role`. Relations are only included when
+ * they were loaded; students never receive pools or answer keys.
+ */
+export function toAssessmentView(a, role) {
+  const view = pick(a, ASSESSMENT_FIELDS_BY_ROLE[role] || ASSESSMENT_FIELDS);
+
+  if (a.chapter) view.chapter = pick(a.chapter, ["id", "title"]);
+  if (a.course) view.course = pick(a.course, ["id", "title"]);
+  if (Array.isArray(a.questions)) {
+    view.questions = a.questions.map((q) => toQuestionView(q, role));
+  }
+  if (Array.isArray(a.pools) && isStaff(role)) {
+    view.pools = a.pools.map((p) => pick(p, POOL_FIELDS));
+  }
+  // Effective settings, so clients know whether to report integrity events
+  if (a.proctoring !== undefined) view.proctoring = proctoringSettings(a);
+
+  return view;
+}
+
+const CHAPTER_FIELDS = [
+  "id",
+  "title",
+  "order",
+  "isPublished",
+  "content",
+  "description",
+  "attachments",
+  "settings",
+];
+
+const STAFF_CHAPTER_FIELDS = [
+  ...CHAPTER_FIELDS,
+  "slug",
+  "isPreview",
+  "courseId",
+  "createdAt",
+  "updatedAt",
+];
+
+// Students only see the outline of unpublished chapters
+export function toChapterView(chapter, role) {
+  if (role !== "student") {
+    return {
+      ...pick(chapter, STAFF_CHAPTER_FIELDS),
+      ...(chapter.assessments && {
+        assessments: chapter.assessments.map((a) => ({ id: a.id })),
+      }),
+    };
+  }
+
+  if (chapter.isPublished === false) {
+    return pick(chapter, ["id", "title", "order", "isPublished"]);
+  }
+
+  return {
+    ...pick(chapter, CHAPTER_FIELDS),
+    ...(chapter.assessments && {
+      assessments: chapter.assessments.map((a) => ({ id: a.id })),
+    }),
+  };
+}
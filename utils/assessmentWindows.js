@@ -0,0 +1,210 @@
+// utils/assessmentWindows.js
+// Availability windows, due dates and late penalties. A student's window is
+// the assessment's own dates, overridden per field by the override for
+// their department's course assignment, else their college's.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WINDOW_FIELDS = ["availableFrom", "availableUntil", "dueAt"];
+
+// Returns { data } (Date, null or undefined) or { error }
+export function toWindowDate(input, field) {
+  if (input === undefined) return { data: undefined };
+  if (input === null || input === "") return { data: null };
+  const d = new Date(input);
+  if (Number.isNaN(d.getTime())) {
+    return { error: `${field} must be a valid date` };
+  }
+  return { data: d };
+}
+
+/**
+ * Validates availableFrom / availableUntil / dueAt from a request body.
+ * `current` holds the stored values so partial updates are checked against
+ * them. Returns { data } (only the provided fields) or { error }.
+ */
+export function toWindowData(body, current = {}) {
+  const data = {};
+  for (const field of WINDOW_FIELDS) {
+    const parsed = toWindowDate(body?.[field], field);
+    if (parsed.error) return { error: parsed.error };
+    if (parsed.data !== undefined) data[field] = parsed.data;
+  }
+
+  const merged = { ...current, ...data };
+  const time = (d) => (d ? new Date(d).getTime() : null);
+  if (
+    merged.availableFrom &&
+    merged.availableUntil &&
+    time(merged.availableFrom) >= time(merged.availableUntil)
+  ) {
+    return { error: "availableFrom must be before availableUntil" };
+  }
+  if (
+    merged.dueAt &&
+    merged.availableUntil &&
+    time(merged.dueAt) > time(merged.availableUntil)
+  ) {
+    return { error: "dueAt cannot be after availableUntil" };
+  }
+
+  return { data };
+}
+
+// Returns { data } ({ percentPerDay, maxPercent } or null) or { error }
+export function toLatePenalty(input) {
+  if (input === undefined) return { data: undefined };
+  if (input === null || input === "") return { data: null };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "latePenalty must be an object" };
+  }
+
+  const percentPerDay = Number(input.percentPerDay);
+  const maxPercent =
+    input.maxPercent === undefined || input.maxPercent === null
+      ? 100
+      : Number(input.maxPercent);
+  if (
+    !Number.isFinite(percentPerDay) ||
+    percentPerDay < 0 ||
+    percentPerDay > 100
+  ) {
+    return { error: "latePenalty.percentPerDay must be between 0 and 100" };
+  }
+  if (!Number.isFinite(maxPercent) || maxPercent < 0 || maxPercent > 100) {
+    return { error: "latePenalty.maxPercent must be between 0 and 100" };
+  }
+
+  return { data: { percentPerDay, maxPercent } };
+}
+
+const assessmentWindow = (assessment) => ({
+  availableFrom: assessment.availableFrom ?? null,
+  availableUntil: assessment.availableUntil ?? null,
+  dueAt: assessment.dueAt ?? null,
+  source: "assessment",
+});
+
+// Department override beats college override beats the assessment
+function applyOverrides(assessment, overrides, { departmentId }) {
+  const dept = overrides.find(
+    (o) =>
+      o.coursesAssigned?.departmentId &&
+      o.coursesAssigned.departmentId === departmentId
+  );
+  const college = overrides.find((o) => !o.coursesAssigned?.departmentId);
+  const window = assessmentWindow(assessment);
+
+  for (const [override, source] of [
+    [college, "college"],
+    [dept, "department"],
+  ]) {
+    if (!override) continue;
+    for (const field of WINDOW_FIELDS) {
+      if (override[field]) window[field] = override[field];
+    }
+    window.source = source;
+  }
+  return window;
+}
+
+/**
+ * Effective windows for `user` (needs collegeId / departmentId) on a list
+ * of assessments. Returns Map<assessmentId, window>.
+ */
+export async function loadAssessmentWindows(db, assessments, user) {
+  const windows = new Map(
+    assessments.map((a) => [a.id, assessmentWindow(a)])
+  );
+  if (!assessments.length || !user?.collegeId) return windows;
+
+  const overrides = await db.assessmentOverride.findMany({
+    where: {
+      assessmentId: { in: assessments.map((a) => a.id) },
+      coursesAssigned: { collegeId: user.collegeId, deletedAt: null },
+    },
+    include: { coursesAssigned: { select: { departmentId: true } } },
+  });
+
+  for (const a of assessments) {
+    const own = overrides.filter((o) => o.assessmentId === a.id);
+    if (own.length) {
+      windows.set(
+        a.id,
+        applyOverrides(a, own, { departmentId: user.departmentId || null })
+      );
+    }
+  }
+  return windows;
+}
+
+export async function windowFor(db, assessment, user) {
+  const windows = await loadAssessmentWindows(db, [assessment], user);
+  return windows.get(assessment.id);
+}
+
+// Effective window of one student, looked up by id
+export async function studentWindow(db, assessment, studentId) {
+  const user = await db.user.findUnique({
+    where: { id: studentId },
+    select: { collegeId: true, departmentId: true },
+  });
+  return windowFor(db, assessment, user);
+}
+
+const after = (now, d) => !!d && now.getTime() > new Date(d).getTime();
+const before = (now, d) => !!d && now.getTime() < new Date(d).getTime();
+
+// upcoming | open | overdue | closed
+export function availabilityStatus(window, now = new Date()) {
+  if (before(now, window.availableFrom)) return "upcoming";
+  if (after(now, window.availableUntil)) return "closed";
+  if (after(now, window.dueAt)) return "overdue";
+  return "open";
+}
+
+/**
+ * Why an attempt cannot be started now, or null. Overdue assessments stay
+ * open for late (penalised) submissions until availableUntil.
+ */
+export function windowError(window, now = new Date()) {
+  const status = availabilityStatus(window, now);
+  if (status === "upcoming") {
+    return {
+      code: "NOT_YET_AVAILABLE",
+      error: "This assessment is not available yet",
+      availableFrom: window.availableFrom,
+    };
+  }
+  if (status === "closed") {
+    return {
+      code: "ASSESSMENT_CLOSED",
+      error: "This assessment is closed",
+      availableUntil: window.availableUntil,
+    };
+  }
+  return null;
+}
+
+/**
+ * Lateness of a submission at `submittedAt`. Returns { late, percent }
+ * where `percent` is taken off the score (null when on time or when the
+ * assessment has no penalty). Each started day late counts in full.
+ */
+export function latePenaltyFor(latePenalty, window, submittedAt) {
+  if (!window?.dueAt || !after(submittedAt, window.dueAt)) {
+    return { late: false, percent: null };
+  }
+  if (!latePenalty?.percentPerDay) return { late: true, percent: null };
+
+  const days = Math.ceil(
+    (submittedAt.getTime() - new Date(window.dueAt).getTime()) / DAY_MS
+  );
+  const percent = Math.min(
+    latePenalty.maxPercent ?? 100,
+    latePenalty.percentPerDay * days
+  );
+  return { late: true, percent };
+}
+
+export const applyLatePenalty = (score, percent) =>
+  percent ? Math.round(score * (1 - percent / 100)) : score;
@@ -0,0 +1,194 @@
+// utils/assignments.js
+// File-upload assignments. A submission is an attempt whose paper holds one
+// manually graded item; the answer is the list of uploaded files. Graders
+// mark it criterion by criterion against the assignment's own rubric or a
+// reusable one (see utils/rubrics.js).
+import crypto from "crypto";
+
+export const ASSIGNMENT_TYPE = "assignment";
+// Served question id of the submission item
+export const ASSIGNMENT_ITEM_ID = "assignment";
+
+export const DEFAULT_ALLOWED_EXTENSIONS = [
+  "pdf",
+  "doc",
+  "docx",
+  "ppt",
+  "pptx",
+  "xls",
+  "xlsx",
+  "txt",
+  "csv",
+  "zip",
+  "png",
+  "jpg",
+  "jpeg",
+];
+
+// Hard limits; each assignment can only tighten them
+export const MAX_SUBMISSION_FILES = 10;
+export const MAX_SUBMISSION_FILE_MB = 25;
+
+const DEFAULT_SETTINGS = {
+  instructions: "",
+  maxFiles: 3,
+  maxFileSizeMb: 10,
+  allowedExtensions: DEFAULT_ALLOWED_EXTENSIONS,
+  // Used when there is no rubric
+  points: 100,
+  rubric: [],
+};
+
+export const isAssignment = (assessment) =>
+  assessment?.type === ASSIGNMENT_TYPE;
+
+const wholeNumber = (value, min, max) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+};
+
+function toRubricCriteria(input) {
+  if (!Array.isArray(input)) return { error: "rubric must be an array" };
+
+  const criteria = [];
+  for (const [i, c] of input.entries()) {
+    const title = String(c?.title || "").trim();
+    if (!title) return { error: `rubric[${i}].title is required` };
+    const points = Number(c.points);
+    if (!Number.isFinite(points) || points <= 0) {
+      return { error: `rubric[${i}].points must be a positive number` };
+    }
+    criteria.push({
+      id: c.id ? String(c.id) : crypto.randomUUID(),
+      title,
+      description: c.description ? String(c.description) : null,
+      points,
+    });
+  }
+
+  if (new Set(criteria.map((c) => c.id)).size !== criteria.length) {
+    return { error: "rubric criteria ids must be unique" };
+  }
+  return { data: criteria };
+}
+
+/**
+ * Validates an assessment's `assignment` settings: { instructions, maxFiles,
+ * maxFileSizeMb, allowedExtensions, points, rubric: [{ id?, title,
+ * description?, points }] }. Returns { data } (null clears) or { error }.
+ */
+export function toAssignmentSettings(input) {
+  if (input === undefined) return { data: undefined };
+  if (input === null) return { data: null };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "assignment must be an object" };
+  }
+
+  const settings = { ...DEFAULT_SETTINGS };
+
+  if (input.instructions !== undefined) {
+    settings.instructions = String(input.instructions || "");
+  }
+  if (input.maxFiles !== undefined) {
+    settings.maxFiles = wholeNumber(input.maxFiles, 1, MAX_SUBMISSION_FILES);
+    if (settings.maxFiles === null) {
+      return {
+        error: `assignment.maxFiles must be between 1 and ${MAX_SUBMISSION_FILES}`,
+      };
+    }
+  }
+  if (input.maxFileSizeMb !== undefined) {
+    settings.maxFileSizeMb = wholeNumber(
+      input.maxFileSizeMb,
+      1,
+      MAX_SUBMISSION_FILE_MB
+    );
+    if (settings.maxFileSizeMb === null) {
+      return {
+        error: `assignment.maxFileSizeMb must be between 1 and ${MAX_SUBMISSION_FILE_MB}`,
+      };
+    }
+  }
+  if (input.allowedExtensions !== undefined) {
+    const list = Array.isArray(input.allowedExtensions)
+      ? input.allowedExtensions
+      : String(input.allowedExtensions || "").split(",");
+    const extensions = [
+      ...new Set(
+        list
+          .map((e) => String(e).trim().toLowerCase().replace(/^\./, ""))
+          .filter(Boolean)
+      ),
+    ];
+    if (!extensions.length) {
+      return { error: "assignment.allowedExtensions cannot be empty" };
+    }
+    settings.allowedExtensions = extensions;
+  }
+  if (input.rubric !== undefined && input.rubric !== null) {
+    const rubric = toRubricCriteria(input.rubric);
+    if (rubric.error) return { error: `assignment.${rubric.error}` };
+    settings.rubric = rubric.data;
+  }
+  if (input.points !== undefined) {
+    const points = Number(input.points);
+    if (!Number.isFinite(points) || points <= 0) {
+      return { error: "assignment.points must be a positive number" };
+    }
+    settings.points = points;
+  }
+
+  return { data: settings };
+}
+
+export const assignmentSettings = (assessment) => ({
+  ...DEFAULT_SETTINGS,
+  ...(assessment?.assignment || {}),
+});
+
+// The single served item of an assignment; its points are the rubric total
+export function assignmentPaper(assessment) {
+  const settings = assignmentSettings(assessment);
+  const rubric = settings.rubric || [];
+  const points = rubric.length
+    ? rubric.reduce((sum, c) => sum + c.points, 0)
+    : settings.points;
+
+  return {
+    seed: null,
+    questions: [
+      {
+        id: ASSIGNMENT_ITEM_ID,
+        type: ASSIGNMENT_TYPE,
+        prompt: settings.instructions || assessment.title,
+        points,
+        rubric,
+        source: "assignment",
+        order: 1,
+      },
+    ],
+  };
+}
+
+const extensionOf = (name) => {
+  const match = /\.([^.]+)$/.exec(String(name || ""));
+  return match ? match[1].toLowerCase() : "";
+};
+
+// Checks uploaded multer files against the assignment; returns an error or null
+export function submissionFilesError(assessment, files) {
+  const settings = assignmentSettings(assessment);
+  if (!files?.length) return "At least one file is required";
+  if (files.length > settings.maxFiles) {
+    return `At most ${settings.maxFiles} file(s) can be submitted`;
+  }
+  for (const file of files) {
+    if (!settings.allowedExtensions.includes(extensionOf(file.originalname))) {
+      return `${file.originalname}: allowed types are ${settings.allowedExtensions.join(", ")}`;
+    }
+    if (file.size > settings.maxFileSizeMb * 1024 * 1024) {
+      return `${file.originalname} is larger than ${settings.maxFileSizeMb}MB`;
+    }
+  }
+  return null;
+}
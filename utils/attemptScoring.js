@@ -0,0 +1,105 @@
+// utils/attemptScoring.js
+// Which score counts when a student has several submitted attempts
+import { HELD_INTEGRITY_STATUSES } from "./proctoring.js";
+
+export const ATTEMPT_SCORING_POLICIES = ["highest", "latest", "first", "average"];
+export const DEFAULT_ATTEMPT_SCORING = "latest";
+
+// Returns { data } or { error }; undefined input leaves the setting unchanged
+export function toAttemptScoring(input) {
+  if (input === undefined) return { data: undefined };
+  const policy = String(input || "").toLowerCase();
+  if (!ATTEMPT_SCORING_POLICIES.includes(policy)) {
+    return {
+      error: `attemptScoring must be one of ${ATTEMPT_SCORING_POLICIES.join(", ")}`,
+    };
+  }
+  return { data: policy };
+}
+
+const submittedTime = (a) => new Date(a.submittedAt || 0).getTime();
+
+/**
+ * Combines one student's submitted attempts of one assessment.
+ * Attempts need { id, score, submittedAt }; unscored ones are ignored.
+ * Returns { score, attemptId, attemptCount, policy } or null. For
+ * "average" the attemptId is the latest attempt.
+ */
+export function combineAttemptScores(attempts, policy) {
+  const scored = attempts
+    .filter((a) => a.score !== null && a.score !== undefined)
+    .sort((a, b) => submittedTime(a) - submittedTime(b));
+  if (!scored.length) return null;
+
+  const mode = ATTEMPT_SCORING_POLICIES.includes(policy)
+    ? policy
+    : DEFAULT_ATTEMPT_SCORING;
+  const latest = scored[scored.length - 1];
+
+  let counted = latest;
+  let score = latest.score;
+  if (mode === "first") {
+    counted = scored[0];
+    score = counted.score;
+  } else if (mode === "highest") {
+    // Earliest attempt wins a tie
+    counted = scored.reduce((best, a) => (a.score > best.score ? a : best));
+    score = counted.score;
+  } else if (mode === "average") {
+    const sum = scored.reduce((s, a) => s + Number(a.score), 0);
+    score = Math.round((sum / scored.length) * 100) / 100;
+  }
+
+  return {
+    score,
+    attemptId: counted.id,
+    attemptCount: scored.length,
+    policy: mode,
+  };
+}
+
+/**
+ * Groups attempts by student and assessment and combines each group with
+ * its assessment's policy. Attempts need `studentId`, `assessmentId` and
+ * `assessment.attemptScoring` (or pass `policyFor`).
+ * Returns a list of { studentId, assessmentId, ...combineAttemptScores }.
+ */
+export function combineScoresByAssessment(
+  attempts,
+  policyFor = (a) => a.assessment?.attemptScoring
+) {
+  const groups = new Map();
+  for (const a of attempts) {
+    const key = `${a.studentId}:${a.assessmentId}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(a);
+  }
+
+  const out = [];
+  for (const group of groups.values()) {
+    const combined = combineAttemptScores(group, policyFor(group[0]));
+    if (!combined) continue;
+    out.push({
+      studentId: group[0].studentId,
+      assessmentId: group[0].assessmentId,
+      ...combined,
+    });
+  }
+  return out;
+}
+
+// The counting score of one student on one assessment, from the database.
+// Attempts flagged by proctoring only count once a reviewer clears them.
+export async function studentAssessmentScore(db, assessment, studentId) {
+  const attempts = await db.assessmentAttempt.findMany({
+    where: {
+      assessmentId: assessment.id,
+      studentId,
+      deletedAt: null,
+      status: "submitted",
+      integrityStatus: { notIn: HELD_INTEGRITY_STATUSES },
+    },
+    select: { id: true, score: true, submittedAt: true },
+  });
+  return combineAttemptScores(attempts, assessment.attemptScoring);
+}
@@ -0,0 +1,119 @@
+// utils/certificatePdf.js
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+
+const BRAND_COLOR = "#1e3a8a";
+const ACCENT_COLOR = "#b45309";
+const MUTED_COLOR = "#4b5563";
+
+export const certificateVerifyUrl = (req, certificateId) => {
+  const base =
+    process.env.CERTIFICATE_VERIFY_BASE_URL ||
+    `${req.protocol}://${req.get("host")}/api/certificates/verify`;
+  return `${base.replace(/\/+$/, "")}/${encodeURIComponent(certificateId)}`;
+};
+
+const formatDate = (d) =>
+  new Date(d).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+/**
+ * Renders a one-page landscape certificate with a QR code pointing at the
+ * public verification endpoint. Resolves with the PDF as a Buffer.
+ */
+export async function renderCertificatePdf(
+  certificate,
+  { collegeName, verifyUrl }
+) {
+  const qr = await QRCode.toBuffer(verifyUrl, { margin: 1, width: 240 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 0 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { width, height } = doc.page;
+
+    doc.info.Title = `Certificate ${certificate.certificateId}`;
+
+    // Border
+    doc.rect(20, 20, width - 40, height - 40).lineWidth(4).stroke(BRAND_COLOR);
+    doc.rect(32, 32, width - 64, height - 64).lineWidth(1).stroke(ACCENT_COLOR);
+
+    doc
+      .fillColor(BRAND_COLOR)
+      .font("Helvetica-Bold")
+      .fontSize(22)
+      .text(collegeName, 0, 70, { align: "center", width });
+
+    doc
+      .fillColor(ACCENT_COLOR)
+      .font("Helvetica-Bold")
+      .fontSize(34)
+      .text("Certificate of Completion", 0, 120, { align: "center", width });
+
+    doc
+      .fillColor(MUTED_COLOR)
+      .font("Helvetica")
+      .fontSize(14)
+      .text("This is to certify that", 0, 185, { align: "center", width });
+
+    doc
+      .fillColor("#111827")
+      .font("Helvetica-Bold")
+      .fontSize(30)
+      .text(certificate.studentName, 0, 215, { align: "center", width });
+
+    doc
+      .fillColor(MUTED_COLOR)
+      .font("Helvetica")
+      .fontSize(14)
+      .text("has successfully completed the course", 0, 265, {
+        align: "center",
+        width,
+      });
+
+    doc
+      .fillColor(BRAND_COLOR)
+      .font("Helvetica-Bold")
+      .fontSize(22)
+      .text(certificate.courseName, 80, 295, {
+        align: "center",
+        width: width - 160,
+      });
+
+    doc
+      .fillColor(MUTED_COLOR)
+      .font("Helvetica")
+      .fontSize(13)
+      .text(
+        `with a score of ${Math.round(certificate.score)}% on ${formatDate(
+          certificate.completionDate
+        )}`,
+        0,
+        345,
+        { align: "center", width }
+      );
+
+    // Verification block
+    const qrSize = 96;
+    doc.image(qr, width - 60 - qrSize, height - 70 - qrSize, {
+      width: qrSize,
+      height: qrSize,
+    });
+    doc
+      .fillColor(MUTED_COLOR)
+      .fontSize(9)
+      .text(`Certificate ID: ${certificate.certificateId}`, 60, height - 110)
+      .text(`Verify at: ${verifyUrl}`, 60, height - 95, {
+        width: width - 240,
+      });
+
+    doc.end();
+  });
+}
@@ -0,0 +1,221 @@
+// utils/certificates.js
+import { SURVEY_TYPE } from "./surveys.js";
+import { combineScoresByAssessment } from "./attemptScoring.js";
+import { HELD_INTEGRITY_STATUSES } from "./proctoring.js";
+
+export const DEFAULT_PASSING_MARK = 70;
+
+export const DEFAULT_CERTIFICATE_RULES = {
+  requireAllChapters: false,
+  minChapterQuizAverage: null,
+};
+
+export const isFinalTest = (assessment) =>
+  !!assessment?.courseId &&
+  assessment.scope === "course" &&
+  !assessment.chapterId &&
+  assessment.type !== SURVEY_TYPE;
+
+// Returns { data } (normalized rules) or { error }
+export function toCertificateRules(input = {}) {
+  const rules = { ...DEFAULT_CERTIFICATE_RULES };
+
+  if (input.requireAllChapters !== undefined) {
+    rules.requireAllChapters = !!input.requireAllChapters;
+  }
+
+  if (
+    input.minChapterQuizAverage !== undefined &&
+    input.minChapterQuizAverage !== null
+  ) {
+    const min = Number(input.minChapterQuizAverage);
+    if (!Number.isFinite(min) || min < 0 || min > 100) {
+      return { error: "minChapterQuizAverage must be a number between 0 and 100" };
+    }
+    rules.minChapterQuizAverage = min;
+  }
+
+  return { data: rules };
+}
+
+export const certificateRulesFor = (course) => ({
+  ...DEFAULT_CERTIFICATE_RULES,
+  ...(course?.certificateRules || {}),
+});
+
+/**
+ * The single place that decides whether a graded attempt earns a
+ * certificate. Returns { eligible, reasons, checks } so the attempt
+ * response can explain the outcome.
+ */
+export async function evaluateCertificateEligibility(
+  prisma,
+  { assessment, studentId, score }
+) {
+  if (!isFinalTest(assessment)) {
+    return {
+      eligible: false,
+      reasons: ["Certificates are only awarded for the course final test"],
+      checks: {},
+    };
+  }
+
+  const course = await prisma.course.findUnique({
+    where: { id: assessment.courseId },
+    select: { id: true, certificateRules: true },
+  });
+  const rules = certificateRulesFor(course);
+  const passingMark = assessment.passingMark ?? DEFAULT_PASSING_MARK;
+
+  const checks = {
+    finalTest: { required: passingMark, actual: score, ok: score >= passingMark },
+  };
+
+  if (rules.requireAllChapters) {
+    const chapters = await prisma.chapter.findMany({
+      where: { courseId: assessment.courseId, isPublished: true, deletedAt: null },
+      select: { id: true },
+    });
+    const completed = await prisma.chapterProgress.count({
+      where: {
+        studentId,
+        isCompleted: true,
+        deletedAt: null,
+        chapterId: { in: chapters.map((c) => c.id) },
+      },
+    });
+    checks.chapters = {
+      required: chapters.length,
+      actual: completed,
+      ok: completed >= chapters.length,
+    };
+  }
+
+  if (rules.minChapterQuizAverage !== null) {
+    const quizzes = await prisma.assessment.findMany({
+      where: {
+        courseId: assessment.courseId,
+        chapterId: { not: null },
+        type: { not: SURVEY_TYPE },
+        isPublished: true,
+        deletedAt: null,
+      },
+      select: { id: true, attemptScoring: true },
+    });
+    const attempts = quizzes.length
+      ? await prisma.assessmentAttempt.findMany({
+          where: {
+            studentId,
+            status: "submitted",
+            deletedAt: null,
+            integrityStatus: { notIn: HELD_INTEGRITY_STATUSES },
+            assessmentId: { in: quizzes.map((q) => q.id) },
+          },
+          select: {
+            id: true,
+            studentId: true,
+            assessmentId: true,
+            score: true,
+            submittedAt: true,
+          },
+        })
+      : [];
+
+    // Each quiz's score under its attempt policy; quizzes never taken
+    // count as zero
+    const policies = new Map(quizzes.map((q) => [q.id, q.attemptScoring]));
+    const counted = new Map(
+      combineScoresByAssessment(attempts, (a) =>
+        policies.get(a.assessmentId)
+      ).map((c) => [c.assessmentId, c.score])
+    );
+    const average = quizzes.length
+      ? Math.round(
+          quizzes.reduce((sum, q) => sum + (counted.get(q.id) ?? 0), 0) /
+            quizzes.length
+        )
+      : 100;
+
+    checks.chapterQuizAverage = {
+      required: rules.minChapterQuizAverage,
+      actual: average,
+      ok: average >= rules.minChapterQuizAverage,
+    };
+  }
+
+  const reasons = [];
+  if (!checks.finalTest.ok) {
+    reasons.push(`Final test score ${score}% is below the passing mark of ${passingMark}%`);
+  }
+  if (checks.chapters && !checks.chapters.ok) {
+    reasons.push(
+      `${checks.chapters.actual} of ${checks.chapters.required} chapters completed`
+    );
+  }
+  if (checks.chapterQuizAverage && !checks.chapterQuizAverage.ok) {
+    reasons.push(
+      `Chapter quiz average ${checks.chapterQuizAverage.actual}% is below ${checks.chapterQuizAverage.required}%`
+    );
+  }
+
+  return { eligible: reasons.length === 0, reasons, checks };
+}
+
+export const newCertificateCode = (assessmentId, userId) =>
+  `CERT-${assessmentId}-${userId}-${Date.now()}`;
+
+// Stores the certificate's current state as history entry `certificate.version`
+export const recordCertificateVersion = (
+  db,
+  certificate,
+  { action, reason = null, changedById = null }
+) =>
+  db.certificateVersion.create({
+    data: {
+      certificateId: certificate.id,
+      version: certificate.version,
+      action,
+      certificateCode: certificate.certificateId,
+      studentName: certificate.studentName,
+      courseName: certificate.courseName,
+      score: certificate.score,
+      completionDate: certificate.completionDate,
+      reason,
+      changedById,
+    },
+  });
+
+/**
+ * Applies `data` to a certificate as its next version and records that
+ * version in the history. Resolves with the certificate and its versions.
+ */
+export const saveCertificateVersion = (
+  prisma,
+  certificate,
+  data,
+  { action, reason = null, changedById = null }
+) =>
+  prisma.$transaction(async (tx) => {
+    // Certificates issued before history existed get their original recorded
+    const history = await tx.certificateVersion.count({
+      where: { certificateId: certificate.id },
+    });
+    if (!history) {
+      await recordCertificateVersion(tx, certificate, { action: "issued" });
+    }
+
+    const updated = await tx.certificate.update({
+      where: { id: certificate.id },
+      data: { ...data, version: certificate.version + 1 },
+    });
+    await recordCertificateVersion(tx, updated, {
+      action,
+      reason,
+      changedById,
+    });
+
+    return tx.certificate.findUnique({
+      where: { id: updated.id },
+      include: { versions: { orderBy: { version: "asc" } } },
+    });
+  });
@@ -65,3 +65,28 @@ export async function uploadBase64Direct(dataUrl, folder) {
         throw new Error('Cloudinary upload failed.');
     }
 }
+
+// Uploads any file (documents, archives, images) as-is, keeping its name
+export async function uploadFile(buffer, folder, originalName) {
+    try {
+        return await new Promise((resolve, reject) => {
+            const uploadStream = cloudinary.uploader.upload_stream(
+                {
+                    folder: folder,
+                    resource_type: 'auto',
+                    use_filename: true,
+                    unique_filename: true,
+                    filename_override: originalName,
+                },
+                (error, result) => {
+                    if (error) reject(error);
+                    else resolve(result);
+                }
+            );
+            uploadStream.end(buffer);
+        });
+    } catch (error) {
+        console.error('Error uploading file to Cloudinary:', error);
+        throw new Error('File upload failed.');
+    }
+}
@@ -0,0 +1,522 @@
+// utils/grading.js
+import {
+  DEFAULT_PASSING_MARK,
+  isFinalTest,
+  evaluateCertificateEligibility,
+  newCertificateCode,
+  recordCertificateVersion,
+  saveCertificateVersion,
+} from "./certificates.js";
+import { resolveScoringPolicy, textMatches } from "./scoringPolicy.js";
+import {
+  combineScoresByAssessment,
+  studentAssessmentScore,
+} from "./attemptScoring.js";
+import { applyLatePenalty } from "./assessmentWindows.js";
+import {
+  HELD_INTEGRITY_STATUSES,
+  hasFlaggedAttempt,
+} from "./proctoring.js";
+
+// Questions without any answer key (long answers) are graded by hand
+export const needsManualGrading = (q) =>
+  typeof q.correctOptionIndex !== "number" &&
+  !(Array.isArray(q.correctOptionIndexes) && q.correctOptionIndexes.length) &&
+  !q.correctText &&
+  !q.pairs;
+
+export const isBlankAnswer = (ans) =>
+  ans === undefined ||
+  ans === null ||
+  (Array.isArray(ans) ? ans.length === 0 : String(ans).trim() === "");
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function matchedPairs(q, ans) {
+  try {
+    const pairs = typeof q.pairs === "string" ? JSON.parse(q.pairs) : q.pairs;
+    const userPairs = ans || {};
+    let correctCount = 0;
+    pairs.forEach((pair, idx) => {
+      if (
+        userPairs[idx] &&
+        userPairs[idx].toLowerCase().trim() === pair.right.toLowerCase().trim()
+      ) {
+        correctCount++;
+      }
+    });
+    return { correctCount, total: pairs.length };
+  } catch (e) {
+    console.error("Error grading match question:", e);
+    return { correctCount: 0, total: 0 };
+  }
+}
+
+// Points earned for one auto-gradable question (may be negative)
+function autoEarned(q, ans, pts, policy) {
+  if (typeof q.correctOptionIndex === "number") {
+    if (isBlankAnswer(ans)) return 0;
+    return Number(ans) === q.correctOptionIndex
+      ? pts
+      : -pts * policy.negativeMarking;
+  }
+
+  if (Array.isArray(q.correctOptionIndexes) && q.correctOptionIndexes.length) {
+    const selected = [
+      ...new Set(Array.isArray(ans) ? ans.map(Number) : []),
+    ].sort();
+    const correct = [...q.correctOptionIndexes].sort();
+
+    if (policy.multiSelect === "proportional") {
+      // Each wrong pick cancels a right one; never below zero
+      const hits = selected.filter((v) => correct.includes(v)).length;
+      const misses = selected.length - hits;
+      return (pts * Math.max(0, hits - misses)) / correct.length;
+    }
+    return selected.length === correct.length &&
+      selected.every((v, i) => v === correct[i])
+      ? pts
+      : 0;
+  }
+
+  if (q.correctText) {
+    return textMatches(ans, q.correctText, policy.text) ? pts : 0;
+  }
+
+  const { correctCount, total } = matchedPairs(q, ans);
+  if (policy.match === "proportional" && total) {
+    return (pts * correctCount) / total;
+  }
+  return total && correctCount === total ? pts : 0;
+}
+
+/**
+ * Grades one served question.
+ * status: correct | partial | incorrect | unanswered | pending | manual
+ */
+export function gradeQuestion(q, ans, { scoringPolicy = null, manualGrade } = {}) {
+  const points = typeof q.points === "number" ? q.points : 1;
+  const base = { questionId: q.id, type: q.type, points };
+
+  if (needsManualGrading(q)) {
+    if (manualGrade) {
+      return {
+        ...base,
+        earned: Number(manualGrade.points) || 0,
+        status: "manual",
+        feedback: manualGrade.feedback ?? null,
+      };
+    }
+    return isBlankAnswer(ans)
+      ? { ...base, earned: 0, status: "unanswered" }
+      : { ...base, earned: 0, status: "pending" };
+  }
+
+  const policy = resolveScoringPolicy(scoringPolicy, q.scoring);
+  const earned = round2(autoEarned(q, ans, points, policy));
+
+  const status = isBlankAnswer(ans)
+    ? "unanswered"
+    : earned >= points
+    ? "correct"
+    : earned > 0
+    ? "partial"
+    : "incorrect";
+
+  return { ...base, earned, status };
+}
+
+/**
+ * Grades a served paper. Returns { score, totalPoints, pendingQuestionIds,
+ * breakdown } where `score` is the points earned (never below zero).
+ */
+export function gradePaper(
+  questions,
+  answers,
+  manualGrades = {},
+  scoringPolicy = null
+) {
+  const breakdown = questions.map((q) =>
+    gradeQuestion(q, answers?.[q.id], {
+      scoringPolicy,
+      manualGrade: manualGrades?.[q.id],
+    })
+  );
+
+  const totalPoints = breakdown.reduce((sum, r) => sum + r.points, 0);
+  // Negative marking can't take the paper below zero
+  const score = Math.max(
+    0,
+    round2(breakdown.reduce((sum, r) => sum + r.earned, 0))
+  );
+
+  return {
+    score,
+    totalPoints,
+    pendingQuestionIds: breakdown
+      .filter((r) => r.status === "pending")
+      .map((r) => r.questionId),
+    breakdown,
+  };
+}
+
+/**
+ * Scores an attempt's served paper. `passed` and the certificate are only
+ * decided once no answers are waiting for manual review.
+ */
+export function scoreAttempt(attempt, assessment, answers) {
+  const { score, totalPoints, pendingQuestionIds, breakdown } = gradePaper(
+    attempt.servedQuestions || [],
+    answers,
+    attempt.manualGrades || {},
+    assessment.scoringPolicy
+  );
+  // Late penalties are stored on the attempt so regrades keep them
+  const percentage = applyLatePenalty(
+    totalPoints > 0 ? Math.round((score / totalPoints) * 100) : 0,
+    attempt.latePenaltyPercent
+  );
+  const pending = pendingQuestionIds.length > 0;
+
+  return {
+    score: percentage,
+    earnedPoints: score,
+    totalPoints,
+    pendingQuestionIds,
+    breakdown,
+    status: pending ? "needs_review" : "submitted",
+    passed: pending
+      ? null
+      : percentage >= (assessment.passingMark ?? DEFAULT_PASSING_MARK),
+  };
+}
+
+/**
+ * Brings an existing certificate in line with an eligibility decision: a new
+ * score amends it, and a student who no longer qualifies has it revoked.
+ * Returns "updated", "revoked" or null when nothing changed.
+ */
+async function reconcileCertificate(
+  prisma,
+  existing,
+  eligibility,
+  score,
+  { reason, changedById = null, completionDate } = {}
+) {
+  if (!existing || existing.deletedAt) return null;
+
+  if (eligibility.eligible) {
+    if (existing.score === score) return null;
+    await saveCertificateVersion(
+      prisma,
+      existing,
+      { score, ...(completionDate && { completionDate }) },
+      { action: "amended", reason, changedById }
+    );
+    return "updated";
+  }
+
+  const why = `${reason}: ${eligibility.reasons.join("; ")}`;
+  await saveCertificateVersion(
+    prisma,
+    existing,
+    { deletedAt: new Date(), revokedReason: why, revokedById: changedById },
+    { action: "revoked", reason: why, changedById }
+  );
+  return "revoked";
+}
+
+/**
+ * Issues (or refreshes) the certificate when the course rules are met.
+ * Returns { certificateGenerated, certificate } where `certificate` explains
+ * the eligibility decision.
+ */
+export async function issueCertificate(
+  prisma,
+  assessment,
+  studentId,
+  attemptScore,
+  completedAt
+) {
+  // Nothing is released while a flagged attempt waits for review
+  if (await hasFlaggedAttempt(prisma, assessment.id, studentId)) {
+    return {
+      certificateGenerated: false,
+      certificate: {
+        eligible: false,
+        held: true,
+        reasons: ["Held until a flagged attempt has been reviewed"],
+        checks: {},
+      },
+    };
+  }
+
+  // The assessment's attempt scoring policy decides the certificate score
+  const combined = await studentAssessmentScore(prisma, assessment, studentId);
+  const percentage = combined?.score ?? attemptScore;
+
+  const certificate = await evaluateCertificateEligibility(prisma, {
+    assessment,
+    studentId,
+    score: percentage,
+  });
+
+  try {
+    const key = {
+      assessmentId_userId: { assessmentId: assessment.id, userId: studentId },
+    };
+    const existing = await prisma.certificate.findUnique({ where: key });
+
+    // A revoked certificate stays revoked until an admin reissues it
+    if (existing?.deletedAt) {
+      return {
+        certificateGenerated: false,
+        certificate: { ...certificate, revoked: true },
+      };
+    }
+
+    // A new counting score amends the certificate, or revokes it
+    if (existing) {
+      const change = await reconcileCertificate(
+        prisma,
+        existing,
+        certificate,
+        percentage,
+        { reason: "New counting score", completionDate: completedAt }
+      );
+      return change === "revoked"
+        ? {
+            certificateGenerated: false,
+            certificate: { ...certificate, revoked: true },
+          }
+        : { certificateGenerated: true, certificate };
+    }
+
+    if (!certificate.eligible) {
+      return { certificateGenerated: false, certificate };
+    }
+
+    const student = await prisma.user.findUnique({
+      where: { id: studentId },
+      select: { fullName: true, email: true },
+    });
+    const certificateId = newCertificateCode(assessment.id, studentId);
+
+    const certificateData = {
+      userId: studentId,
+      assessmentId: assessment.id,
+      courseId: assessment.courseId,
+      courseName: assessment.course?.title || "Course",
+      studentName: student?.fullName || student?.email || "Student",
+      score: percentage,
+      completionDate: completedAt,
+      certificateId: certificateId,
+    };
+
+    // Upsert so a concurrent first issue does not fail
+    const issued = await prisma.certificate.upsert({
+      where: key,
+      update: {},
+      create: certificateData,
+    });
+
+    // First issue starts the version history
+    const history = await prisma.certificateVersion.count({
+      where: { certificateId: issued.id },
+    });
+    if (!history) {
+      await recordCertificateVersion(prisma, issued, { action: "issued" });
+    }
+
+    return { certificateGenerated: true, certificate };
+  } catch (certError) {
+    console.error("\n❌ ❌ ❌ CERTIFICATE ERROR ❌ ❌ ❌", certError);
+    return { certificateGenerated: false, certificate };
+  }
+}
+
+// Re-applies a served question's option shuffle to a fresh canonical key
+function withCurrentKey(served, source) {
+  const order = served.optionOrder;
+  if (order && (source.options || []).length !== order.length) return served;
+
+  const toDisplay = (i) => (order ? order.indexOf(i) : i);
+
+  return {
+    ...served,
+    prompt: source.prompt,
+    options: order
+      ? order.map((i) => source.options[i])
+      : source.options || [],
+    correctOptionIndex:
+      typeof source.correctOptionIndex === "number"
+        ? toDisplay(source.correctOptionIndex)
+        : null,
+    correctOptionIndexes: (source.correctOptionIndexes || []).map(toDisplay),
+    correctText: source.correctText ?? null,
+    pairs: source.pairs ?? null,
+    sampleAnswer: source.sampleAnswer ?? null,
+    scoring: source.scoring ?? null,
+    // Pool point overrides stay with the served bank question
+    ...(served.source !== "bank" && {
+      points: typeof source.points === "number" ? source.points : 1,
+    }),
+  };
+}
+
+/**
+ * Refreshes answer keys in served papers from the current questions, so
+ * fixes to a key apply to attempts already taken. Questions that were
+ * deleted, or whose option count changed, keep their served snapshot.
+ */
+export async function refreshServedQuestions(prisma, papers) {
+  const served = papers.flat();
+  const ids = (source) => [
+    ...new Set(
+      served
+        .filter((q) => (q.source === "bank") === (source === "bank"))
+        .map((q) => q.id)
+    ),
+  ];
+
+  const [fixed, banked] = await Promise.all([
+    prisma.assessmentQuestion.findMany({
+      where: { id: { in: ids("assessment") }, deletedAt: null },
+    }),
+    prisma.bankQuestion.findMany({
+      where: { id: { in: ids("bank") }, deletedAt: null },
+    }),
+  ]);
+  const current = new Map(
+    [...fixed, ...banked].map((q) => [String(q.id), q])
+  );
+
+  return papers.map((paper) =>
+    paper.map((q) => {
+      const source = current.get(String(q.id));
+      return source ? withCurrentKey(q, source) : q;
+    })
+  );
+}
+
+const attemptScoreChanged = (attempt, outcome) =>
+  attempt.score !== outcome.score ||
+  attempt.status !== outcome.status ||
+  attempt.passed !== outcome.passed;
+
+/**
+ * Regrades every finished attempt of an assessment against the current
+ * answer keys and brings certificates in line with the new scores.
+ * `assessment` must include `course`.
+ */
+export async function regradeAssessment(prisma, assessment, { changedById }) {
+  const attempts = await prisma.assessmentAttempt.findMany({
+    where: {
+      assessmentId: assessment.id,
+      deletedAt: null,
+      status: { in: ["submitted", "needs_review"] },
+    },
+    orderBy: { submittedAt: "asc" },
+  });
+
+  const papers = await refreshServedQuestions(
+    prisma,
+    attempts.map((a) => a.servedQuestions || [])
+  );
+
+  const results = [];
+  for (const [i, attempt] of attempts.entries()) {
+    const regraded = { ...attempt, servedQuestions: papers[i] };
+    const outcome = scoreAttempt(regraded, assessment, attempt.answers || {});
+
+    await prisma.assessmentAttempt.update({
+      where: { id: attempt.id },
+      data: {
+        servedQuestions: papers[i],
+        status: outcome.status,
+        score: outcome.score,
+        earnedPoints: outcome.earnedPoints,
+        totalPoints: outcome.totalPoints,
+        passed: outcome.passed,
+        breakdown: outcome.breakdown,
+      },
+    });
+
+    results.push({
+      attemptId: attempt.id,
+      studentId: attempt.studentId,
+      assessmentId: attempt.assessmentId,
+      submittedAt: attempt.submittedAt,
+      previousScore: attempt.score,
+      score: outcome.score,
+      status: outcome.status,
+      integrityStatus: attempt.integrityStatus,
+      changed: attemptScoreChanged(attempt, outcome),
+    });
+  }
+
+  const certificates = isFinalTest(assessment)
+    ? await syncCertificates(prisma, assessment, results, { changedById })
+    : { issued: 0, updated: 0, revoked: 0 };
+
+  return {
+    regraded: results.length,
+    changed: results.filter((r) => r.changed).length,
+    certificates,
+    attempts: results,
+  };
+}
+
+// Re-evaluates each student's certificate from their counting score
+async function syncCertificates(prisma, assessment, results, { changedById }) {
+  const summary = { issued: 0, updated: 0, revoked: 0 };
+  const counted = new Map(
+    combineScoresByAssessment(
+      results
+        .filter(
+          (r) =>
+            r.status === "submitted" &&
+            !HELD_INTEGRITY_STATUSES.includes(r.integrityStatus)
+        )
+        .map((r) => ({ ...r, id: r.attemptId })),
+      () => assessment.attemptScoring
+    ).map((c) => [c.studentId, c.score])
+  );
+  const studentIds = new Set(results.map((r) => r.studentId));
+
+  for (const studentId of studentIds) {
+    const existing = await prisma.certificate.findUnique({
+      where: {
+        assessmentId_userId: { assessmentId: assessment.id, userId: studentId },
+      },
+    });
+    if (existing?.deletedAt) continue;
+
+    // Attempts still awaiting manual review decide nothing yet
+    const score = counted.get(studentId);
+    if (score === undefined) continue;
+
+    const eligibility = await evaluateCertificateEligibility(prisma, {
+      assessment,
+      studentId,
+      score,
+    });
+
+    if (eligibility.eligible && !existing) {
+      await issueCertificate(prisma, assessment, studentId, score, new Date());
+      summary.issued++;
+      continue;
+    }
+
+    const change = await reconcileCertificate(
+      prisma,
+      existing,
+      eligibility,
+      score,
+      { reason: "Assessment regraded", changedById }
+    );
+    if (change) summary[change]++;
+  }
+
+  return summary;
+}
@@ -1,3 +1,4 @@
+import { normalizeRole } from "./permissions.js";
 
 export async function getInstructorOrg(prisma, user) {
   const email = String(user?.email || "");
@@ -44,8 +45,8 @@ export async function eligibleCourseIdsForInstructor(prisma, user) {
 // utils/instructorEligibility.js
 export async function isInstructorEligibleForCourse(prisma, userLike, courseId) {
   // Admins always allowed
-  const role = String(userLike.role || "").toUpperCase();
-  if (role === "SUPER_ADMIN" || role === "ADMIN") return true;
+  const role = normalizeRole(userLike.role);
+  if (role === "SUPERADMIN" || role === "ADMIN") return true;
   if (role !== "INSTRUCTOR") return false;
 
   // Pull org from latest approved registration (case-insensitive), then fallback to permissions
@@ -0,0 +1,219 @@
+// utils/itemAnalysis.js
+// Classical item analysis over finished attempts: facility (correct rate),
+// option distribution, upper/lower 27% discrimination and time on task.
+import { gradePaper } from "./grading.js";
+
+// Share of attempts in each of the upper and lower scoring groups
+const GROUP_SHARE = 0.27;
+// Below this many attempts per group discrimination is too noisy to report
+const MIN_GROUP_SIZE = 3;
+
+export const ITEM_FLAGS = {
+  too_hard: "Fewer than 20% of students answer correctly",
+  too_easy: "More than 95% of students answer correctly",
+  negative_discrimination: "Low scorers do better than high scorers",
+  low_discrimination: "Barely separates high and low scorers",
+  distractor_beats_key: "A wrong option is chosen more often than the key",
+  unused_option: "An option is never chosen",
+  often_skipped: "More than a quarter of students leave it blank",
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const mean = (list) =>
+  list.length ? list.reduce((s, n) => s + n, 0) / list.length : null;
+
+// Served answers use display positions; map them back to the authored order
+function toCanonical(q, ans) {
+  const list = Array.isArray(ans) ? ans : [ans];
+  return list
+    .filter((v) => v !== null && v !== undefined && v !== "")
+    .map(Number)
+    .filter(Number.isInteger)
+    .map((i) => (q.optionOrder ? q.optionOrder[i] : i))
+    .filter((i) => i !== undefined);
+}
+
+// Options and key in authored order, from any served copy of the question
+function canonicalQuestion(q) {
+  if (!q.optionOrder) return q;
+  const options = [];
+  q.optionOrder.forEach((canonical, display) => {
+    options[canonical] = q.options[display];
+  });
+  return {
+    ...q,
+    options,
+    correctOptionIndex:
+      typeof q.correctOptionIndex === "number"
+        ? q.optionOrder[q.correctOptionIndex]
+        : null,
+    correctOptionIndexes: (q.correctOptionIndexes || []).map(
+      (i) => q.optionOrder[i]
+    ),
+  };
+}
+
+const hasOptions = (q) =>
+  ["single", "multi"].includes(q.type) && (q.options || []).length > 1;
+
+function flagsFor(item) {
+  const flags = [];
+  if (item.averageScore !== null && item.answeredCount >= MIN_GROUP_SIZE) {
+    if (item.averageScore < 0.2) flags.push("too_hard");
+    if (item.averageScore > 0.95) flags.push("too_easy");
+  }
+  if (item.discrimination !== null) {
+    if (item.discrimination < 0) flags.push("negative_discrimination");
+    else if (item.discrimination < 0.1) flags.push("low_discrimination");
+  }
+  if (item.options) {
+    const topKey = Math.max(
+      0,
+      ...item.options.filter((o) => o.correct).map((o) => o.count)
+    );
+    if (item.options.some((o) => !o.correct && o.count > topKey)) {
+      flags.push("distractor_beats_key");
+    }
+    if (item.answeredCount >= 10 && item.options.some((o) => !o.count)) {
+      flags.push("unused_option");
+    }
+  }
+  if (item.servedCount && item.skippedCount / item.servedCount > 0.25) {
+    flags.push("often_skipped");
+  }
+  return flags;
+}
+
+/**
+ * Analyses finished attempts of one assessment. Attempts need
+ * servedQuestions, answers and score; a stored breakdown is used when
+ * present, otherwise the paper is graded again. Questions still waiting
+ * for manual grading are left out of that attempt's numbers.
+ */
+export function analyzeItems(attempts, { scoringPolicy = null } = {}) {
+  const graded = attempts.map((a) => {
+    const breakdown =
+      Array.isArray(a.breakdown) && a.breakdown.length
+        ? a.breakdown
+        : gradePaper(
+            a.servedQuestions || [],
+            a.answers || {},
+            a.manualGrades || {},
+            scoringPolicy
+          ).breakdown;
+    return {
+      attempt: a,
+      results: new Map(breakdown.map((r) => [String(r.questionId), r])),
+    };
+  });
+
+  // Upper and lower groups by overall score
+  const ranked = [...graded].sort(
+    (x, y) => (y.attempt.score ?? 0) - (x.attempt.score ?? 0)
+  );
+  const groupSize = Math.floor(ranked.length * GROUP_SHARE);
+  const upper = new Set(ranked.slice(0, groupSize));
+  const lower = new Set(ranked.slice(ranked.length - groupSize));
+
+  const items = new Map();
+  for (const entry of graded) {
+    const { attempt, results } = entry;
+    for (const served of attempt.servedQuestions || []) {
+      const id = String(served.id);
+      const result = results.get(id);
+      if (!result || result.status === "pending") continue;
+
+      if (!items.has(id)) {
+        const q = canonicalQuestion(served);
+        items.set(id, {
+          question: q,
+          scores: [],
+          upper: [],
+          lower: [],
+          skipped: 0,
+          fullyCorrect: 0,
+          times: [],
+          optionCounts: hasOptions(q) ? q.options.map(() => 0) : null,
+        });
+      }
+      const item = items.get(id);
+      const fraction =
+        result.points > 0 ? Math.max(0, result.earned) / result.points : 0;
+
+      if (result.status === "unanswered") {
+        item.skipped++;
+      } else {
+        item.scores.push(fraction);
+        if (result.status === "correct") item.fullyCorrect++;
+      }
+      if (upper.has(entry)) item.upper.push(fraction);
+      if (lower.has(entry)) item.lower.push(fraction);
+
+      const seconds = Number(attempt.questionTimes?.[id]);
+      if (Number.isFinite(seconds) && seconds > 0) item.times.push(seconds);
+
+      if (item.optionCounts) {
+        for (const i of toCanonical(served, attempt.answers?.[id])) {
+          if (i >= 0 && i < item.optionCounts.length) item.optionCounts[i]++;
+        }
+      }
+    }
+  }
+
+  const questions = [...items.entries()].map(([id, item]) => {
+    const { question: q } = item;
+    const answeredCount = item.scores.length;
+    const servedCount = answeredCount + item.skipped;
+    const enoughForGroups =
+      item.upper.length >= MIN_GROUP_SIZE &&
+      item.lower.length >= MIN_GROUP_SIZE;
+    const keys = new Set(
+      q.type === "multi"
+        ? q.correctOptionIndexes || []
+        : typeof q.correctOptionIndex === "number"
+        ? [q.correctOptionIndex]
+        : []
+    );
+
+    const analysis = {
+      questionId: id,
+      prompt: q.prompt,
+      type: q.type,
+      source: q.source ?? "assessment",
+      points: q.points,
+      servedCount,
+      answeredCount,
+      skippedCount: item.skipped,
+      correctRate: servedCount
+        ? round2(item.fullyCorrect / servedCount)
+        : null,
+      averageScore: answeredCount ? round2(mean(item.scores)) : null,
+      discrimination: enoughForGroups
+        ? round2(mean(item.upper) - mean(item.lower))
+        : null,
+      averageTimeSeconds: item.times.length
+        ? Math.round(mean(item.times))
+        : null,
+      timedCount: item.times.length,
+      options: item.optionCounts
+        ? item.optionCounts.map((count, index) => ({
+            index,
+            text: q.options[index],
+            correct: keys.has(index),
+            count,
+            share: answeredCount ? round2(count / answeredCount) : 0,
+          }))
+        : null,
+    };
+
+    return { ...analysis, flags: flagsFor(analysis) };
+  });
+
+  return {
+    attemptCount: attempts.length,
+    groupSize: groupSize >= MIN_GROUP_SIZE ? groupSize : null,
+    flagged: questions.filter((q) => q.flags.length).length,
+    flagDescriptions: ITEM_FLAGS,
+    questions,
+  };
+}
@@ -0,0 +1,48 @@
+// utils/lockout.js
+// Per-account brute-force protection. Every LOCKOUT_THRESHOLD failed
+// passwords in a row lock the account, each time for twice as long (up to
+// a day); an admin can unlock it early. OTPs allow MAX_OTP_ATTEMPTS
+// guesses before they are thrown away.
+export const LOCKOUT_THRESHOLD = 5;
+const BASE_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+export const MAX_OTP_ATTEMPTS = 5;
+
+// Lock length after `failures` consecutive failures, or 0 for no lock
+export function lockoutMinutes(failures) {
+  if (failures < LOCKOUT_THRESHOLD || failures % LOCKOUT_THRESHOLD) return 0;
+  const round = failures / LOCKOUT_THRESHOLD;
+  return Math.min(
+    MAX_LOCKOUT_MINUTES,
+    BASE_LOCKOUT_MINUTES * 2 ** (round - 1)
+  );
+}
+
+export const isLocked = (user, now = new Date()) =>
+  !!user?.lockedUntil && new Date(user.lockedUntil) > now;
+
+// Counts a failed password; returns { failedLoginAttempts, lockedUntil }
+export async function registerFailedLogin(db, user, now = new Date()) {
+  const failedLoginAttempts = (user.failedLoginAttempts ?? 0) + 1;
+  const minutes = lockoutMinutes(failedLoginAttempts);
+  const lockedUntil = minutes
+    ? new Date(now.getTime() + minutes * 60 * 1000)
+    : user.lockedUntil ?? null;
+
+  await db.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts, lockedUntil },
+  });
+  return { failedLoginAttempts, lockedUntil };
+}
+
+// User update clearing failed sign-ins and any lock
+export const LOGIN_UNLOCKED = { failedLoginAttempts: 0, lockedUntil: null };
+
+export const lockedResponse = (lockedUntil) => ({
+  success: false,
+  code: "ACCOUNT_LOCKED",
+  message:
+    "Too many failed attempts. Try again later or ask your admin to unlock your account.",
+  lockedUntil,
+});
@@ -0,0 +1,279 @@
+// utils/permissions.js
+// The permission engine: every route asks for a named permission instead
+// of checking roles. A user's effective permissions are, in order:
+//   1. their role's defaults (ROLE_PERMISSIONS)
+//   2. grants for that role by their college (College.permissions.roleGrants)
+//   3. legacy per-admin toggles (College.permissions.adminToggles)
+//   4. grants to them alone (User.permissions.grants)
+// A grant maps a permission to true (add) or false (remove). Super admins
+// always hold every permission in every college; everyone else only acts
+// within their own college (see hasPermission).
+
+export const PERMISSIONS = {
+  "college.manage": "Create, edit, suspend and delete colleges and limits",
+  "college.view": "List colleges and their departments",
+  "college.settings": "Change a college's sign-in settings (2FA, SSO)",
+  "department.manage": "Edit departments and the department catalogue",
+  "permission.manage": "Grant permissions to roles and users",
+  "user.view": "List admins, instructors and students",
+  "user.register": "Register users",
+  "user.manage": "Activate, deactivate and unlock users",
+  "user.delete": "Delete users and bulk-edit accounts",
+  "course.create": "Create courses",
+  "course.manage": "Edit and delete courses and their chapters",
+  "course.assign": "Assign courses to colleges and departments",
+  "course.teach": "Instructor views of assigned courses and their students",
+  "assessment.manage":
+    "Create and edit assessments, overrides and certificate rules",
+  "assessment.grade": "Grade and regrade attempts; export and analyse results",
+  "questionBank.manage": "Manage question banks and assessment pools",
+  "rubric.manage": "Manage grading rubrics",
+  "accommodation.manage": "Grant and revoke student accommodations",
+  "proctoring.review": "Review proctoring logs",
+  "survey.manage": "Create course surveys and read their results",
+  "certificate.manage": "Edit, revoke and reissue certificates",
+  "enrollment.manage": "Enroll and unenroll students directly",
+  "enrollment.request": "Ask to be enrolled in a course",
+  "enrollment.approve": "Approve or reject enrollment requests",
+  "report.view": "Admin dashboards and analytics",
+};
+
+export const ROLES = ["SUPERADMIN", "ADMIN", "INSTRUCTOR", "STUDENT"];
+
+const STAFF_PERMISSIONS = [
+  "assessment.grade",
+  "questionBank.manage",
+  "rubric.manage",
+  "accommodation.manage",
+  "proctoring.review",
+  "enrollment.approve",
+];
+
+export const ROLE_PERMISSIONS = {
+  SUPERADMIN: Object.keys(PERMISSIONS),
+  ADMIN: [
+    ...STAFF_PERMISSIONS,
+    "college.view",
+    "college.settings",
+    "user.view",
+    "user.register",
+    "user.manage",
+    "course.manage",
+    "course.assign",
+    "assessment.manage",
+    "survey.manage",
+    "certificate.manage",
+    "enrollment.manage",
+    "report.view",
+  ],
+  INSTRUCTOR: [...STAFF_PERMISSIONS, "course.teach"],
+  STUDENT: ["enrollment.request"],
+};
+
+// College.permissions.adminToggles keys; a toggle that is on grants these
+const LEGACY_TOGGLES = {
+  canCreateCourses: "course.create",
+  canCreateTests: "assessment.manage",
+  canManageTests: "assessment.manage",
+};
+
+// "super_admin", "Super Admin" and "superadmin" are all SUPERADMIN
+export function normalizeRole(role) {
+  const value = String(role || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "_");
+  return value === "SUPER_ADMIN" ? "SUPERADMIN" : value;
+}
+
+export const isSuperAdminRole = (role) => normalizeRole(role) === "SUPERADMIN";
+
+// Permissions JSON columns may hold a serialized string
+const asObject = (value) => {
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return {};
+    }
+  }
+  return value && typeof value === "object" && !Array.isArray(value)
+    ? value
+    : {};
+};
+
+const applyGrants = (granted, grants) => {
+  for (const [permission, on] of Object.entries(asObject(grants))) {
+    if (!(permission in PERMISSIONS)) continue;
+    if (on === true) granted.add(permission);
+    if (on === false) granted.delete(permission);
+  }
+};
+
+/**
+ * Effective permissions of `user` ({ id, role, collegeId, permissions })
+ * in a college whose permissions JSON is `collegePermissions`. Returns
+ * { role, collegeId, global, permissions } with permissions a Set.
+ */
+export function resolvePermissions(user, collegePermissions = null) {
+  const role = normalizeRole(user?.role);
+  const global = role === "SUPERADMIN";
+  const granted = new Set(ROLE_PERMISSIONS[role] || []);
+
+  if (!global) {
+    const college = asObject(collegePermissions);
+    applyGrants(granted, asObject(college.roleGrants)[role]);
+    const toggles = asObject(asObject(college.adminToggles)[user?.id]);
+    for (const [toggle, permission] of Object.entries(LEGACY_TOGGLES)) {
+      if (toggles[toggle] === true) granted.add(permission);
+    }
+    applyGrants(granted, asObject(user?.permissions).grants);
+  }
+
+  return {
+    role,
+    collegeId: user?.collegeId || null,
+    global,
+    permissions: granted,
+  };
+}
+
+/**
+ * Whether resolved permissions (`access`) allow `permission` on something
+ * in `scope.collegeId`. Without a collegeId in scope only the permission
+ * itself is checked; a null one (shared courses, super admin accounts)
+ * belongs to no college, so only super admins pass.
+ */
+export function hasPermission(access, permission, scope = {}) {
+  if (!access?.permissions?.has(permission)) return false;
+  if (access.global || scope?.collegeId === undefined) return true;
+  return (
+    !!access.collegeId &&
+    !!scope.collegeId &&
+    String(access.collegeId) === String(scope.collegeId)
+  );
+}
+
+/**
+ * Validates a { permission: true | false | null } patch; null removes a
+ * grant. Returns { data } or { error }.
+ */
+export function toGrants(input) {
+  const patch = asObject(input);
+  if (!Object.keys(patch).length) {
+    return { error: "grants must map permission names to true or false" };
+  }
+  for (const [permission, on] of Object.entries(patch)) {
+    if (!(permission in PERMISSIONS)) {
+      return { error: `Unknown permission: ${permission}` };
+    }
+    if (on !== true && on !== false && on !== null) {
+      return { error: `${permission} must be true, false or null` };
+    }
+  }
+  return { data: patch };
+}
+
+// Applies a toGrants patch to stored grants; returns the new grants
+export function mergeGrants(current, patch) {
+  const next = { ...asObject(current) };
+  for (const [permission, on] of Object.entries(patch)) {
+    if (on === null) delete next[permission];
+    else next[permission] = on;
+  }
+  return next;
+}
+
+// Nobody hands out, or takes away, what they could not do themselves
+export const canGrant = (access, patch, scope) =>
+  Object.keys(patch).every((permission) =>
+    hasPermission(access, permission, scope)
+  );
+
+// ---------------- scopes ----------------
+// Resolve the college a request acts on, for requirePermission's scopeOf.
+// Anything not found (an undefined id) resolves to no scope and is left to
+// the route's 404; a null course id is an assessment outside any course.
+
+// A course belongs to the college that owns it; shared courses to none
+export async function courseScope(db, courseId) {
+  if (courseId === undefined) return {};
+  if (courseId === null) return { collegeId: null };
+  const course = await db.course.findUnique({
+    where: { id: String(courseId) },
+    select: { collegeId: true },
+  });
+  return course ? { collegeId: course.collegeId } : {};
+}
+
+// For reading and enrolling, a course is also in each college it is
+// assigned to
+export async function assignedCourseScope(db, courseId, access) {
+  if (courseId === undefined) return {};
+  if (courseId === null) return { collegeId: null };
+  const course = await db.course.findUnique({
+    where: { id: String(courseId) },
+    select: {
+      collegeId: true,
+      CoursesAssigned: {
+        where: { collegeId: access?.collegeId || "", deletedAt: null },
+        select: { id: true },
+        take: 1,
+      },
+    },
+  });
+  if (!course) return {};
+  return {
+    collegeId: course.CoursesAssigned.length
+      ? access.collegeId
+      : course.collegeId,
+  };
+}
+
+// An assessment's course, directly or through its chapter
+export async function assessmentCourseId(db, assessmentId) {
+  const assessment = await db.assessment.findUnique({
+    where: { id: String(assessmentId) },
+    select: { courseId: true, chapter: { select: { courseId: true } } },
+  });
+  if (!assessment) return undefined;
+  return assessment.courseId || assessment.chapter?.courseId || null;
+}
+
+export async function chapterCourseId(db, chapterId) {
+  const chapter = await db.chapter.findUnique({
+    where: { id: String(chapterId) },
+    select: { courseId: true },
+  });
+  return chapter ? chapter.courseId : undefined;
+}
+
+// A user's college, e.g. the student an enrollment or certificate is for
+export async function userScope(db, userId) {
+  if (!userId) return {};
+  const user = await db.user.findUnique({
+    where: { id: String(userId) },
+    select: { collegeId: true },
+  });
+  return user ? { collegeId: user.collegeId } : {};
+}
+
+// Attempts record the college they were taken in; older rows fall back to
+// the student's
+export async function attemptScope(db, attemptId) {
+  const attempt = await db.assessmentAttempt.findUnique({
+    where: { id: String(attemptId) },
+    select: { collegeId: true, student: { select: { collegeId: true } } },
+  });
+  if (!attempt) return {};
+  return { collegeId: attempt.collegeId ?? attempt.student?.collegeId ?? null };
+}
+
+// The same rule as a findMany filter for the actor's attempts
+export function attemptsInScope(access) {
+  if (access?.global) return {};
+  const collegeId = access?.collegeId || "";
+  return {
+    OR: [{ collegeId }, { collegeId: null, student: { collegeId } }],
+  };
+}
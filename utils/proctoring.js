@@ -0,0 +1,185 @@
+// utils/proctoring.js
+// Integrity events reported by the client during an attempt. Each event
+// adds its weight to the attempt's suspicion score; past the assessment's
+// threshold the attempt is flagged and its certificate waits for review.
+import { isFinalTest } from "./certificates.js";
+
+export const PROCTORING_EVENT_WEIGHTS = {
+  tab_blur: 1,
+  fullscreen_exit: 2,
+  copy: 2,
+  cut: 2,
+  paste: 3,
+  ip_change: 5,
+};
+export const PROCTORING_EVENT_TYPES = Object.keys(PROCTORING_EVENT_WEIGHTS);
+// ip_change is detected by the server, never reported by the client
+const CLIENT_EVENT_TYPES = PROCTORING_EVENT_TYPES.filter(
+  (t) => t !== "ip_change"
+);
+
+export const DEFAULT_FLAG_THRESHOLD = 10;
+const MAX_SUSPICION_SCORE = 100;
+// Away from the test this long counts as a second blur
+const LONG_BLUR_SECONDS = 30;
+export const MAX_EVENTS_PER_REPORT = 50;
+
+// clear -> flagged -> cleared | rejected
+export const INTEGRITY_STATUSES = ["clear", "flagged", "cleared", "rejected"];
+// Attempts whose score must not count until (or unless) a reviewer clears them
+export const HELD_INTEGRITY_STATUSES = ["flagged", "rejected"];
+export const REVIEW_DECISIONS = ["cleared", "rejected"];
+
+// Returns { data } ({ enabled, flagThreshold } or null) or { error }
+export function toProctoringSettings(input) {
+  if (input === undefined) return { data: undefined };
+  if (input === null) return { data: null };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "proctoring must be an object" };
+  }
+
+  const threshold =
+    input.flagThreshold === undefined || input.flagThreshold === null
+      ? DEFAULT_FLAG_THRESHOLD
+      : Number(input.flagThreshold);
+  if (!Number.isInteger(threshold) || threshold < 1) {
+    return { error: "proctoring.flagThreshold must be a positive integer" };
+  }
+  return {
+    data: { enabled: input.enabled !== false, flagThreshold: threshold },
+  };
+}
+
+// On by default for the course final test, which colleges use as the exam
+export const proctoringSettings = (assessment) => ({
+  enabled: isFinalTest(assessment),
+  flagThreshold: DEFAULT_FLAG_THRESHOLD,
+  ...(assessment?.proctoring || {}),
+});
+
+export function eventWeight(type, details) {
+  const weight = PROCTORING_EVENT_WEIGHTS[type] ?? 0;
+  const away = Number(details?.durationSeconds);
+  if (type === "tab_blur" && away >= LONG_BLUR_SECONDS) return weight * 2;
+  return weight;
+}
+
+/**
+ * Validates a client report: [{ type, occurredAt?, details? }].
+ * Returns { data } (rows without attemptId) or { error }.
+ */
+export function toProctoringEvents(
+  input,
+  { ipAddress, userAgent, now = new Date() }
+) {
+  if (!Array.isArray(input) || !input.length) {
+    return { error: "events must be a non-empty array" };
+  }
+  if (input.length > MAX_EVENTS_PER_REPORT) {
+    return { error: `At most ${MAX_EVENTS_PER_REPORT} events per report` };
+  }
+
+  const rows = [];
+  for (const [i, e] of input.entries()) {
+    const type = String(e?.type || "").toLowerCase();
+    if (!CLIENT_EVENT_TYPES.includes(type)) {
+      return {
+        error: `events[${i}].type must be one of ${CLIENT_EVENT_TYPES.join(", ")}`,
+      };
+    }
+    const reported = e.occurredAt ? new Date(e.occurredAt) : now;
+    if (Number.isNaN(reported.getTime())) {
+      return { error: `events[${i}].occurredAt must be a valid date` };
+    }
+    // Client clocks run ahead; an event cannot happen after it is received
+    const occurredAt = reported > now ? now : reported;
+    const details =
+      e.details && typeof e.details === "object" && !Array.isArray(e.details)
+        ? e.details
+        : undefined;
+    rows.push({
+      type,
+      occurredAt,
+      weight: eventWeight(type, details),
+      details,
+      ipAddress: ipAddress || null,
+      userAgent: userAgent ? String(userAgent).slice(0, 255) : null,
+    });
+  }
+  return { data: rows };
+}
+
+/**
+ * Stores events for an in-progress attempt, adding an ip_change event when
+ * the request comes from another address than the last one seen, and
+ * updates the suspicion score and flag. `attempt` needs ipAddress,
+ * suspicionScore and integrityStatus. Returns the attempt's new state.
+ */
+export async function recordProctoringEvents(
+  db,
+  attempt,
+  assessment,
+  events,
+  { ipAddress, userAgent }
+) {
+  const rows = [...events];
+  const ipChanged =
+    !!ipAddress && !!attempt.ipAddress && ipAddress !== attempt.ipAddress;
+  if (ipChanged) {
+    rows.push({
+      type: "ip_change",
+      occurredAt: new Date(),
+      weight: PROCTORING_EVENT_WEIGHTS.ip_change,
+      details: { from: attempt.ipAddress, to: ipAddress },
+      ipAddress,
+      userAgent: userAgent ? String(userAgent).slice(0, 255) : null,
+    });
+  }
+
+  const state = {
+    suspicionScore: attempt.suspicionScore ?? 0,
+    integrityStatus: attempt.integrityStatus || "clear",
+    ipAddress: attempt.ipAddress ?? ipAddress ?? null,
+  };
+  if (!rows.length && state.ipAddress === attempt.ipAddress) return state;
+
+  state.suspicionScore = Math.min(
+    MAX_SUSPICION_SCORE,
+    state.suspicionScore + rows.reduce((sum, r) => sum + r.weight, 0)
+  );
+  state.ipAddress = ipAddress || state.ipAddress;
+  if (
+    state.integrityStatus === "clear" &&
+    state.suspicionScore >= proctoringSettings(assessment).flagThreshold
+  ) {
+    state.integrityStatus = "flagged";
+  }
+
+  await db.$transaction([
+    ...(rows.length
+      ? [
+          db.proctoringEvent.createMany({
+            data: rows.map((r) => ({ ...r, attemptId: attempt.id })),
+          }),
+        ]
+      : []),
+    db.assessmentAttempt.update({
+      where: { id: attempt.id },
+      data: state,
+    }),
+  ]);
+  return state;
+}
+
+// Whether any attempt of this student on this assessment awaits review
+export async function hasFlaggedAttempt(db, assessmentId, studentId) {
+  const flagged = await db.assessmentAttempt.count({
+    where: {
+      assessmentId,
+      studentId,
+      deletedAt: null,
+      integrityStatus: "flagged",
+    },
+  });
+  return flagged > 0;
+}
@@ -0,0 +1,165 @@
+// utils/questionData.js
+import { toScoringPolicy } from "./scoringPolicy.js";
+
+export const QUESTION_DIFFICULTIES = ["easy", "medium", "hard"];
+
+const toStringArray = (v) =>
+  Array.isArray(v)
+    ? v.map((x) => String(x || "").trim()).filter(Boolean)
+    : [];
+
+// Shared shape of an authored question (AssessmentQuestion / BankQuestion)
+export function toQuestionData(q, i = 0) {
+  return {
+    prompt: String(q.prompt || q.text || ""),
+    type: String(q.type || "single"),
+    options: Array.isArray(q.options)
+      ? q.options.map((opt) => (typeof opt === "string" ? opt : opt.text))
+      : [],
+    correctOptionIndex: Number.isFinite(q.correctOptionIndex)
+      ? q.correctOptionIndex
+      : null,
+    correctOptionIndexes: Array.isArray(q.correctOptionIndexes)
+      ? q.correctOptionIndexes.map(Number)
+      : [],
+    correctText: q.correctText ?? null,
+    pairs: q.pairs ?? null,
+    sampleAnswer: q.sampleAnswer ?? null,
+    points: Number.isFinite(q.points) ? q.points : 1,
+    order: Number.isFinite(q.order) ? q.order : i + 1,
+    // Per-question override of the assessment's scoring policy
+    scoring: toScoringPolicy(q.scoring).data ?? undefined,
+    // Manually graded questions only; unknown rubrics are ignored when served
+    rubricId: q.rubricId ? String(q.rubricId) : null,
+  };
+}
+
+export function toBankQuestionData(q) {
+  const { order: _order, ...data } = toQuestionData(q);
+  const difficulty = String(q.difficulty || "medium").toLowerCase();
+  return {
+    ...data,
+    tags: toStringArray(q.tags).map((t) => t.toLowerCase()),
+    difficulty: QUESTION_DIFFICULTIES.includes(difficulty)
+      ? difficulty
+      : "medium",
+  };
+}
+
+// Validates a "draw N from bank X" rule; returns { data } or { error }
+export function toPoolData(p, i = 0) {
+  const bankId = p?.bankId ? String(p.bankId) : "";
+  const drawCount = Number(p?.drawCount ?? p?.count);
+  if (!bankId) return { error: `pools[${i}].bankId is required` };
+  if (!Number.isInteger(drawCount) || drawCount < 1) {
+    return { error: `pools[${i}].drawCount must be a positive integer` };
+  }
+
+  const difficulty = p.difficulty ? String(p.difficulty).toLowerCase() : null;
+  if (difficulty && !QUESTION_DIFFICULTIES.includes(difficulty)) {
+    return {
+      error: `pools[${i}].difficulty must be one of ${QUESTION_DIFFICULTIES.join(", ")}`,
+    };
+  }
+
+  return {
+    data: {
+      bankId,
+      drawCount,
+      tags: toStringArray(p.tags).map((t) => t.toLowerCase()),
+      difficulty,
+      points: Number.isFinite(p.points) ? p.points : null,
+      order: Number.isFinite(p.order) ? p.order : i + 1,
+    },
+  };
+}
+
+/**
+ * Validates draw rules for a course: every bank must belong to it and, for
+ * anyone but a super admin (`access` from req.access), be shared or of
+ * their college. Returns { data } (rows without assessmentId) or { error }.
+ */
+export async function resolvePools(db, courseId, pools, access) {
+  if (!Array.isArray(pools)) return { error: "pools must be an array" };
+
+  const rows = [];
+  for (const [i, p] of pools.entries()) {
+    const { data, error } = toPoolData(p, i);
+    if (error) return { error };
+    rows.push(data);
+  }
+  if (!rows.length) return { data: rows };
+
+  const bankIds = [...new Set(rows.map((p) => p.bankId))];
+  const banks = await db.questionBank.findMany({
+    where: {
+      id: { in: bankIds },
+      courseId: courseId || "",
+      deletedAt: null,
+      ...(!access?.global && {
+        OR: [{ collegeId: null }, { collegeId: access?.collegeId || "" }],
+      }),
+    },
+    select: { id: true },
+  });
+  const foreign = bankIds.find((id) => !banks.some((b) => b.id === id));
+  if (foreign) {
+    return { error: `Question bank ${foreign} not found for this course` };
+  }
+
+  return { data: rows };
+}
+
+// Replaces an assessment's draw rules. Returns { data } or { error }.
+export async function replaceAssessmentPools(db, assessment, pools, access) {
+  const resolved = await resolvePools(db, assessment.courseId, pools, access);
+  if (resolved.error) return resolved;
+
+  await db.assessmentPool.deleteMany({ where: { assessmentId: assessment.id } });
+  if (resolved.data.length) {
+    await db.assessmentPool.createMany({
+      data: resolved.data.map((p) => ({ ...p, assessmentId: assessment.id })),
+    });
+  }
+
+  const data = await db.assessmentPool.findMany({
+    where: { assessmentId: assessment.id },
+    orderBy: { order: "asc" },
+  });
+  return { data };
+}
+
+/**
+ * Updates an assessment's questions in place: entries carrying the id of an
+ * existing question update it, the rest are created, and questions left out
+ * are soft-deleted. Keeping ids stable lets submitted attempts be regraded.
+ */
+export async function syncAssessmentQuestions(db, assessmentId, questions) {
+  const existing = await db.assessmentQuestion.findMany({
+    where: { assessmentId, deletedAt: null },
+    select: { id: true },
+  });
+  const existingIds = new Set(existing.map((q) => q.id));
+  const kept = [];
+
+  for (const [i, q] of questions.entries()) {
+    const data = toQuestionData(q, i);
+    const id = q.id ? String(q.id) : null;
+
+    if (id && existingIds.has(id)) {
+      await db.assessmentQuestion.update({ where: { id }, data });
+      kept.push(id);
+    } else {
+      const created = await db.assessmentQuestion.create({
+        data: { ...data, assessmentId },
+        select: { id: true },
+      });
+      kept.push(created.id);
+    }
+  }
+
+  await db.assessmentQuestion.updateMany({
+    where: { assessmentId, deletedAt: null, id: { notIn: kept } },
+    data: { deletedAt: new Date() },
+  });
+}
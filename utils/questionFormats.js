@@ -0,0 +1,859 @@
+// utils/questionFormats.js
+// Parsers for bulk question import. Every parser returns a list of
+// { row, input, errors } where `input` is shaped like the `questions`
+// entries accepted by the assessment endpoints (see toQuestionData).
+import path from "path";
+import xlsx from "xlsx";
+import JSZip from "jszip";
+import { XMLParser } from "fast-xml-parser";
+import { parsePairs } from "./questionPaper.js";
+
+export const QUESTION_TYPES = ["single", "multi", "text", "match", "descriptive"];
+export const IMPORT_FORMATS = ["spreadsheet", "gift", "qti"];
+
+const SPREADSHEET_COLUMNS = [
+  "type",
+  "prompt",
+  "options",
+  "answer",
+  "pairs",
+  "sampleAnswer",
+  "points",
+  "tags",
+  "difficulty",
+  "scoring",
+];
+
+export function detectImportFormat(filename, explicit) {
+  if (explicit) {
+    const f = String(explicit).toLowerCase();
+    if (["xlsx", "xls", "csv"].includes(f)) return "spreadsheet";
+    return IMPORT_FORMATS.includes(f) ? f : null;
+  }
+  const ext = path.extname(String(filename || "")).toLowerCase();
+  if ([".xlsx", ".xls", ".csv"].includes(ext)) return "spreadsheet";
+  if ([".gift", ".txt"].includes(ext)) return "gift";
+  if ([".xml", ".zip"].includes(ext)) return "qti";
+  return null;
+}
+
+/* ------------- validation ------------- */
+
+const inRange = (i, options) =>
+  Number.isInteger(i) && i >= 0 && i < options.length;
+
+// Type-specific checks; returns a list of messages
+export function validateQuestionInput(q) {
+  const errors = [];
+  const options = Array.isArray(q.options) ? q.options : [];
+
+  if (!String(q.prompt || "").trim()) errors.push("prompt is required");
+  if (!QUESTION_TYPES.includes(q.type)) {
+    errors.push(`type must be one of ${QUESTION_TYPES.join(", ")}`);
+    return errors;
+  }
+  if (!Number.isInteger(q.points) || q.points <= 0) {
+    errors.push("points must be a positive whole number");
+  }
+
+  switch (q.type) {
+    case "single":
+      if (options.length < 2) errors.push("single needs at least 2 options");
+      if (!inRange(q.correctOptionIndex, options)) {
+        errors.push("answer must point at one of the options");
+      }
+      break;
+    case "multi":
+      if (options.length < 2) errors.push("multi needs at least 2 options");
+      if (!q.correctOptionIndexes?.length) {
+        errors.push("multi needs at least one correct option");
+      } else if (!q.correctOptionIndexes.every((i) => inRange(i, options))) {
+        errors.push("answer must point at the options");
+      }
+      break;
+    case "text":
+      if (!String(q.correctText || "").trim()) {
+        errors.push("text needs an answer");
+      }
+      break;
+    case "match":
+      if (!Array.isArray(q.pairs) || q.pairs.length < 2) {
+        errors.push("match needs at least 2 pairs");
+      } else if (q.pairs.some((p) => !p.left || !p.right)) {
+        errors.push("every pair needs a left and a right side");
+      }
+      break;
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+/* ------------- spreadsheets (XLSX / CSV) ------------- */
+
+const cell = (row, keys) => {
+  const map = {};
+  for (const k of Object.keys(row)) {
+    map[k.trim().toLowerCase().replace(/[\s_]+/g, "")] = row[k];
+  }
+  for (const key of keys) {
+    const v = map[key.toLowerCase()];
+    if (v !== undefined && String(v).trim() !== "") return String(v).trim();
+  }
+  return "";
+};
+
+const splitList = (s, sep = "|") =>
+  String(s || "")
+    .split(sep)
+    .map((x) => x.trim())
+    .filter(Boolean);
+
+// "B" or "2" (1-based) -> 1
+function answerIndex(token) {
+  const t = String(token).trim();
+  if (/^[a-z]$/i.test(t)) return t.toUpperCase().charCodeAt(0) - 65;
+  if (/^\d+$/.test(t)) return Number(t) - 1;
+  return NaN;
+}
+
+function inferType({ options, answers, pairs }) {
+  if (pairs.length) return "match";
+  if (options.length) return answers.length > 1 ? "multi" : "single";
+  if (answers.length) return "text";
+  return "descriptive";
+}
+
+function fromSpreadsheetRow(r) {
+  const options = cell(r, ["options"])
+    ? splitList(cell(r, ["options"]))
+    : ["a", "b", "c", "d", "e", "f"]
+        .map((l, i) => cell(r, [`option${l}`, `option${i + 1}`]))
+        .filter(Boolean);
+  const rawAnswer = cell(r, ["answer", "correct", "correctanswer"]);
+  const pairs = splitList(cell(r, ["pairs"])).map((p) => {
+    const [left, ...right] = p.split("=");
+    return { left: left.trim(), right: right.join("=").trim() };
+  });
+
+  const declared = cell(r, ["type"]).toLowerCase();
+  const answers = options.length ? splitList(rawAnswer, ",") : [rawAnswer];
+  const type =
+    declared ||
+    inferType({ options, answers: answers.filter(Boolean), pairs });
+
+  const points = cell(r, ["points", "marks"]);
+  return {
+    type,
+    prompt: cell(r, ["prompt", "question", "text"]),
+    options: ["single", "multi"].includes(type) ? options : [],
+    correctOptionIndex: type === "single" ? answerIndex(answers[0] ?? "") : null,
+    correctOptionIndexes:
+      type === "multi" ? answers.map((a) => answerIndex(a)) : [],
+    correctText: type === "text" ? rawAnswer || null : null,
+    pairs: type === "match" ? pairs : null,
+    sampleAnswer: cell(r, ["sampleanswer", "modelanswer"]) || null,
+    points: points ? Number(points) : 1,
+    tags: splitList(cell(r, ["tags"]), ","),
+    difficulty: cell(r, ["difficulty"]) || undefined,
+    scoring: cell(r, ["scoring"]) || undefined,
+  };
+}
+
+export function parseSpreadsheet(buffer) {
+  const wb = xlsx.read(buffer, { type: "buffer" });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  const rows = ws ? xlsx.utils.sheet_to_json(ws, { defval: "" }) : [];
+
+  return rows.map((r, i) => {
+    const input = fromSpreadsheetRow(r);
+    const errors = [];
+    // Scoring overrides travel as a JSON cell
+    if (input.scoring) {
+      try {
+        input.scoring = JSON.parse(input.scoring);
+      } catch {
+        errors.push("scoring must be valid JSON");
+      }
+    }
+    // +2: 1-based and the header row
+    return { row: i + 2, input, errors };
+  });
+}
+
+const answerLabel = (i) => (i < 26 ? String.fromCharCode(65 + i) : String(i + 1));
+
+// Authored question -> template row (the inverse of fromSpreadsheetRow)
+function toSpreadsheetRow(q) {
+  const pairs = parsePairs(q.pairs) || [];
+  const answer =
+    q.type === "single"
+      ? answerLabel(q.correctOptionIndex ?? 0)
+      : q.type === "multi"
+        ? (q.correctOptionIndexes || []).map(answerLabel).join(",")
+        : q.type === "text"
+          ? q.correctText || ""
+          : "";
+
+  return {
+    type: q.type,
+    prompt: q.prompt,
+    options: (q.options || []).join(" | "),
+    answer,
+    pairs: pairs.map((p) => `${p.left}=${p.right}`).join(" | "),
+    sampleAnswer: q.sampleAnswer || "",
+    points: q.points,
+    tags: (q.tags || []).join(","),
+    difficulty: q.difficulty || "",
+    scoring: q.scoring ? JSON.stringify(q.scoring) : "",
+  };
+}
+
+function writeSpreadsheet(rows, bookType) {
+  const ws = xlsx.utils.json_to_sheet(rows, { header: SPREADSHEET_COLUMNS });
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, ws, "Questions");
+  return xlsx.write(wb, { type: "buffer", bookType });
+}
+
+// Questions in the import template layout, in their current order
+export const buildSpreadsheetExport = (questions, bookType = "xlsx") =>
+  writeSpreadsheet(questions.map(toSpreadsheetRow), bookType);
+
+export function buildSpreadsheetTemplate(bookType = "xlsx") {
+  const examples = [
+    {
+      type: "single",
+      prompt: "2 + 2 = ?",
+      options: "3 | 4 | 5",
+      answer: "B",
+      points: 1,
+      tags: "arithmetic",
+      difficulty: "easy",
+    },
+    {
+      type: "multi",
+      prompt: "Pick the prime numbers",
+      options: "2 | 4 | 5 | 9",
+      answer: "A,C",
+      points: 2,
+    },
+    { type: "text", prompt: "Capital of France?", answer: "Paris", points: 1 },
+    {
+      type: "match",
+      prompt: "Match the country to its capital",
+      pairs: "France=Paris | Japan=Tokyo",
+      points: 2,
+    },
+    {
+      type: "descriptive",
+      prompt: "Explain photosynthesis",
+      sampleAnswer: "Plants convert light into chemical energy...",
+      points: 5,
+    },
+  ];
+
+  return writeSpreadsheet(examples, bookType);
+}
+
+/* ------------- Moodle GIFT ------------- */
+
+const GIFT_ESCAPES = /\\([~=#{}:\\])/g;
+const unescapeGift = (s) => String(s).replace(GIFT_ESCAPES, "$1").trim();
+
+// Index of the first unescaped `ch` at or after `from`
+function findUnescaped(s, ch, from = 0) {
+  for (let i = from; i < s.length; i++) {
+    if (s[i] === "\\") {
+      i++;
+      continue;
+    }
+    if (s[i] === ch) return i;
+  }
+  return -1;
+}
+
+// Splits "=a ~b ~%50%c" into [{ mark: "=", text: "a" }, ...]
+function giftAnswers(body) {
+  const out = [];
+  let current = null;
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === "\\") {
+      if (current) current.text += c + (body[i + 1] ?? "");
+      i++;
+      continue;
+    }
+    if (c === "=" || c === "~") {
+      current = { mark: c, text: "" };
+      out.push(current);
+      continue;
+    }
+    if (current) current.text += c;
+  }
+
+  return out.map(({ mark, text }) => {
+    // Drop per-answer feedback ("#...")
+    const feedbackAt = findUnescaped(text, "#");
+    let t = feedbackAt === -1 ? text : text.slice(0, feedbackAt);
+    let weight = mark === "=" ? 100 : 0;
+    const w = t.trim().match(/^%(-?\d+(?:\.\d+)?)%/);
+    if (w) {
+      weight = Number(w[1]);
+      t = t.trim().slice(w[0].length);
+    }
+    return { mark, weight, text: t };
+  });
+}
+
+function giftNumeric(body) {
+  const first = body.replace(/^#/, "").split(/[=~]/).find((s) => s.trim()) || "";
+  const value = unescapeGift(first.split("#")[0]);
+  const range = value.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+  if (range) {
+    const lo = Number(range[1]);
+    const hi = Number(range[2]);
+    return { correctText: String((lo + hi) / 2), tolerance: (hi - lo) / 2 };
+  }
+  const [answer, tolerance] = value.split(":");
+  return { correctText: answer.trim(), tolerance: Number(tolerance) || 0 };
+}
+
+function fromGiftBlock(block) {
+  let text = block;
+  const title = text.match(/^::(.*?)::/s);
+  if (title) text = text.slice(title[0].length);
+  // Format markers such as [html] / [markdown]
+  text = text.replace(/^\s*\[(html|moodle|plain|markdown)\]/i, "");
+
+  const open = findUnescaped(text, "{");
+  const close = open === -1 ? -1 : findUnescaped(text, "}", open);
+  if (open === -1 || close === -1) {
+    return { input: null, errors: ["missing {answer} block"] };
+  }
+
+  const before = unescapeGift(text.slice(0, open));
+  const after = unescapeGift(text.slice(close + 1));
+  const prompt = after ? `${before} _____ ${after}` : before;
+  const body = text.slice(open + 1, close).trim();
+  const base = { prompt, points: 1, sampleAnswer: null };
+
+  if (!body) return { input: { ...base, type: "descriptive" }, errors: [] };
+
+  if (/^(T|TRUE|F|FALSE)\b/i.test(body)) {
+    return {
+      input: {
+        ...base,
+        type: "single",
+        options: ["True", "False"],
+        correctOptionIndex: /^T/i.test(body) ? 0 : 1,
+      },
+      errors: [],
+    };
+  }
+
+  if (body.startsWith("#")) {
+    const { correctText, tolerance } = giftNumeric(body);
+    return {
+      input: {
+        ...base,
+        type: "text",
+        correctText,
+        scoring: { text: { numericTolerance: tolerance } },
+      },
+      errors: [],
+    };
+  }
+
+  const answers = giftAnswers(body);
+
+  if (answers.some((a) => a.text.includes("->"))) {
+    return {
+      input: {
+        ...base,
+        type: "match",
+        pairs: answers.map((a) => {
+          const [left, right = ""] = a.text.split("->");
+          return { left: unescapeGift(left), right: unescapeGift(right) };
+        }),
+      },
+      errors: [],
+    };
+  }
+
+  if (answers.every((a) => a.mark === "=")) {
+    return {
+      input: { ...base, type: "text", correctText: unescapeGift(answers[0].text) },
+      errors: [],
+    };
+  }
+
+  const options = answers.map((a) => unescapeGift(a.text));
+  const correct = answers
+    .map((a, i) => (a.weight > 0 ? i : -1))
+    .filter((i) => i !== -1);
+  const isMulti =
+    correct.length > 1 || answers.some((a) => a.weight > 0 && a.weight < 100);
+
+  return {
+    input: isMulti
+      ? { ...base, type: "multi", options, correctOptionIndexes: correct }
+      : { ...base, type: "single", options, correctOptionIndex: correct[0] ?? -1 },
+    errors: [],
+  };
+}
+
+export function parseGift(text) {
+  const lines = String(text)
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .filter((l) => !/^\s*\/\//.test(l) && !/^\s*\$CATEGORY:/i.test(l));
+
+  const blocks = [];
+  let current = [];
+  for (const line of lines) {
+    if (line.trim()) {
+      current.push(line);
+    } else if (current.length) {
+      blocks.push(current.join("\n"));
+      current = [];
+    }
+  }
+  if (current.length) blocks.push(current.join("\n"));
+
+  return blocks.map((block, i) => {
+    const { input, errors } = fromGiftBlock(block.trim());
+    return { row: i + 1, input, errors };
+  });
+}
+
+/* ------------- QTI 2.1 ------------- */
+
+const asArray = (v) =>
+  v === undefined || v === null ? [] : Array.isArray(v) ? v : [v];
+
+// Flattens an XML node to its text, ignoring attributes
+function textOf(node) {
+  if (node === undefined || node === null) return "";
+  if (typeof node !== "object") return String(node);
+  if (Array.isArray(node)) return node.map(textOf).join(" ");
+  return Object.entries(node)
+    .filter(([k]) => !k.startsWith("@_"))
+    .map(([, v]) => textOf(v))
+    .join(" ");
+}
+
+const cleanText = (s) => String(s).replace(/\s+/g, " ").trim();
+
+function findAll(node, name, out = []) {
+  if (!node || typeof node !== "object") return out;
+  for (const [k, v] of Object.entries(node)) {
+    if (k === name) out.push(...asArray(v));
+    for (const child of asArray(v)) findAll(child, name, out);
+  }
+  return out;
+}
+
+function correctValues(item, responseIdentifier) {
+  const decl = asArray(item.responseDeclaration).find(
+    (d) => d["@_identifier"] === responseIdentifier
+  );
+  return asArray(decl?.correctResponse?.value).map((v) => cleanText(textOf(v)));
+}
+
+function itemPoints(item) {
+  const max = asArray(item.outcomeDeclaration).find((o) =>
+    ["MAXSCORE", "SCORE"].includes(o["@_identifier"]) && o["@_normalMaximum"]
+  );
+  const n = Number(max?.["@_normalMaximum"]);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+// Prompt text: the interaction's <prompt>, else the item body without it
+function itemPrompt(item, interaction) {
+  if (interaction?.prompt) return cleanText(textOf(interaction.prompt));
+  const body = { ...(item.itemBody || {}) };
+  for (const k of Object.keys(body)) {
+    if (k.endsWith("Interaction")) delete body[k];
+  }
+  return cleanText(textOf(body)) || cleanText(item["@_title"] || "");
+}
+
+function fromQtiItem(item) {
+  const body = item.itemBody || {};
+  const points = itemPoints(item);
+
+  const choice = findAll(body, "choiceInteraction")[0];
+  if (choice) {
+    const choices = asArray(choice.simpleChoice);
+    const ids = choices.map((c) => c["@_identifier"]);
+    const correct = correctValues(item, choice["@_responseIdentifier"])
+      .map((v) => ids.indexOf(v))
+      .filter((i) => i !== -1);
+    const multi = Number(choice["@_maxChoices"] ?? 1) !== 1 || correct.length > 1;
+    const base = {
+      prompt: itemPrompt(item, choice),
+      options: choices.map((c) => cleanText(textOf(c))),
+      points,
+    };
+    return multi
+      ? { ...base, type: "multi", correctOptionIndexes: correct }
+      : { ...base, type: "single", correctOptionIndex: correct[0] ?? -1 };
+  }
+
+  const match =
+    findAll(body, "matchInteraction")[0] ||
+    findAll(body, "associateInteraction")[0];
+  if (match) {
+    const sets = asArray(match.simpleMatchSet);
+    const choices = sets.length
+      ? sets.flatMap((s) => asArray(s.simpleAssociableChoice))
+      : asArray(match.simpleAssociableChoice);
+    const label = new Map(
+      choices.map((c) => [c["@_identifier"], cleanText(textOf(c))])
+    );
+    const pairs = correctValues(item, match["@_responseIdentifier"]).map((v) => {
+      const [l, r] = v.split(/\s+/);
+      return { left: label.get(l) || "", right: label.get(r) || "" };
+    });
+    return { type: "match", prompt: itemPrompt(item, match), pairs, points };
+  }
+
+  const entry = findAll(body, "textEntryInteraction")[0];
+  if (entry) {
+    return {
+      type: "text",
+      prompt: itemPrompt(item, null),
+      correctText: correctValues(item, entry["@_responseIdentifier"])[0] || null,
+      points,
+    };
+  }
+
+  const extended = findAll(body, "extendedTextInteraction")[0];
+  if (extended) {
+    return {
+      type: "descriptive",
+      prompt: itemPrompt(item, extended),
+      sampleAnswer:
+        correctValues(item, extended["@_responseIdentifier"])[0] || null,
+      points,
+    };
+  }
+
+  return null;
+}
+
+const parseXml = (xml) =>
+  new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    removeNSPrefix: true,
+  }).parse(String(xml));
+
+export function parseQti(xml) {
+  const items = findAll(parseXml(xml), "assessmentItem");
+
+  return items.map((item, i) => {
+    const input = fromQtiItem(item);
+    return {
+      row: i + 1,
+      input,
+      errors: input ? [] : ["unsupported interaction type"],
+    };
+  });
+}
+
+const isZip = (buffer) => buffer[0] === 0x50 && buffer[1] === 0x4b;
+
+/**
+ * Reads a QTI content package. Items follow the order of the package's
+ * assessmentTest when there is one, else file name order.
+ */
+export async function parseQtiPackage(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const files = Object.values(zip.files).filter(
+    (f) =>
+      !f.dir &&
+      f.name.toLowerCase().endsWith(".xml") &&
+      path.basename(f.name).toLowerCase() !== "imsmanifest.xml"
+  );
+
+  const docs = new Map();
+  for (const f of files) docs.set(f.name, await f.async("string"));
+
+  let order = [...docs.keys()].sort();
+  for (const [name, xml] of docs) {
+    const test = findAll(parseXml(xml), "assessmentTest")[0];
+    if (!test) continue;
+    const dir = path.posix.dirname(name);
+    order = findAll(test, "assessmentItemRef")
+      .map((ref) => path.posix.join(dir, ref["@_href"] || ""))
+      .filter((href) => docs.has(href));
+    break;
+  }
+
+  return order
+    .flatMap((name) => parseQti(docs.get(name)))
+    .map((r, i) => ({ ...r, row: i + 1 }));
+}
+
+/* ------------- QTI export ------------- */
+
+const QTI_NS = "http://www.imsglobal.org/xsd/imsqti_v2p1";
+const MATCH_CORRECT =
+  "http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct";
+
+const xmlEscape = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const values = (list) =>
+  list.map((v) => `<value>${xmlEscape(v)}</value>`).join("");
+
+function qtiInteraction(q) {
+  const prompt = `<prompt>${xmlEscape(q.prompt)}</prompt>`;
+
+  switch (q.type) {
+    case "single":
+    case "multi": {
+      const multi = q.type === "multi";
+      const correct = multi
+        ? q.correctOptionIndexes || []
+        : [q.correctOptionIndex ?? 0];
+      return {
+        declaration: {
+          cardinality: multi ? "multiple" : "single",
+          baseType: "identifier",
+          correct: correct.map((i) => `C${i + 1}`),
+        },
+        body:
+          `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multi ? 0 : 1}">` +
+          prompt +
+          (q.options || [])
+            .map(
+              (o, i) =>
+                `<simpleChoice identifier="C${i + 1}">${xmlEscape(o)}</simpleChoice>`
+            )
+            .join("") +
+          "</choiceInteraction>",
+      };
+    }
+
+    case "match": {
+      const pairs = parsePairs(q.pairs) || [];
+      const set = (side, prefix) =>
+        "<simpleMatchSet>" +
+        pairs
+          .map(
+            (p, i) =>
+              `<simpleAssociableChoice identifier="${prefix}${i + 1}" matchMax="1">${xmlEscape(p[side])}</simpleAssociableChoice>`
+          )
+          .join("") +
+        "</simpleMatchSet>";
+      return {
+        declaration: {
+          cardinality: "multiple",
+          baseType: "directedPair",
+          correct: pairs.map((_, i) => `L${i + 1} R${i + 1}`),
+        },
+        body:
+          `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">` +
+          prompt +
+          set("left", "L") +
+          set("right", "R") +
+          "</matchInteraction>",
+      };
+    }
+
+    case "text":
+      return {
+        declaration: {
+          cardinality: "single",
+          baseType: "string",
+          correct: q.correctText ? [q.correctText] : [],
+        },
+        body:
+          `<p>${xmlEscape(q.prompt)}</p>` +
+          '<p><textEntryInteraction responseIdentifier="RESPONSE"/></p>',
+      };
+
+    default:
+      // Descriptive: the sample answer rides along as the "correct" response
+      return {
+        declaration: {
+          cardinality: "single",
+          baseType: "string",
+          correct: q.sampleAnswer ? [q.sampleAnswer] : [],
+        },
+        body:
+          '<extendedTextInteraction responseIdentifier="RESPONSE">' +
+          prompt +
+          "</extendedTextInteraction>",
+      };
+  }
+}
+
+function qtiItem(q, identifier) {
+  const { declaration, body } = qtiInteraction(q);
+  const correct = declaration.correct.length
+    ? `<correctResponse>${values(declaration.correct)}</correctResponse>`
+    : "";
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<assessmentItem xmlns="${QTI_NS}" identifier="${identifier}" title="${xmlEscape(q.prompt.slice(0, 80))}" adaptive="false" timeDependent="false">` +
+    `<responseDeclaration identifier="RESPONSE" cardinality="${declaration.cardinality}" baseType="${declaration.baseType}">${correct}</responseDeclaration>` +
+    `<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float" normalMaximum="${q.points}"/>` +
+    `<itemBody>${body}</itemBody>` +
+    (q.type === "descriptive"
+      ? ""
+      : `<responseProcessing template="${MATCH_CORRECT}"/>`) +
+    "</assessmentItem>\n"
+  );
+}
+
+/**
+ * QTI 2.1 content package (zip): one item file per question, an
+ * assessmentTest keeping question order, and the IMS manifest.
+ * Per-question scoring overrides have no QTI equivalent and are left out.
+ */
+export async function buildQtiPackage(assessment, questions) {
+  const zip = new JSZip();
+  const items = questions.map((q, i) => ({
+    identifier: `Q${i + 1}`,
+    href: `items/Q${i + 1}.xml`,
+    xml: qtiItem(q, `Q${i + 1}`),
+  }));
+
+  for (const item of items) zip.file(item.href, item.xml);
+
+  zip.file(
+    "assessment.xml",
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<assessmentTest xmlns="${QTI_NS}" identifier="T-${xmlEscape(assessment.id)}" title="${xmlEscape(assessment.title)}">` +
+      '<testPart identifier="P1" navigationMode="linear" submissionMode="simultaneous">' +
+      `<assessmentSection identifier="S1" title="${xmlEscape(assessment.title)}" visible="true">` +
+      items
+        .map(
+          (it) =>
+            `<assessmentItemRef identifier="${it.identifier}" href="${it.href}"/>`
+        )
+        .join("") +
+      "</assessmentSection></testPart></assessmentTest>\n"
+  );
+
+  zip.file(
+    "imsmanifest.xml",
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="M-${xmlEscape(assessment.id)}">` +
+      "<metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>" +
+      "<organizations/><resources>" +
+      '<resource identifier="TEST" type="imsqti_test_xmlv2p1" href="assessment.xml">' +
+      '<file href="assessment.xml"/>' +
+      items
+        .map((it) => `<dependency identifierref="${it.identifier}"/>`)
+        .join("") +
+      "</resource>" +
+      items
+        .map(
+          (it) =>
+            `<resource identifier="${it.identifier}" type="imsqti_item_xmlv2p1" href="${it.href}"><file href="${it.href}"/></resource>`
+        )
+        .join("") +
+      "</resources></manifest>\n"
+  );
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+/* ------------- entry point ------------- */
+
+export async function parseQuestionFile(format, buffer) {
+  if (format === "spreadsheet") return parseSpreadsheet(buffer);
+  if (format === "gift") return parseGift(buffer.toString("utf8"));
+  if (format === "qti") {
+    return isZip(buffer)
+      ? parseQtiPackage(buffer)
+      : parseQti(buffer.toString("utf8"));
+  }
+  throw new Error(`Unsupported format: ${format}`);
+}
+
+/**
+ * Reads an uploaded (multer) file. Returns { format, results, valid } or
+ * { error } when the file is missing, of an unknown format or unreadable.
+ */
+export async function readQuestionImport(file, explicitFormat) {
+  if (!file) return { error: "File is required" };
+
+  const format = detectImportFormat(file.originalname, explicitFormat);
+  if (!format) {
+    return {
+      error: "Unsupported file; use .xlsx, .csv, .gift/.txt or QTI .xml/.zip",
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = await parseQuestionFile(format, file.buffer);
+  } catch (e) {
+    return { error: `Could not read file: ${e?.message || e}` };
+  }
+  if (!parsed.length) return { error: "No questions found in file" };
+
+  return { format, ...checkImportRows(parsed) };
+}
+
+const TRUTHY = ["1", "true", "yes"];
+export const isDryRun = (req) =>
+  TRUTHY.includes(
+    String(req.query?.dryRun ?? req.body?.dryRun ?? "").toLowerCase()
+  );
+
+// Report shape shared by the import endpoints (mirrors bulk registration)
+export function importReport({ format, results, dryRun, imported }) {
+  const valid = results.filter((r) => r.status !== "ERROR").length;
+  return {
+    success: true,
+    dryRun,
+    format,
+    summary: {
+      total: results.length,
+      valid,
+      errors: results.length - valid,
+      imported,
+    },
+    results: dryRun
+      ? results
+      : results.map((r) =>
+          r.status === "VALID" ? { ...r, status: "CREATED" } : r
+        ),
+  };
+}
+
+/**
+ * Validates parsed rows. Returns { results, valid } where `results` is the
+ * per-row report and `valid` the inputs that passed, in file order.
+ */
+export function checkImportRows(parsed) {
+  const results = [];
+  const valid = [];
+  for (const { row, input, errors } of parsed) {
+    const problems = input
+      ? [...errors, ...validateQuestionInput(input)]
+      : errors;
+    results.push({
+      row,
+      status: problems.length ? "ERROR" : "VALID",
+      type: input?.type ?? null,
+      prompt: input?.prompt ?? null,
+      errors: problems,
+    });
+    if (!problems.length) valid.push(input);
+  }
+  return { results, valid };
+}
@@ -0,0 +1,165 @@
+// utils/questionPaper.js
+import crypto from "crypto";
+
+// Same (assessment, student, attempt number) always yields the same paper
+export const attemptSeed = (assessmentId, studentId, attemptNumber) =>
+  crypto
+    .createHash("sha256")
+    .update(`${assessmentId}:${studentId}:${attemptNumber}`)
+    .digest("hex")
+    .slice(0, 32);
+
+// mulberry32, seeded from the first 32 bits of the hex seed
+function createRng(seed) {
+  let a = parseInt(String(seed).slice(0, 8), 16) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(list, rng) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+// Reorders options and remaps the answer keys to the displayed positions
+function applyOptionOrder(q, rng) {
+  const canOrder =
+    rng && Array.isArray(q.options) && q.options.length > 1 && !q.pairs;
+  if (!canOrder) return { ...q, optionOrder: null };
+
+  const optionOrder = shuffle(
+    q.options.map((_, i) => i),
+    rng
+  );
+  const toDisplay = (canonical) => optionOrder.indexOf(canonical);
+
+  return {
+    ...q,
+    options: optionOrder.map((i) => q.options[i]),
+    optionOrder,
+    correctOptionIndex:
+      typeof q.correctOptionIndex === "number"
+        ? toDisplay(q.correctOptionIndex)
+        : null,
+    correctOptionIndexes: (q.correctOptionIndexes || []).map(toDisplay),
+  };
+}
+
+const toServed = (q, extra) => ({
+  id: q.id,
+  prompt: q.prompt,
+  type: q.type,
+  options: q.options || [],
+  correctOptionIndex: q.correctOptionIndex ?? null,
+  correctOptionIndexes: q.correctOptionIndexes || [],
+  correctText: q.correctText ?? null,
+  pairs: q.pairs ?? null,
+  sampleAnswer: q.sampleAnswer ?? null,
+  points: typeof q.points === "number" ? q.points : 1,
+  scoring: q.scoring ?? null,
+  rubricId: q.rubricId ?? null,
+  ...extra,
+});
+
+/**
+ * Builds the question paper for one attempt: the assessment's own questions
+ * plus random draws from its pools, optionally shuffled.
+ * `assessment` must include `questions` and `pools`.
+ */
+export async function buildQuestionPaper(
+  prisma,
+  assessment,
+  { studentId, attemptNumber }
+) {
+  const seed = attemptSeed(assessment.id, studentId, attemptNumber);
+  const rng = createRng(seed);
+
+  const fixed = (assessment.questions || [])
+    .filter((q) => !q.deletedAt)
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0) || byId(a, b))
+    .map((q) => toServed(q, { source: "assessment" }));
+
+  const drawn = [];
+  const used = new Set();
+  const pools = [...(assessment.pools || [])].sort(
+    (a, b) => (a.order ?? 0) - (b.order ?? 0) || byId(a, b)
+  );
+
+  for (const pool of pools) {
+    // A question matches the pool when it carries any of the pool's tags
+    const candidates = await prisma.bankQuestion.findMany({
+      where: {
+        bankId: pool.bankId,
+        deletedAt: null,
+        bank: { deletedAt: null },
+        ...(pool.tags?.length ? { tags: { hasSome: pool.tags } } : {}),
+        ...(pool.difficulty ? { difficulty: pool.difficulty } : {}),
+      },
+      orderBy: { id: "asc" },
+    });
+
+    const available = candidates.filter((q) => !used.has(q.id));
+    for (const q of shuffle(available, rng).slice(0, pool.drawCount)) {
+      used.add(q.id);
+      drawn.push(
+        toServed(q, {
+          source: "bank",
+          bankId: q.bankId,
+          poolId: pool.id,
+          ...(typeof pool.points === "number" ? { points: pool.points } : {}),
+        })
+      );
+    }
+  }
+
+  let questions = [...fixed, ...drawn];
+  if (assessment.shuffleQuestions) questions = shuffle(questions, rng);
+
+  questions = questions.map((q, i) => ({
+    ...applyOptionOrder(q, assessment.shuffleOptions ? rng : null),
+    order: i + 1,
+  }));
+
+  return {
+    seed,
+    questions,
+    totalPoints: questions.reduce((sum, q) => sum + (q.points || 0), 0),
+  };
+}
+
+export const parsePairs = (pairs) => {
+  if (!pairs) return null;
+  try {
+    const list = typeof pairs === "string" ? JSON.parse(pairs) : pairs;
+    return Array.isArray(list) ? list : null;
+  } catch {
+    return null;
+  }
+};
+
+// Paper question as shown to the student (no answer keys)
+export function toPaperQuestion(q) {
+  const pairs = parsePairs(q.pairs);
+  return {
+    id: q.id,
+    prompt: q.prompt,
+    type: q.type,
+    options: q.options,
+    pairs: pairs ? pairs.map((p) => ({ left: p.left })) : null,
+    matchOptions: pairs
+      ? pairs.map((p) => String(p.right ?? "")).sort((a, b) => a.localeCompare(b))
+      : null,
+    points: q.points,
+    order: q.order,
+  };
+}
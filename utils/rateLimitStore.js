@@ -0,0 +1,119 @@
+// utils/rateLimitStore.js
+// Fixed-window hit counters behind one interface:
+//   increment(key, windowMs) -> { count, resetAt }
+//   decrement(key), reset(key)
+// The memory backend suits a single local process; the Prisma backend
+// (RateLimitCounter) is shared by every instance, as serverless needs.
+
+// Expired entries are swept every this many increments
+const SWEEP_EVERY = 500;
+
+export function createMemoryStore() {
+  const counters = new Map();
+  let calls = 0;
+
+  const sweep = (now) => {
+    for (const [key, c] of counters) {
+      if (c.resetAt <= now) counters.delete(key);
+    }
+  };
+
+  return {
+    kind: "memory",
+    async increment(key, windowMs) {
+      const now = new Date();
+      if (++calls % SWEEP_EVERY === 0) sweep(now);
+
+      const current = counters.get(key);
+      if (!current || current.resetAt <= now) {
+        const fresh = {
+          count: 1,
+          resetAt: new Date(now.getTime() + windowMs),
+        };
+        counters.set(key, fresh);
+        return { ...fresh };
+      }
+      current.count += 1;
+      return { ...current };
+    },
+    async decrement(key) {
+      const current = counters.get(key);
+      if (current && current.count > 0) current.count -= 1;
+    },
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+export function createPrismaStore(db) {
+  return {
+    kind: "prisma",
+    async increment(key, windowMs) {
+      const now = new Date();
+      return db.$transaction(async (tx) => {
+        const current = await tx.rateLimitCounter.findUnique({
+          where: { key },
+        });
+        if (!current || current.resetAt <= now) {
+          const resetAt = new Date(now.getTime() + windowMs);
+          const fresh = await tx.rateLimitCounter.upsert({
+            where: { key },
+            create: { key, count: 1, resetAt },
+            update: { count: 1, resetAt },
+          });
+          return { count: fresh.count, resetAt: fresh.resetAt };
+        }
+        const updated = await tx.rateLimitCounter.update({
+          where: { key },
+          data: { count: { increment: 1 } },
+        });
+        return { count: updated.count, resetAt: updated.resetAt };
+      });
+    },
+    async decrement(key) {
+      await db.rateLimitCounter.updateMany({
+        where: { key, count: { gt: 0 } },
+        data: { count: { decrement: 1 } },
+      });
+    },
+    async reset(key) {
+      await db.rateLimitCounter.deleteMany({ where: { key } });
+    },
+  };
+}
+
+let shared = null;
+
+// RATE_LIMIT_STORE=memory|prisma; production defaults to the shared one
+export function rateLimitStore(db) {
+  if (!shared) {
+    const kind =
+      process.env.RATE_LIMIT_STORE ||
+      (process.env.NODE_ENV === "production" ? "prisma" : "memory");
+    shared = kind === "prisma" ? createPrismaStore(db) : createMemoryStore();
+  }
+  return shared;
+}
+
+/**
+ * Adapts a store to express-rate-limit's Store interface. `prefix` keeps
+ * the counters of different limiters apart.
+ */
+export function toExpressStore(store, prefix) {
+  let windowMs = 60 * 1000;
+  return {
+    init(options) {
+      windowMs = options.windowMs;
+    },
+    async increment(key) {
+      const { count, resetAt } = await store.increment(
+        `${prefix}:${key}`,
+        windowMs
+      );
+      return { totalHits: count, resetTime: resetAt };
+    },
+    decrement: (key) => store.decrement(`${prefix}:${key}`),
+    resetKey: (key) => store.reset(`${prefix}:${key}`),
+  };
+}
@@ -0,0 +1,60 @@
+// utils/reviewPolicy.js
+// When a student may see correct answers for a finished attempt
+export const REVIEW_POLICIES = [
+  "never",
+  "after_submission",
+  "after_all_attempts",
+  "after_due_date",
+];
+
+// Returns { data } or { error }; undefined input leaves the setting unchanged
+export function toReviewPolicy(input) {
+  if (input === undefined) return { data: undefined };
+  const policy = String(input || "").toLowerCase();
+  if (!REVIEW_POLICIES.includes(policy)) {
+    return { error: `reviewPolicy must be one of ${REVIEW_POLICIES.join(", ")}` };
+  }
+  return { data: policy };
+}
+
+/**
+ * Whether answers can be reviewed now. `finishedAttempts` is the student's
+ * count of submitted attempts for the assessment; `dueAt` should be the
+ * student's effective due date (see utils/assessmentWindows.js).
+ * Returns { allowed, reason }.
+ */
+export function reviewAvailability(
+  assessment,
+  { finishedAttempts, now = new Date() }
+) {
+  switch (assessment.reviewPolicy || "never") {
+    case "after_submission":
+      return { allowed: true, reason: null };
+
+    case "after_all_attempts": {
+      const maxAttempts = assessment.maxAttempts || 1;
+      return finishedAttempts >= maxAttempts
+        ? { allowed: true, reason: null }
+        : {
+            allowed: false,
+            reason: "Answers are available once all attempts are used",
+          };
+    }
+
+    case "after_due_date":
+      return assessment.dueAt && now >= new Date(assessment.dueAt)
+        ? { allowed: true, reason: null }
+        : {
+            allowed: false,
+            reason: assessment.dueAt
+              ? "Answers are available after the due date"
+              : "Answers are not available for this assessment",
+          };
+
+    default:
+      return {
+        allowed: false,
+        reason: "Answers are not available for this assessment",
+      };
+  }
+}
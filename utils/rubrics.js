@@ -0,0 +1,292 @@
+// utils/rubrics.js
+// Reusable rubrics for manually graded work. A rubric is a list of criteria;
+// each criterion has levels worth fixed points and is worth its best level.
+// Served items carry a snapshot of their rubric, so later edits never change
+// how an attempt was marked.
+import crypto from "crypto";
+import { needsManualGrading } from "./grading.js";
+import { ASSIGNMENT_ITEM_ID } from "./assignments.js";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const up = (s) => String(s || "").toUpperCase();
+
+// Rubrics a user may use: their college's and the shared ones
+export const rubricScope = (user) =>
+  up(user?.role) === "SUPERADMIN"
+    ? {}
+    : { OR: [{ collegeId: null }, { collegeId: user?.collegeId || "" }] };
+
+export const criterionMaxPoints = (criterion) =>
+  criterion.levels?.length
+    ? Math.max(...criterion.levels.map((l) => l.points))
+    : criterion.points;
+
+export const rubricMaxPoints = (criteria) =>
+  criteria.reduce((sum, c) => sum + criterionMaxPoints(c), 0);
+
+function toLevels(input, path) {
+  if (!Array.isArray(input) || !input.length) {
+    return { error: `${path}.levels must be a non-empty array` };
+  }
+  const levels = [];
+  for (const [i, l] of input.entries()) {
+    const label = String(l?.label || "").trim();
+    if (!label) return { error: `${path}.levels[${i}].label is required` };
+    const points = Number(l.points);
+    if (!Number.isFinite(points) || points < 0) {
+      return { error: `${path}.levels[${i}].points must be 0 or more` };
+    }
+    levels.push({
+      id: l.id ? String(l.id) : crypto.randomUUID(),
+      label,
+      description: l.description ? String(l.description) : null,
+      points,
+    });
+  }
+  if (new Set(levels.map((l) => l.id)).size !== levels.length) {
+    return { error: `${path}.levels ids must be unique` };
+  }
+  if (!levels.some((l) => l.points > 0)) {
+    return { error: `${path} needs a level worth more than 0 points` };
+  }
+  return { data: levels.sort((a, b) => a.points - b.points) };
+}
+
+/**
+ * Validates { title, description?, criteria: [{ title, description?,
+ * levels: [{ id?, label, description?, points }] }] }.
+ * Returns { data } (criteria ready for createMany, without rubricId) or
+ * { error }.
+ */
+export function toRubricData(body = {}) {
+  const title = String(body.title || "").trim();
+  if (!title) return { error: "title is required" };
+  if (!Array.isArray(body.criteria) || !body.criteria.length) {
+    return { error: "criteria must be a non-empty array" };
+  }
+
+  const criteria = [];
+  for (const [i, c] of body.criteria.entries()) {
+    const criterionTitle = String(c?.title || "").trim();
+    if (!criterionTitle) return { error: `criteria[${i}].title is required` };
+    const levels = toLevels(c.levels, `criteria[${i}]`);
+    if (levels.error) return { error: levels.error };
+    criteria.push({
+      title: criterionTitle,
+      description: c.description ? String(c.description) : null,
+      order: i + 1,
+      levels: levels.data,
+    });
+  }
+
+  return {
+    data: {
+      title,
+      description: body.description ? String(body.description) : null,
+      criteria,
+    },
+  };
+}
+
+/**
+ * Validates a rubricId sent with an assessment. Returns { data } (undefined
+ * leaves it unchanged, null detaches) or { error }.
+ */
+export async function resolveRubricId(db, input, user) {
+  if (input === undefined) return { data: undefined };
+  if (input === null || input === "") return { data: null };
+
+  const rubric = await db.rubric.findFirst({
+    where: { id: String(input), deletedAt: null, ...rubricScope(user) },
+    select: { id: true },
+  });
+  if (!rubric) return { error: "Rubric not found" };
+  return { data: rubric.id };
+}
+
+// Criteria as stored on a served item
+export const toServedRubric = (rubric) =>
+  [...rubric.criteria]
+    .sort((a, b) => a.order - b.order)
+    .map((c) => ({
+      id: c.id,
+      title: c.title,
+      description: c.description ?? null,
+      points: criterionMaxPoints(c),
+      levels: c.levels,
+    }));
+
+/**
+ * Snapshots rubrics onto the manually graded items of a fresh paper. An
+ * item uses its own rubricId, else the assessment's; rubrics that were
+ * deleted or never existed are skipped. An assignment is worth its rubric.
+ */
+export async function attachRubrics(db, assessment, questions) {
+  const rubricIdOf = (q) =>
+    needsManualGrading(q) ? q.rubricId || assessment.rubricId || null : null;
+
+  const ids = [...new Set(questions.map(rubricIdOf).filter(Boolean))];
+  if (!ids.length) return questions;
+
+  const rubrics = await db.rubric.findMany({
+    where: { id: { in: ids }, deletedAt: null },
+    include: { criteria: true },
+  });
+  const byId = new Map(rubrics.map((r) => [r.id, r]));
+
+  return questions.map((q) => {
+    const rubric = byId.get(rubricIdOf(q));
+    if (!rubric) return q;
+    const criteria = toServedRubric(rubric);
+    return {
+      ...q,
+      rubricId: rubric.id,
+      rubric: criteria,
+      ...(q.id === ASSIGNMENT_ITEM_ID && { points: rubricMaxPoints(criteria) }),
+    };
+  });
+}
+
+/**
+ * Turns a grader's per-criterion marks into a manual grade. `scores` is
+ * [{ criterionId, levelId?, points?, comment? }]; every criterion must be
+ * marked, by level when it has levels. The rubric total is scaled to the
+ * item's points. Returns { data: { points, rubricScores } } or { error }.
+ */
+export function toRubricGrade(rubric, scores, itemPoints) {
+  if (!Array.isArray(scores)) return { error: "rubricScores must be an array" };
+
+  const byId = new Map(scores.map((s) => [String(s?.criterionId), s]));
+  const rubricScores = [];
+  for (const criterion of rubric) {
+    const mark = byId.get(criterion.id);
+    if (!mark) {
+      return {
+        error: `rubricScores is missing criterion "${criterion.title}"`,
+      };
+    }
+
+    if (criterion.levels?.length) {
+      const level = criterion.levels.find((l) => l.id === String(mark.levelId));
+      if (!level) {
+        return { error: `Choose a level for "${criterion.title}"` };
+      }
+      rubricScores.push({
+        criterionId: criterion.id,
+        levelId: level.id,
+        points: level.points,
+        comment: mark.comment ? String(mark.comment) : null,
+      });
+      continue;
+    }
+
+    const points = Number(mark.points);
+    if (!Number.isFinite(points) || points < 0 || points > criterion.points) {
+      return {
+        error: `"${criterion.title}" must be scored between 0 and ${criterion.points}`,
+      };
+    }
+    rubricScores.push({
+      criterionId: criterion.id,
+      levelId: null,
+      points,
+      comment: mark.comment ? String(mark.comment) : null,
+    });
+  }
+  if (byId.size !== rubric.length) {
+    return { error: "rubricScores has criteria that are not in the rubric" };
+  }
+
+  const earned = rubricScores.reduce((sum, s) => sum + s.points, 0);
+  const max = rubricMaxPoints(rubric);
+  return {
+    data: {
+      points:
+        itemPoints && max && max !== itemPoints
+          ? round2((earned / max) * itemPoints)
+          : earned,
+      rubricScores,
+    },
+  };
+}
+
+// RubricScore rows for one graded item of a reusable rubric
+export const toRubricScoreRows = (
+  attempt,
+  question,
+  rubricScores,
+  gradedById
+) =>
+  rubricScores.map((s) => ({
+    attemptId: attempt.id,
+    questionId: String(question.questionId),
+    rubricId: question.rubricId,
+    criterionId: s.criterionId,
+    levelId: s.levelId,
+    points: s.points,
+    comment: s.comment,
+    assessmentId: attempt.assessmentId,
+    courseId: attempt.courseId ?? null,
+    departmentId: attempt.departmentId ?? null,
+    collegeId: attempt.collegeId ?? null,
+    gradedById,
+  }));
+
+function summarize(criteria, scores) {
+  const stats = criteria.map((c) => {
+    const own = scores.filter((s) => s.criterionId === c.id);
+    const max = criterionMaxPoints(c);
+    const average = own.length
+      ? own.reduce((sum, s) => sum + s.points, 0) / own.length
+      : null;
+    return {
+      criterionId: c.id,
+      title: c.title,
+      maxPoints: max,
+      count: own.length,
+      averagePoints: average === null ? null : round2(average),
+      averagePercent:
+        average === null || !max ? null : Math.round((average / max) * 100),
+      levels: (c.levels || []).map((l) => ({
+        levelId: l.id,
+        label: l.label,
+        points: l.points,
+        count: own.filter((s) => s.levelId === l.id).length,
+      })),
+    };
+  });
+
+  const graded = new Set(scores.map((s) => `${s.attemptId}:${s.questionId}`));
+  return { gradedItems: graded.size, criteria: stats };
+}
+
+/**
+ * Criterion averages and level distribution for a rubric, overall and per
+ * course and department. `scores` are RubricScore rows; `names` maps course
+ * and department ids to names.
+ */
+export function summarizeRubricScores(rubric, scores, names = {}) {
+  const criteria = [...rubric.criteria].sort((a, b) => a.order - b.order);
+  const groupBy = (key, labels = {}) => {
+    const groups = new Map();
+    for (const s of scores) {
+      const id = s[key] ?? null;
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(s);
+    }
+    return [...groups.entries()].map(([id, list]) => ({
+      [key]: id,
+      name: id ? labels[id] ?? null : null,
+      ...summarize(criteria, list),
+    }));
+  };
+
+  return {
+    rubricId: rubric.id,
+    title: rubric.title,
+    ...summarize(criteria, scores),
+    byCourse: groupBy("courseId", names.courses),
+    byDepartment: groupBy("departmentId", names.departments),
+  };
+}
@@ -0,0 +1,105 @@
+// utils/scoringPolicy.js
+export const CREDIT_MODES = ["all_or_nothing", "proportional"];
+
+// Matches the grader's original behaviour
+export const DEFAULT_SCORING_POLICY = {
+  multiSelect: "all_or_nothing",
+  match: "all_or_nothing",
+  // Fraction of a question's points deducted for a wrong single-choice answer
+  negativeMarking: 0,
+  text: {
+    caseSensitive: false,
+    collapseWhitespace: false,
+    // Absolute tolerance for numeric answers; null compares as text
+    numericTolerance: null,
+  },
+};
+
+/**
+ * Validates a (possibly partial) scoring policy as sent by the client.
+ * Only the keys present are returned, so question overrides stay partial.
+ * Returns { data } or { error }.
+ */
+export function toScoringPolicy(input) {
+  if (input === undefined || input === null) return { data: null };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "scoring policy must be an object" };
+  }
+
+  const data = {};
+
+  for (const key of ["multiSelect", "match"]) {
+    if (input[key] === undefined) continue;
+    const mode = String(input[key]).toLowerCase();
+    if (!CREDIT_MODES.includes(mode)) {
+      return { error: `${key} must be one of ${CREDIT_MODES.join(", ")}` };
+    }
+    data[key] = mode;
+  }
+
+  if (input.negativeMarking !== undefined) {
+    const n = Number(input.negativeMarking);
+    if (!Number.isFinite(n) || n < 0 || n > 1) {
+      return { error: "negativeMarking must be a fraction between 0 and 1" };
+    }
+    data.negativeMarking = n;
+  }
+
+  if (input.text !== undefined) {
+    const t = input.text || {};
+    const text = {};
+    if (t.caseSensitive !== undefined) text.caseSensitive = !!t.caseSensitive;
+    if (t.collapseWhitespace !== undefined) {
+      text.collapseWhitespace = !!t.collapseWhitespace;
+    }
+    if (t.numericTolerance !== undefined && t.numericTolerance !== null) {
+      const tol = Number(t.numericTolerance);
+      if (!Number.isFinite(tol) || tol < 0) {
+        return { error: "text.numericTolerance must be a non-negative number" };
+      }
+      text.numericTolerance = tol;
+    } else if (t.numericTolerance === null) {
+      text.numericTolerance = null;
+    }
+    data.text = text;
+  }
+
+  return { data };
+}
+
+// Question settings win over the assessment's, which win over the defaults
+export const resolveScoringPolicy = (assessmentPolicy, questionPolicy) => ({
+  ...DEFAULT_SCORING_POLICY,
+  ...(assessmentPolicy || {}),
+  ...(questionPolicy || {}),
+  text: {
+    ...DEFAULT_SCORING_POLICY.text,
+    ...(assessmentPolicy?.text || {}),
+    ...(questionPolicy?.text || {}),
+  },
+});
+
+const toNumber = (v) => {
+  const s = String(v ?? "").trim();
+  return s !== "" && Number.isFinite(Number(s)) ? Number(s) : null;
+};
+
+function normalizeText(value, { caseSensitive, collapseWhitespace }) {
+  let s = String(value ?? "").trim();
+  if (collapseWhitespace) s = s.replace(/\s+/g, " ");
+  return caseSensitive ? s : s.toLowerCase();
+}
+
+export function textMatches(answer, expected, textPolicy) {
+  const policy = { ...DEFAULT_SCORING_POLICY.text, ...(textPolicy || {}) };
+
+  if (policy.numericTolerance !== null) {
+    const a = toNumber(answer);
+    const b = toNumber(expected);
+    if (a !== null && b !== null) {
+      return Math.abs(a - b) <= policy.numericTolerance;
+    }
+  }
+
+  return normalizeText(answer, policy) === normalizeText(expected, policy);
+}
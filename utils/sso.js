@@ -0,0 +1,676 @@
+// utils/sso.js
+// Sign-in through a college's own identity provider, over OpenID Connect
+// (authorization code flow with PKCE) or SAML 2.0 (HTTP-Redirect out,
+// HTTP-POST back). Users are matched by their subject at the provider,
+// then by email within the college, and otherwise created just in time as
+// students of the college.
+import crypto from "crypto";
+import { createRemoteJWKSet, jwtVerify } from "jose";
+import { SAML } from "@node-saml/node-saml";
+import { XMLParser } from "fast-xml-parser";
+import { hashToken } from "./tokens.js";
+import { encryptSecret, decryptSecret } from "./totp.js";
+
+export const SSO_PROTOCOLS = ["oidc", "saml"];
+export const DEFAULT_OIDC_SCOPES = "openid email profile";
+// Claims (OIDC) or attributes (SAML) read for each field, unless the
+// provider's attributeMap names others
+export const DEFAULT_ATTRIBUTES = {
+  email: "email",
+  name: "name",
+  department: "department",
+  rollNumber: "rollNumber",
+};
+// Time allowed at the IdP, then for the frontend to redeem its code
+const STATE_TTL_MINUTES = 10;
+const EXCHANGE_TTL_MINUTES = 2;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+const REDIRECT_BINDING = "urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect";
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+// ---------------- provider configuration ----------------
+
+export const emailDomain = (email) => {
+  const value = String(email || "").trim().toLowerCase();
+  const at = value.lastIndexOf("@");
+  return at > 0 ? value.slice(at + 1) : null;
+};
+
+const DOMAIN_RE = /^(?=.{1,253}$)([a-z0-9-]+\.)+[a-z]{2,}$/;
+
+// Accepts a list or a comma-separated string; null if any entry is invalid
+function toDomains(input) {
+  const list = Array.isArray(input) ? input : String(input ?? "").split(",");
+  const domains = [
+    ...new Set(
+      list.map((d) => String(d).trim().toLowerCase().replace(/^@/, ""))
+    ),
+  ].filter(Boolean);
+  if (!domains.length || !domains.every((d) => DOMAIN_RE.test(d))) {
+    return null;
+  }
+  return domains;
+}
+
+// https only, except plain http to localhost outside production
+function toIssuer(input) {
+  let url;
+  try {
+    url = new URL(String(input || "").trim());
+  } catch {
+    return null;
+  }
+  const local =
+    ["localhost", "127.0.0.1"].includes(url.hostname) &&
+    process.env.NODE_ENV !== "production";
+  if (url.protocol !== "https:" && !(url.protocol === "http:" && local)) {
+    return null;
+  }
+  return url.toString().replace(/\/$/, "");
+}
+
+// undefined when invalid; null clears the mapping
+function toAttributeMap(input) {
+  if (input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) return undefined;
+  const map = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in DEFAULT_ATTRIBUTES)) return undefined;
+    if (typeof value !== "string" || !value.trim()) return undefined;
+    map[key] = value.trim();
+  }
+  return map;
+}
+
+const metadataParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  removeNSPrefix: true,
+  parseTagValue: false,
+  isArray: (name) =>
+    [
+      "EntityDescriptor",
+      "KeyDescriptor",
+      "X509Certificate",
+      "SingleSignOnService",
+    ].includes(name),
+});
+
+/**
+ * Reads the IdP entity id, HTTP-Redirect sign-on URL and signing
+ * certificates from SAML metadata. Returns { data } or { error }.
+ */
+export function parseSamlMetadata(xml) {
+  let doc;
+  try {
+    doc = metadataParser.parse(String(xml || ""));
+  } catch {
+    return { error: "metadataXml is not valid XML" };
+  }
+  const entities = [
+    ...(doc.EntityDescriptor || []),
+    ...(doc.EntitiesDescriptor?.EntityDescriptor || []),
+  ];
+  const entity = entities.find((e) => e.IDPSSODescriptor);
+  if (!entity) return { error: "metadataXml has no IDPSSODescriptor" };
+
+  const idp = entity.IDPSSODescriptor;
+  const sso = (idp.SingleSignOnService || []).find(
+    (s) => s["@_Binding"] === REDIRECT_BINDING
+  );
+  if (!sso?.["@_Location"]) {
+    return { error: "metadataXml has no HTTP-Redirect SingleSignOnService" };
+  }
+  const signingCerts = (idp.KeyDescriptor || [])
+    .filter((k) => !k["@_use"] || k["@_use"] === "signing")
+    .flatMap((k) => k.KeyInfo?.X509Data?.X509Certificate || [])
+    .map((c) => String(c?.["#text"] ?? c).replace(/\s+/g, ""))
+    .filter(Boolean);
+  if (!signingCerts.length) {
+    return { error: "metadataXml has no signing certificate" };
+  }
+
+  return {
+    data: {
+      entityId: entity["@_entityID"] || null,
+      ssoUrl: sso["@_Location"],
+      signingCerts,
+    },
+  };
+}
+
+/**
+ * Validates a provider body for create (no `current`) or update (only the
+ * fields sent). The protocol is fixed once created. Returns { data } with
+ * the client secret encrypted and SAML metadata parsed, or { error }.
+ */
+export function toProviderConfig(input = {}, current = null) {
+  const protocol = current
+    ? current.protocol
+    : String(input.protocol || "").toLowerCase();
+  if (!SSO_PROTOCOLS.includes(protocol)) {
+    return { error: `protocol must be one of ${SSO_PROTOCOLS.join(", ")}` };
+  }
+  const has = (key) => input[key] !== undefined;
+  const data = current ? {} : { protocol };
+
+  if (!current || has("name")) {
+    const name = String(input.name ?? "").trim();
+    if (name.length < 2 || name.length > 150) {
+      return { error: "name must be 2-150 characters" };
+    }
+    data.name = name;
+  }
+  if (!current || has("domains")) {
+    const domains = toDomains(input.domains);
+    if (!domains) return { error: "domains must be a list of email domains" };
+    data.domains = domains;
+  }
+  for (const key of ["enabled", "autoProvision"]) {
+    if (!has(key)) continue;
+    if (typeof input[key] !== "boolean") {
+      return { error: `${key} must be true or false` };
+    }
+    data[key] = input[key];
+  }
+  if (has("defaultDepartmentId")) {
+    data.defaultDepartmentId = input.defaultDepartmentId
+      ? String(input.defaultDepartmentId)
+      : null;
+  }
+  if (has("attributeMap")) {
+    const attributeMap = toAttributeMap(input.attributeMap);
+    if (attributeMap === undefined) {
+      return {
+        error: `attributeMap may only name ${Object.keys(
+          DEFAULT_ATTRIBUTES
+        ).join(", ")}`,
+      };
+    }
+    data.attributeMap = attributeMap;
+  }
+
+  if (protocol === "oidc") {
+    if (!current || has("issuer")) {
+      const issuer = toIssuer(input.issuer);
+      if (!issuer) return { error: "issuer must be an https URL" };
+      data.issuer = issuer;
+    }
+    if (!current || has("clientId")) {
+      const clientId = String(input.clientId ?? "").trim();
+      if (!clientId) return { error: "clientId is required" };
+      data.clientId = clientId;
+    }
+    // Optional: public clients rely on PKCE alone
+    if (has("clientSecret")) {
+      data.clientSecret = input.clientSecret
+        ? encryptSecret(String(input.clientSecret))
+        : null;
+    }
+    if (has("scopes")) {
+      const scopes = String(input.scopes ?? "").trim();
+      if (scopes && !scopes.split(/\s+/).includes("openid")) {
+        return { error: "scopes must include openid" };
+      }
+      data.scopes = scopes || null;
+    }
+  } else if (!current || has("metadataXml")) {
+    const parsed = parseSamlMetadata(input.metadataXml);
+    if (parsed.error) return parsed;
+    data.metadataXml = String(input.metadataXml);
+    Object.assign(data, parsed.data);
+  }
+
+  return { data };
+}
+
+// Domains already routed to another provider
+export async function domainsInUse(db, domains, exceptId = null) {
+  const others = await db.identityProvider.findMany({
+    where: {
+      domains: { hasSome: domains },
+      ...(exceptId && { id: { not: exceptId } }),
+    },
+    select: { domains: true },
+  });
+  const taken = new Set(others.flatMap((p) => p.domains));
+  return domains.filter((d) => taken.has(d));
+}
+
+// The enabled provider for an email's domain, or null
+export function providerForEmail(db, email) {
+  const domain = emailDomain(email);
+  if (!domain) return null;
+  return db.identityProvider.findFirst({
+    where: { enabled: true, domains: { has: domain } },
+    select: { id: true, name: true, protocol: true, collegeId: true },
+  });
+}
+
+// ---------------- protocol handling ----------------
+
+// Where the IdP sends the browser back to, under `baseUrl` (the API origin)
+export const serviceProviderUrls = (baseUrl, provider) => {
+  const root = `${baseUrl}/api/auth/sso/${provider.id}`;
+  return {
+    callbackUrl: `${root}/callback`,
+    acsUrl: `${root}/acs`,
+    entityId: `${root}/metadata`,
+  };
+};
+
+async function fetchJson(url, init = {}) {
+  const res = await fetch(url, {
+    ...init,
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body) {
+    const reason = body?.error_description || body?.error || res.status;
+    throw new Error(`${url} failed: ${reason}`);
+  }
+  return body;
+}
+
+const discoveryCache = new Map();
+
+// The issuer's discovery document and key set, cached for an hour
+export async function discoverOidc(issuer) {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.at < DISCOVERY_TTL_MS) return cached;
+
+  const config = await fetchJson(
+    `${issuer}/.well-known/openid-configuration`
+  );
+  if (String(config.issuer || "").replace(/\/$/, "") !== issuer) {
+    throw new Error(`Discovery document of ${issuer} names another issuer`);
+  }
+  const entry = {
+    at: Date.now(),
+    config,
+    jwks: createRemoteJWKSet(new URL(config.jwks_uri)),
+  };
+  discoveryCache.set(issuer, entry);
+  return entry;
+}
+
+/**
+ * node-saml's request ID cache, kept on one sign-in's SsoState: the
+ * AuthnRequest ID is saved as the browser leaves, and only a response
+ * answering it (InResponseTo), on the same sign-in, is accepted.
+ */
+const ssoStateCache = (db, ssoState) => ({
+  async saveAsync(key, value) {
+    await db.ssoState.update({
+      where: { state: ssoState.state },
+      data: { samlRequestId: key },
+    });
+    return { value, createdAt: Date.now() };
+  },
+  async getAsync(key) {
+    return key && ssoState.samlRequestId === key
+      ? new Date(ssoState.createdAt).toISOString()
+      : null;
+  },
+  async removeAsync(key) {
+    if (!key) return null;
+    await db.ssoState.updateMany({
+      where: { state: ssoState.state, samlRequestId: key },
+      data: { samlRequestId: null },
+    });
+    return key;
+  },
+});
+
+const samlClient = (provider, urls, cacheProvider) =>
+  new SAML({
+    callbackUrl: urls.acsUrl,
+    entryPoint: provider.ssoUrl,
+    issuer: urls.entityId,
+    audience: urls.entityId,
+    idpCert: provider.signingCerts,
+    ...(provider.entityId && { idpIssuer: provider.entityId }),
+    identifierFormat: null,
+    wantAssertionsSigned: true,
+    wantAuthnResponseSigned: false,
+    validateInResponseTo: "always",
+    ...(cacheProvider && { cacheProvider }),
+  });
+
+// Our SAML service provider metadata, for the college's IdP admins
+export const samlServiceProviderMetadata = (provider, urls) =>
+  samlClient(provider, urls).generateServiceProviderMetadata(null, null);
+
+// Frontend paths only, so the sign-in cannot redirect off-site
+const toReturnTo = (value) => {
+  const path = String(value || "");
+  return /^\/(?![/\\])/.test(path) && path.length <= 500 ? path : null;
+};
+
+/**
+ * Records a sign-in in flight and returns the IdP URL to send the browser
+ * to. `urls` comes from serviceProviderUrls.
+ */
+export async function ssoLoginUrl(
+  db,
+  provider,
+  urls,
+  { returnTo, loginHint } = {}
+) {
+  const oidc = provider.protocol === "oidc";
+  const state = randomToken();
+  const nonce = oidc ? randomToken() : null;
+  const codeVerifier = oidc ? randomToken() : null;
+
+  // Sign-ins abandoned at the IdP are swept as new ones start
+  await db.ssoState.deleteMany({
+    where: { expiresAt: { lt: minutesFromNow(-24 * 60) } },
+  });
+  const ssoState = await db.ssoState.create({
+    data: {
+      providerId: provider.id,
+      state,
+      nonce,
+      codeVerifier,
+      returnTo: toReturnTo(returnTo),
+      expiresAt: minutesFromNow(STATE_TTL_MINUTES),
+    },
+  });
+
+  if (!oidc) {
+    const cache = ssoStateCache(db, ssoState);
+    return samlClient(provider, urls, cache).getAuthorizeUrlAsync(
+      state,
+      undefined,
+      {}
+    );
+  }
+
+  const { config } = await discoverOidc(provider.issuer);
+  const url = new URL(config.authorization_endpoint);
+  const params = {
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: urls.callbackUrl,
+    scope: provider.scopes || DEFAULT_OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: crypto
+      .createHash("sha256")
+      .update(codeVerifier)
+      .digest("base64url"),
+    code_challenge_method: "S256",
+    ...(loginHint && { login_hint: String(loginHint) }),
+  };
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+// Claims a sign-in in flight once; null if unknown, used or expired
+export async function consumeSsoState(db, providerId, state) {
+  if (!state) return null;
+  const now = new Date();
+  const claimed = await db.ssoState.updateMany({
+    where: {
+      state: String(state),
+      providerId,
+      consumedAt: null,
+      expiresAt: { gt: now },
+    },
+    data: { consumedAt: now },
+  });
+  if (!claimed.count) return null;
+  return db.ssoState.findUnique({ where: { state: String(state) } });
+}
+
+// Redeems an authorization code; returns the verified ID token claims
+export async function oidcClaims(provider, ssoState, code, urls) {
+  const { config, jwks } = await discoverOidc(provider.issuer);
+
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code: String(code || ""),
+    redirect_uri: urls.callbackUrl,
+    client_id: provider.clientId,
+    code_verifier: ssoState.codeVerifier,
+  });
+  const headers = {
+    "Content-Type": "application/x-www-form-urlencoded",
+    Accept: "application/json",
+  };
+  if (provider.clientSecret) {
+    const secret = decryptSecret(provider.clientSecret);
+    const methods = config.token_endpoint_auth_methods_supported || [
+      "client_secret_basic",
+    ];
+    if (methods.includes("client_secret_basic")) {
+      const pair = `${encodeURIComponent(
+        provider.clientId
+      )}:${encodeURIComponent(secret)}`;
+      headers.Authorization = `Basic ${Buffer.from(pair).toString("base64")}`;
+    } else {
+      body.set("client_secret", secret);
+    }
+  }
+
+  const tokens = await fetchJson(config.token_endpoint, {
+    method: "POST",
+    headers,
+    body,
+  });
+  if (!tokens.id_token) throw new Error("Token response has no id_token");
+
+  const { payload } = await jwtVerify(tokens.id_token, jwks, {
+    issuer: config.issuer,
+    audience: provider.clientId,
+  });
+  if (payload.nonce !== ssoState.nonce) {
+    throw new Error("ID token nonce does not match");
+  }
+  return payload;
+}
+
+// Validates a SAMLResponse posted for the sign-in in `ssoState`; returns
+// the assertion's profile
+export async function samlClaims(db, provider, ssoState, samlResponse, urls) {
+  const client = samlClient(provider, urls, ssoStateCache(db, ssoState));
+  const { profile } = await client.validatePostResponseAsync({
+    SAMLResponse: String(samlResponse || ""),
+  });
+  if (!profile) throw new Error("SAML response has no assertion");
+  return profile;
+}
+
+// ---------------- just-in-time provisioning ----------------
+
+/**
+ * Maps OIDC claims or a SAML profile to { subject, email, fullName,
+ * department, rollNumber } using the provider's attributeMap.
+ */
+export function identityFrom(provider, claims) {
+  const names = { ...DEFAULT_ATTRIBUTES, ...(provider.attributeMap || {}) };
+  const read = (key) => {
+    const raw = claims[names[key]];
+    const value = Array.isArray(raw) ? raw[0] : raw;
+    return typeof value === "string" && value.trim() ? value.trim() : null;
+  };
+
+  const oidc = provider.protocol === "oidc";
+  const subject = oidc ? claims.sub : claims.nameID;
+  let email = read("email");
+  if (!email && !oidc && String(claims.nameID || "").includes("@")) {
+    email = claims.nameID;
+  }
+  // An address the IdP says it has not verified cannot claim an account
+  if (oidc && claims.email_verified === false) email = null;
+  email = email ? email.toLowerCase() : null;
+
+  const given = claims.given_name || claims.givenName;
+  const family = claims.family_name || claims.sn;
+  const fullName =
+    read("name") ||
+    [given, family].filter(Boolean).join(" ") ||
+    (email ? email.split("@")[0] : "User");
+
+  return {
+    subject: subject ? String(subject) : null,
+    email,
+    fullName: fullName.slice(0, 100),
+    department: read("department"),
+    rollNumber: read("rollNumber"),
+  };
+}
+
+const ssoUserSelect = {
+  id: true,
+  email: true,
+  role: true,
+  collegeId: true,
+  isActive: true,
+  ssoProviderId: true,
+  ssoSubject: true,
+};
+
+// The college department named by the IdP, else the provider's default
+async function departmentFor(db, provider, name) {
+  if (name) {
+    const department = await db.department.findFirst({
+      where: {
+        collegeId: provider.collegeId,
+        name: { equals: name, mode: "insensitive" },
+      },
+      select: { id: true },
+    });
+    if (department) return department.id;
+  }
+  return provider.defaultDepartmentId ?? null;
+}
+
+/**
+ * Finds or creates the user an IdP identity signs in as. An existing
+ * account is linked by email only within the provider's college and
+ * domains. Returns { user, created } or { error }.
+ */
+export async function provisionSsoUser(db, provider, identity) {
+  if (!identity.subject || !identity.email) {
+    return { error: "The identity provider did not send a verified email" };
+  }
+  if (!provider.domains.includes(emailDomain(identity.email))) {
+    return { error: "This email domain does not sign in here" };
+  }
+
+  const college = await db.college.findUnique({
+    where: { id: provider.collegeId },
+    select: { status: true, studentLimit: true },
+  });
+  if (!college || college.status !== 1) {
+    return { error: "College is inactive. Please contact your Admin." };
+  }
+
+  let user = await db.user.findUnique({
+    where: {
+      ssoProviderId_ssoSubject: {
+        ssoProviderId: provider.id,
+        ssoSubject: identity.subject,
+      },
+    },
+    select: ssoUserSelect,
+  });
+
+  if (!user) {
+    const existing = await db.user.findUnique({
+      where: { email: identity.email },
+      select: ssoUserSelect,
+    });
+    if (existing) {
+      if (existing.collegeId !== provider.collegeId) {
+        return { error: "This account belongs to another college" };
+      }
+      if (existing.ssoProviderId && existing.ssoSubject !== identity.subject) {
+        return { error: "This account is linked to another identity" };
+      }
+      user = await db.user.update({
+        where: { id: existing.id },
+        data: {
+          ssoProviderId: provider.id,
+          ssoSubject: identity.subject,
+          isEmailVerified: true,
+        },
+        select: ssoUserSelect,
+      });
+    }
+  }
+
+  if (user) {
+    return user.isActive
+      ? { user, created: false }
+      : { error: "User account is inactive" };
+  }
+
+  if (!provider.autoProvision) {
+    return { error: "No account exists for this email. Ask your admin." };
+  }
+  const students = await db.user.count({
+    where: {
+      collegeId: provider.collegeId,
+      isActive: true,
+      role: { equals: "student", mode: "insensitive" },
+    },
+  });
+  if (college.studentLimit !== null && students >= college.studentLimit) {
+    return { error: `Student limit reached (${college.studentLimit})` };
+  }
+
+  user = await db.user.create({
+    data: {
+      email: identity.email,
+      fullName: identity.fullName,
+      role: "STUDENT",
+      authProvider: "sso",
+      isEmailVerified: true,
+      isActive: true,
+      collegeId: provider.collegeId,
+      departmentId: await departmentFor(db, provider, identity.department),
+      rollNumber: identity.rollNumber?.slice(0, 50) ?? null,
+      ssoProviderId: provider.id,
+      ssoSubject: identity.subject,
+    },
+    select: ssoUserSelect,
+  });
+  return { user, created: true };
+}
+
+// ---------------- handing the sign-in to the frontend ----------------
+
+// Leaves a one-time code on a consumed state. The frontend trades it for
+// tokens, so tokens never appear in a URL.
+export async function issueExchangeCode(db, ssoState, userId) {
+  const code = randomToken();
+  await db.ssoState.update({
+    where: { id: ssoState.id },
+    data: {
+      userId,
+      exchangeHash: hashToken(code),
+      expiresAt: minutesFromNow(EXCHANGE_TTL_MINUTES),
+    },
+  });
+  return code;
+}
+
+// Returns the state a code was issued on, once; null otherwise
+export async function redeemExchangeCode(db, code) {
+  if (!code) return null;
+  const exchangeHash = hashToken(code);
+  const now = new Date();
+  const claimed = await db.ssoState.updateMany({
+    where: { exchangeHash, exchangedAt: null, expiresAt: { gt: now } },
+    data: { exchangedAt: now },
+  });
+  if (!claimed.count) return null;
+  return db.ssoState.findUnique({ where: { exchangeHash } });
+}
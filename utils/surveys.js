@@ -0,0 +1,216 @@
+// utils/surveys.js
+// Feedback surveys: an assessment type whose answers are never scored.
+// Responses live apart from attempts (see SurveyResponse) so they cannot
+// reach scores, averages or certificates, and may be anonymous.
+export const SURVEY_TYPE = "survey";
+// likert: pick one point of the scale in `options`; open: free text
+export const SURVEY_QUESTION_TYPES = ["likert", "open"];
+export const DEFAULT_LIKERT_SCALE = [
+  "Strongly disagree",
+  "Disagree",
+  "Neutral",
+  "Agree",
+  "Strongly agree",
+];
+const MAX_OPEN_ANSWER_LENGTH = 5000;
+// Anonymous breakdowns hide groups smaller than this
+export const MIN_ANONYMOUS_GROUP = 3;
+
+export const isSurvey = (assessment) => assessment?.type === SURVEY_TYPE;
+
+// Returns { data } ({ anonymous } or null) or { error }
+export function toSurveySettings(input) {
+  if (input === undefined) return { data: undefined };
+  if (input === null) return { data: null };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "survey must be an object" };
+  }
+  return { data: { anonymous: input.anonymous !== false } };
+}
+
+export const surveySettings = (assessment) => ({
+  anonymous: true,
+  ...(assessment?.survey || {}),
+});
+
+/**
+ * Validates [{ prompt, type: "likert" | "open", options? }]; likert
+ * questions without options use DEFAULT_LIKERT_SCALE. Returns { data }
+ * (AssessmentQuestion rows without assessmentId) or { error }.
+ */
+export function toSurveyQuestions(input) {
+  if (!Array.isArray(input) || !input.length) {
+    return { error: "questions must be a non-empty array" };
+  }
+
+  const rows = [];
+  for (const [i, q] of input.entries()) {
+    const prompt = String(q?.prompt || q?.text || "").trim();
+    if (!prompt) return { error: `questions[${i}].prompt is required` };
+    const type = String(q.type || "likert").toLowerCase();
+    if (!SURVEY_QUESTION_TYPES.includes(type)) {
+      return {
+        error: `questions[${i}].type must be one of ${SURVEY_QUESTION_TYPES.join(", ")}`,
+      };
+    }
+
+    let options = [];
+    if (type === "likert") {
+      options = Array.isArray(q.options)
+        ? q.options.map((o) => String(o ?? "").trim())
+        : DEFAULT_LIKERT_SCALE;
+      if (options.length < 2 || options.some((o) => !o)) {
+        return {
+          error: `questions[${i}].options needs at least two labelled scale points`,
+        };
+      }
+    }
+
+    rows.push({ prompt, type, options, points: 0, order: i + 1 });
+  }
+  return { data: rows };
+}
+
+// Survey questions in order, likert ones with their scale
+export const surveyQuestions = (assessment) =>
+  (assessment.questions || [])
+    .filter((q) => !q.deletedAt && SURVEY_QUESTION_TYPES.includes(q.type))
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .map((q) => ({
+      id: q.id,
+      prompt: q.prompt,
+      type: q.type,
+      options:
+        q.type === "likert"
+          ? q.options?.length
+            ? q.options
+            : DEFAULT_LIKERT_SCALE
+          : [],
+      order: q.order,
+    }));
+
+/**
+ * Validates answers ({ [questionId]: scale index | text }) against the
+ * survey's questions. Unknown questions and blank answers are dropped;
+ * at least one answer is required. Returns { data } or { error }.
+ */
+export function toSurveyAnswers(questions, answers) {
+  if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+    return { error: "answers must be an object" };
+  }
+
+  const data = {};
+  for (const q of questions) {
+    const value = answers[q.id];
+    if (value === undefined || value === null || value === "") continue;
+
+    if (q.type === "likert") {
+      const index = Number(value);
+      if (!Number.isInteger(index) || index < 0 || index >= q.options.length) {
+        return {
+          error: `Answer to "${q.prompt}" must be a scale point from 0 to ${q.options.length - 1}`,
+        };
+      }
+      data[q.id] = index;
+    } else {
+      const text = String(value).trim();
+      if (text.length > MAX_OPEN_ANSWER_LENGTH) {
+        return {
+          error: `Answer to "${q.prompt}" is longer than ${MAX_OPEN_ANSWER_LENGTH} characters`,
+        };
+      }
+      if (text) data[q.id] = text;
+    }
+  }
+
+  if (!Object.keys(data).length) {
+    return { error: "Answer at least one question" };
+  }
+  return { data };
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Aggregates responses per question: scale distribution and mean (1 is
+ * the first scale point) for likert questions, the answers themselves
+ * for open ones.
+ */
+export function summarizeSurvey(questions, responses) {
+  return {
+    responseCount: responses.length,
+    questions: questions.map((q) => {
+      const values = responses
+        .map((r) => r.answers?.[q.id])
+        .filter((v) => v !== undefined && v !== null);
+
+      if (q.type === "likert") {
+        const counts = q.options.map(() => 0);
+        for (const v of values) if (counts[v] !== undefined) counts[v]++;
+        return {
+          questionId: q.id,
+          prompt: q.prompt,
+          type: q.type,
+          answered: values.length,
+          average: values.length
+            ? round2(values.reduce((s, v) => s + v + 1, 0) / values.length)
+            : null,
+          options: q.options.map((label, i) => ({
+            label,
+            count: counts[i],
+            share: values.length ? round2(counts[i] / values.length) : 0,
+          })),
+        };
+      }
+
+      return {
+        questionId: q.id,
+        prompt: q.prompt,
+        type: q.type,
+        answered: values.length,
+        answers: values,
+      };
+    }),
+  };
+}
+
+/**
+ * summarizeSurvey, except that for anonymous surveys a group too small to
+ * stay anonymous only reports its size.
+ */
+export function summarizeSurveyGroup(
+  questions,
+  responses,
+  { anonymous = true } = {}
+) {
+  if (anonymous && responses.length < MIN_ANONYMOUS_GROUP) {
+    return { responseCount: responses.length, suppressed: true };
+  }
+  return summarizeSurvey(questions, responses);
+}
+
+/**
+ * Summaries per value of `key` (collegeId / departmentId), each suppressed
+ * like summarizeSurveyGroup.
+ */
+export function summarizeSurveyBy(
+  questions,
+  responses,
+  key,
+  { names = {}, anonymous = true } = {}
+) {
+  const groups = new Map();
+  for (const r of responses) {
+    const id = r[key] ?? null;
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(r);
+  }
+
+  return [...groups.entries()].map(([id, list]) => {
+    const group = { [key]: id, name: id ? names[id] ?? null : null };
+    return {
+      ...group,
+      ...summarizeSurveyGroup(questions, list, { anonymous }),
+    };
+  });
+}
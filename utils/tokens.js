@@ -0,0 +1,258 @@
+// utils/tokens.js
+// Short-lived access tokens plus rotating refresh tokens, one Session per
+// signed-in device. Access tokens carry the session id (sid) so revoking a
+// session takes effect on the next request.
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { twoFactorRequired } from "./totp.js";
+
+const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+export const REFRESH_TOKEN_TTL_DAYS =
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Time to enter the second factor after the password
+const TWO_FACTOR_PENDING_MINUTES = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+// `user` needs id, role and tokenVersion. A pending token (mfa: "pending")
+// only passes protectPartial, until the second factor is checked.
+export const signAccessToken = (user, sessionId, { pending = false } = {}) =>
+  jwt.sign(
+    {
+      sub: user.id,
+      role: user.role,
+      tokenVersion: user.tokenVersion,
+      sid: sessionId,
+      ...(pending && { mfa: "pending" }),
+    },
+    JWT_SECRET,
+    { expiresIn: pending ? `${TWO_FACTOR_PENDING_MINUTES}m` : ACCESS_TOKEN_TTL }
+  );
+
+// Seconds until an access token expires, for clients scheduling a refresh
+const expiresInOf = (token) => {
+  const { exp, iat } = jwt.decode(token);
+  return exp - iat;
+};
+
+// Device details recorded on a session
+export const deviceOf = (req) => ({
+  deviceName: req.body?.deviceName
+    ? String(req.body.deviceName).slice(0, 100)
+    : null,
+  userAgent: req.get?.("user-agent")?.slice(0, 255) || null,
+  ipAddress: req.ip || null,
+});
+
+/**
+ * Signs a user in on a new device. Returns { token, refreshToken,
+ * expiresIn, sessionId }; `token` is the access token. With
+ * `twoFactorPending` the session waits for completeTwoFactor and gets a
+ * pending token and no refresh token.
+ */
+export async function startSession(
+  db,
+  user,
+  device = {},
+  { twoFactorPending = false } = {}
+) {
+  const refreshToken = twoFactorPending ? null : newRefreshToken();
+  const expiresAt = new Date(
+    Date.now() +
+      (twoFactorPending
+        ? TWO_FACTOR_PENDING_MINUTES * 60 * 1000
+        : REFRESH_TOKEN_TTL_DAYS * DAY_MS)
+  );
+
+  const session = await db.session.create({
+    data: {
+      userId: user.id,
+      tokenVersion: user.tokenVersion ?? 0,
+      deviceName: device.deviceName ?? null,
+      userAgent: device.userAgent ?? null,
+      ipAddress: device.ipAddress ?? null,
+      expiresAt,
+      twoFactorPending,
+      ...(refreshToken && {
+        refreshTokens: {
+          create: { tokenHash: hashToken(refreshToken), expiresAt },
+        },
+      }),
+    },
+  });
+
+  const token = signAccessToken(user, session.id, {
+    pending: twoFactorPending,
+  });
+  return {
+    token,
+    refreshToken,
+    expiresIn: expiresInOf(token),
+    sessionId: session.id,
+    twoFactorPending,
+  };
+}
+
+// Promotes a pending session once the second factor is checked; returns
+// the same shape as startSession
+export async function completeTwoFactor(db, user, sessionId) {
+  const refreshToken = newRefreshToken();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+
+  await db.session.update({
+    where: { id: sessionId },
+    data: {
+      twoFactorPending: false,
+      twoFactorVerifiedAt: now,
+      lastUsedAt: now,
+      expiresAt,
+      refreshTokens: {
+        create: { tokenHash: hashToken(refreshToken), expiresAt },
+      },
+    },
+  });
+
+  const token = signAccessToken(user, sessionId);
+  return {
+    token,
+    refreshToken,
+    expiresIn: expiresInOf(token),
+    sessionId,
+    twoFactorPending: false,
+  };
+}
+
+/**
+ * Session for a user whose first factor (password, Google, SSO) was just
+ * checked. Users with 2FA enabled, or required to have it, get a pending
+ * session. Returns { token, refreshToken, expiresIn, twoFactor? } for the
+ * login response.
+ */
+export async function signIn(db, user, device = {}) {
+  const enrolled = !!user.twoFactorEnabled;
+  const pending = enrolled || (await twoFactorRequired(db, user));
+  const session = await startSession(db, user, device, {
+    twoFactorPending: pending,
+  });
+  return {
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    ...(pending && { twoFactor: { pending: true, enrolled } }),
+  };
+}
+
+export const revokeSession = (db, sessionId, reason = "revoked") =>
+  db.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token.
+ * A token that was already exchanged is a replay: the session it belongs
+ * to is revoked and { error, reused: true } returned. Returns { data }
+ * (as startSession) or { error }.
+ */
+export async function rotateRefreshToken(db, refreshToken, device = {}) {
+  if (!refreshToken) return { error: "refreshToken is required" };
+
+  const stored = await db.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: {
+      session: {
+        include: {
+          user: {
+            select: {
+              id: true,
+              role: true,
+              tokenVersion: true,
+              isActive: true,
+            },
+          },
+        },
+      },
+    },
+  });
+  if (!stored) return { error: "Invalid refresh token" };
+
+  const { session } = stored;
+  const now = new Date();
+  if (session.revokedAt) return { error: "Session has been revoked" };
+
+  if (stored.usedAt) {
+    await revokeSession(db, session.id, "reuse_detected");
+    return { error: "Refresh token reuse detected", reused: true };
+  }
+
+  const { user } = session;
+  if (
+    !user?.isActive ||
+    user.tokenVersion !== session.tokenVersion ||
+    stored.expiresAt <= now ||
+    session.expiresAt <= now
+  ) {
+    await revokeSession(db, session.id, "expired");
+    return { error: "Session has expired" };
+  }
+
+  const next = newRefreshToken();
+  const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+  const rotated = await db.$transaction(async (tx) => {
+    // Only one of two concurrent refreshes with the same token wins
+    const claimed = await tx.refreshToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: now },
+    });
+    if (!claimed.count) return false;
+
+    await tx.refreshToken.create({
+      data: { sessionId: session.id, tokenHash: hashToken(next), expiresAt },
+    });
+    await tx.session.update({
+      where: { id: session.id },
+      data: {
+        lastUsedAt: now,
+        expiresAt,
+        ...(device.ipAddress && { ipAddress: device.ipAddress }),
+        ...(device.userAgent && { userAgent: device.userAgent }),
+      },
+    });
+    return true;
+  });
+  if (!rotated) {
+    await revokeSession(db, session.id, "reuse_detected");
+    return { error: "Refresh token reuse detected", reused: true };
+  }
+
+  const token = signAccessToken(user, session.id);
+  return {
+    data: {
+      token,
+      refreshToken: next,
+      expiresIn: expiresInOf(token),
+      sessionId: session.id,
+    },
+  };
+}
+
+// Whether a session named by an access token can still be used
+export async function isSessionActive(db, sessionId, tokenVersion) {
+  const session = await db.session.findUnique({
+    where: { id: String(sessionId) },
+    select: { revokedAt: true, expiresAt: true, tokenVersion: true },
+  });
+  return (
+    !!session &&
+    !session.revokedAt &&
+    session.expiresAt > new Date() &&
+    session.tokenVersion === tokenVersion
+  );
+}
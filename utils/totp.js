@@ -0,0 +1,162 @@
+// utils/totp.js
+// Time-based one-time passwords (RFC 6238: HMAC-SHA1, 30 s steps, 6
+// digits) as produced by authenticator apps, plus single-use backup codes.
+// Secrets are stored encrypted; backup codes only as SHA-256 hashes.
+import crypto from "crypto";
+import { normalizeRole } from "./permissions.js";
+
+export const TOTP_ISSUER = process.env.TOTP_ISSUER || "EduSphere LMS";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps accepted either side of now, for clock drift
+const DRIFT_STEPS = 1;
+export const BACKUP_CODE_COUNT = 10;
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return out;
+}
+
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = "";
+  for (const ch of clean) {
+    const value = BASE32.indexOf(ch);
+    if (value === -1) throw new Error("Invalid base32 secret");
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, base32 encoded as authenticator apps expect
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const timeStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / STEP_SECONDS);
+
+export function totpCode(secret, step = timeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Checks a code against the steps around now. Returns the matching step,
+ * or null. Steps at or before `lastStep` are refused so an observed code
+ * cannot be replayed.
+ */
+export function verifyTotp(secret, code, { lastStep = null, now } = {}) {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const current = timeStep(now);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const step = current + drift;
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = Buffer.from(totpCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) return step;
+  }
+  return null;
+}
+
+// otpauth:// URI encoded in the enrollment QR code
+export const provisioningUri = (secret, account, issuer = TOTP_ISSUER) =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}?` +
+  new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+// ---------------- secret encryption (AES-256-GCM) ----------------
+
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(
+      process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || "dev-secret"
+    )
+    .digest();
+
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((b) => b.toString("base64url"))
+    .join(".");
+}
+
+export function decryptSecret(stored) {
+  const [iv, tag, data] = String(stored)
+    .split(".")
+    .map((p) => Buffer.from(p, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+// ---------------- backup codes ----------------
+
+const normalizeBackupCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const hashBackupCode = (code) =>
+  crypto.createHash("sha256").update(normalizeBackupCode(code)).digest("hex");
+
+/**
+ * Fresh backup codes ("xxxx-xxxx"). Returns { codes } to show the user
+ * once and { hashes } to store.
+ */
+export function generateBackupCodes(count = BACKUP_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex").slice(0, 8);
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+// Returns the hashes left after using `code`, or null if it is not one
+export function useBackupCode(hashes, code) {
+  const list = Array.isArray(hashes) ? hashes : [];
+  const hash = hashBackupCode(code);
+  if (!normalizeBackupCode(code) || !list.includes(hash)) return null;
+  return list.filter((h) => h !== hash);
+}
+
+// ---------------- policy ----------------
+
+// Super admins always need a second factor; admins when their college asks
+export async function twoFactorRequired(db, user) {
+  const role = normalizeRole(user?.role);
+  if (role === "SUPERADMIN") return true;
+  if (role !== "ADMIN" || !user.collegeId) return false;
+  const college = await db.college.findUnique({
+    where: { id: user.collegeId },
+    select: { requireAdminTwoFactor: true },
+  });
+  return !!college?.requireAdminTwoFactor;
+}